@@ -0,0 +1,208 @@
+import {useState, useEffect} from 'react';
+import {createPortal} from 'react-dom';
+import {addDays, formatDateToString, formatISOWeek, parseDateValue} from '../utils/dateUtils';
+import {formatHours, sumHours} from '../utils/hoursUtils';
+import {waitForWriteSlot} from '../utils/mutationService';
+import {SUBMISSION_STATUS, toSubmissionStatusValue} from '../utils/submissionUtils';
+
+/**
+ * Manager panel listing the weeks waiting for approval, to approve them or send them back with a comment
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the panel is open
+ * @param {Function} props.onClose - Callback to close the panel
+ * @param {Array} props.submissions - Submissions from getSubmissions
+ * @param {Table} props.submissionsTable - Submissions table
+ * @param {Object} props.submissionFields - Submissions table fields: status, comment
+ * @param {Function} props.getUserLabel - Returns the name shown for a user email
+ * @param {Function} props.getWeekRecords - Returns a user's Timesheet records in a week: (email, weekStart) => records
+ * @param {Field} props.individualHours - Individual Hours field, for the week totals
+ * @param {string} props.currentUserEmail - Email of the logged-in manager (own weeks cannot be approved)
+ */
+export function ApprovalPanel({
+    isOpen,
+    onClose,
+    submissions,
+    submissionsTable,
+    submissionFields,
+    getUserLabel,
+    getWeekRecords,
+    individualHours,
+    currentUserEmail
+}) {
+    const [returningId, setReturningId] = useState(null); // Submission record ID being sent back
+    const [comment, setComment] = useState('');
+    const [savingId, setSavingId] = useState(null);
+
+    // Reset the comment form when the panel closes
+    useEffect(() => {
+        if (!isOpen) {
+            setReturningId(null);
+            setComment('');
+        }
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const {status: statusField, comment: commentField} = submissionFields;
+    const pendingSubmissions = submissions
+        .filter(submission => submission.status === SUBMISSION_STATUS.SUBMITTED)
+        .sort((a, b) => a.weekStart.localeCompare(b.weekStart) || a.email.localeCompare(b.email));
+
+    // Set the status of a submission (and the manager comment, when one is given)
+    const updateSubmission = async (submission, newStatus, newComment) => {
+        const statusValue = toSubmissionStatusValue(statusField, newStatus);
+        if (!statusValue) {
+            alert(`The Status field of the Submissions table has no "${newStatus}" option.`);
+            return;
+        }
+        const fieldsToSet = {[statusField.id]: statusValue};
+        if (commentField && newComment !== undefined) {
+            fieldsToSet[commentField.id] = newComment;
+        }
+        if (!submissionsTable.hasPermissionToUpdateRecords?.([{id: submission.record.id, fields: fieldsToSet}])) {
+            alert('You do not have permission to update records in the Submissions table.');
+            return;
+        }
+
+        setSavingId(submission.record.id);
+        try {
+            await waitForWriteSlot();
+            await submissionsTable.updateRecordAsync(submission.record, fieldsToSet);
+            setReturningId(null);
+            setComment('');
+        } catch (error) {
+            console.error('Error updating submission:', error);
+            alert('Failed to update submission: ' + (error.message || 'Unknown error occurred.'));
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const handleSendBack = (submission) => {
+        if (commentField && !comment.trim()) {
+            alert('Please add a comment explaining what needs to be changed.');
+            return;
+        }
+        updateSubmission(submission, SUBMISSION_STATUS.RETURNED, comment.trim());
+    };
+
+    const cellClassName = 'px-3 py-2 text-sm border-b border-gray-gray100 dark:border-gray-gray600 text-gray-gray900 dark:text-gray-gray100 align-top';
+    const headerClassName = 'px-3 py-2 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500';
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-gray800 rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6">
+                    <h2 className="text-xl font-bold mb-4 text-gray-gray900 dark:text-gray-gray100">
+                        Approvals
+                    </h2>
+
+                    {pendingSubmissions.length === 0 ? (
+                        <p className="py-6 text-center text-sm text-gray-gray500 dark:text-gray-gray400">
+                            No weeks are waiting for approval.
+                        </p>
+                    ) : (
+                        <table className="w-full border-collapse table-auto">
+                            <thead className="bg-gray-gray100 dark:bg-gray-gray600">
+                                <tr>
+                                    <th className={headerClassName}>User</th>
+                                    <th className={headerClassName}>Week</th>
+                                    <th className={headerClassName}>Entries</th>
+                                    <th className={headerClassName}>Hours</th>
+                                    <th className={headerClassName} />
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {pendingSubmissions.map(submission => {
+                                    const weekStart = parseDateValue(submission.weekStart);
+                                    const weekRecords = getWeekRecords(submission.email, weekStart);
+                                    const isOwnSubmission = submission.email === String(currentUserEmail || '').toLowerCase();
+                                    const isSaving = savingId === submission.record.id;
+                                    const isReturning = returningId === submission.record.id;
+                                    return (
+                                        <tr key={submission.record.id}>
+                                            <td className={cellClassName}>
+                                                <div>{getUserLabel(submission.email)}</div>
+                                                <div className="text-xs text-gray-gray500 dark:text-gray-gray400">{submission.email}</div>
+                                            </td>
+                                            <td className={cellClassName}>
+                                                <div>{formatISOWeek(weekStart)}</div>
+                                                <div className="text-xs text-gray-gray500 dark:text-gray-gray400">
+                                                    {formatDateToString(weekStart)} – {formatDateToString(addDays(weekStart, 6))}
+                                                </div>
+                                            </td>
+                                            <td className={cellClassName}>{weekRecords.length}</td>
+                                            <td className={cellClassName}>{formatHours(sumHours(weekRecords, individualHours)) || '0'} h</td>
+                                            <td className={`${cellClassName} text-right`}>
+                                                {isReturning ? (
+                                                    <div className="flex flex-col items-end gap-2">
+                                                        {commentField && (
+                                                            <textarea
+                                                                value={comment}
+                                                                onChange={(e) => setComment(e.target.value)}
+                                                                placeholder="What needs to be changed?"
+                                                                rows={2}
+                                                                autoFocus
+                                                                className="w-64 px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800"
+                                                            />
+                                                        )}
+                                                        <div className="flex gap-2">
+                                                            <button
+                                                                onClick={() => setReturningId(null)}
+                                                                disabled={isSaving}
+                                                                className="px-3 py-1 text-sm text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded"
+                                                            >
+                                                                Cancel
+                                                            </button>
+                                                            <button
+                                                                onClick={() => handleSendBack(submission)}
+                                                                disabled={isSaving}
+                                                                className="px-3 py-1 text-sm font-medium text-white bg-orange-orange rounded hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed"
+                                                            >
+                                                                Send back
+                                                            </button>
+                                                        </div>
+                                                    </div>
+                                                ) : (
+                                                    <div className="flex justify-end gap-2" title={isOwnSubmission ? 'You cannot approve your own week' : ''}>
+                                                        <button
+                                                            onClick={() => {
+                                                                setReturningId(submission.record.id);
+                                                                setComment('');
+                                                            }}
+                                                            disabled={isSaving || savingId !== null}
+                                                            className="px-3 py-1 text-sm text-blue-blue hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+                                                        >
+                                                            Send back…
+                                                        </button>
+                                                        <button
+                                                            onClick={() => updateSubmission(submission, SUBMISSION_STATUS.APPROVED)}
+                                                            disabled={isSaving || savingId !== null || isOwnSubmission}
+                                                            className="px-3 py-1 text-sm font-medium text-white bg-green-green rounded hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed"
+                                                        >
+                                                            Approve
+                                                        </button>
+                                                    </div>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+
+                    <div className="flex justify-end mt-6">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-gray-gray700 dark:text-gray-gray300 bg-gray-gray200 dark:bg-gray-gray600 rounded-md hover:bg-gray-gray300 dark:hover:bg-gray-gray500"
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
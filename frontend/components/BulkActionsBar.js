@@ -0,0 +1,182 @@
+import {useState} from 'react';
+import {ConfirmationModal} from './ConfirmationModal';
+import {BulkEditModal} from './BulkEditModal';
+import {MutationProgress} from './MutationProgress';
+import {isRecordClosed} from '../utils/recordUtils';
+import {deleteRecords} from '../utils/mutationService';
+
+/**
+ * Summarize skipped records by reason, e.g. "2 in a closed period, 1 without delete permission"
+ * @param {Array<{record: Record, reason: string}>} skipped - Skipped records with reasons
+ * @returns {string} Summary
+ */
+function summarizeSkipped(skipped) {
+    const countByReason = skipped.reduce((counts, {reason}) => ({
+        ...counts,
+        [reason]: (counts[reason] || 0) + 1
+    }), {});
+    return Object.entries(countByReason).map(([reason, count]) => `${count} ${reason}`).join(', ');
+}
+
+/**
+ * Toolbar for actions on the selected rows (bulk edit and bulk delete)
+ * @param {Object} props
+ * @param {Array} props.selectedRecords - Selected Timesheet records
+ * @param {Table} props.timesheetTable - Timesheet table
+ * @param {Function} props.onClearSelection - Callback to clear the selection
+ * @param {Object} props.fields - Field references for bulk edit: task, timeTaskType, timesheetNotes, date
+ * @param {Array} props.taskRecords - Task records for the bulk edit Task picker
+ * @param {Set<string>} props.availableDates - Set of open date strings (YYYY-MM-DD format)
+ * @param {Array} props.monthRecords - Month records for closed period checking
+ * @param {Field} props.monthStatusField - Status field from Month table
+ * @param {Field} props.monthStartDateField - Start date field from Month table
+ * @param {Field} props.monthEndDateField - End date field from Month table
+ * @param {Object} [props.weekLocks] - Approved weeks of the logged-in user; their own entries there are read-only
+ * @param {Function} props.onUpdate - Callback after records have been changed
+ * @param {Object} [props.undoHistory] - Undo/redo history from useUndoHistory; deletions are recorded in it
+ */
+export function BulkActionsBar({
+    selectedRecords,
+    timesheetTable,
+    onClearSelection,
+    fields,
+    taskRecords,
+    availableDates,
+    monthRecords,
+    monthStatusField,
+    monthStartDateField,
+    monthEndDateField,
+    weekLocks = null,
+    onUpdate,
+    undoHistory
+}) {
+    const [showDeleteConfirmation, setShowDeleteConfirmation] = useState(false);
+    const [showBulkEditModal, setShowBulkEditModal] = useState(false);
+    const [isDeleting, setIsDeleting] = useState(false);
+    const [deleteProgress, setDeleteProgress] = useState(null);
+    const [resultMessage, setResultMessage] = useState(null);
+
+    // Split the selection into records that can be deleted and records that must be skipped
+    const getDeletePlan = () => {
+        const deletable = [];
+        const skipped = [];
+        selectedRecords.forEach(record => {
+            if (isRecordClosed(record, fields.date, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks)) {
+                skipped.push({record, reason: 'in a closed period or approved week'});
+            } else if (!(timesheetTable?.hasPermissionToDeleteRecord?.(record) ?? false)) {
+                skipped.push({record, reason: 'without delete permission'});
+            } else {
+                deletable.push(record);
+            }
+        });
+        return {deletable, skipped};
+    };
+
+    const handleDelete = async () => {
+        setShowDeleteConfirmation(false);
+        const {deletable, skipped} = getDeletePlan();
+        if (deletable.length === 0) {
+            setResultMessage({type: 'warning', text: `No entries deleted. Skipped ${summarizeSkipped(skipped)}.`});
+            return;
+        }
+
+        setIsDeleting(true);
+        setDeleteProgress({completed: 0, total: deletable.length});
+        const deletion = undoHistory ? undoHistory.snapshotDelete(timesheetTable, deletable) : null;
+        const results = await deleteRecords(timesheetTable, deletable.map(record => record.id), {onProgress: setDeleteProgress});
+        setIsDeleting(false);
+        setDeleteProgress(null);
+
+        const deletedIds = results.filter(result => result.success).map(result => result.recordId);
+        const failedResult = results.find(result => !result.success);
+        if (deletion && deletedIds.length > 0) undoHistory.recordDelete(deletion, deletedIds);
+
+        const parts = [`Deleted ${deletedIds.length} entr${deletedIds.length === 1 ? 'y' : 'ies'}.`];
+        if (skipped.length > 0) {
+            parts.push(`Skipped ${summarizeSkipped(skipped)}.`);
+        }
+        if (failedResult) {
+            parts.push(`${deletable.length - deletedIds.length} failed: ${failedResult.error.message || 'Unknown error occurred.'}`);
+        }
+        setResultMessage({type: failedResult || skipped.length > 0 ? 'warning' : 'success', text: parts.join(' ')});
+        onClearSelection();
+        if (onUpdate) onUpdate();
+    };
+
+    const {deletable, skipped} = showDeleteConfirmation ? getDeletePlan() : {deletable: [], skipped: []};
+    const confirmationMessage = `Delete ${deletable.length} selected entr${deletable.length === 1 ? 'y' : 'ies'}?` +
+        (undoHistory ? ' You can restore them with Undo.' : ' This cannot be undone.') +
+        (skipped.length > 0 ? ` ${summarizeSkipped(skipped)} will be skipped.` : '');
+
+    return (
+        <>
+            {selectedRecords.length > 0 && (
+                <div className="mb-4 flex items-center justify-between p-3 bg-blue-blueLight3 dark:bg-gray-gray700 border border-blue-blueLight2 dark:border-gray-gray600 rounded-lg">
+                    <span className="text-sm font-medium text-gray-gray900 dark:text-gray-gray100">
+                        {selectedRecords.length} selected
+                    </span>
+                    <div className="flex items-center gap-2">
+                        <button
+                            onClick={onClearSelection}
+                            className="px-3 py-1 text-sm text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded"
+                        >
+                            Clear selection
+                        </button>
+                        <button
+                            onClick={() => setShowBulkEditModal(true)}
+                            disabled={isDeleting}
+                            className="px-3 py-1 text-sm font-medium rounded-md bg-blue-blue text-white hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Bulk edit
+                        </button>
+                        <button
+                            onClick={() => setShowDeleteConfirmation(true)}
+                            disabled={isDeleting}
+                            className="px-3 py-1 text-sm font-medium rounded-md bg-red-red text-white hover:bg-red-redDark1 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {isDeleting ? 'Deleting...' : 'Delete selected'}
+                        </button>
+                    </div>
+                </div>
+            )}
+            <MutationProgress progress={deleteProgress} label="Deleting" />
+            {resultMessage && (
+                <div className={`mb-4 flex items-start justify-between p-3 rounded text-sm text-gray-gray900 dark:text-gray-gray100 border ${
+                    resultMessage.type === 'success'
+                        ? 'bg-green-greenLight3 dark:bg-gray-gray700 border-green-green'
+                        : 'bg-yellow-yellow bg-opacity-20 border-yellow-yellow'
+                }`}>
+                    <span>{resultMessage.text}</span>
+                    <button
+                        onClick={() => setResultMessage(null)}
+                        className="ml-4 text-gray-gray500 dark:text-gray-gray400 hover:text-gray-gray700 dark:hover:text-gray-gray200"
+                    >
+                        ✕
+                    </button>
+                </div>
+            )}
+            <ConfirmationModal
+                isOpen={showDeleteConfirmation}
+                title="Delete selected entries"
+                message={confirmationMessage}
+                onConfirm={handleDelete}
+                onCancel={() => setShowDeleteConfirmation(false)}
+            />
+            <BulkEditModal
+                isOpen={showBulkEditModal}
+                onClose={() => setShowBulkEditModal(false)}
+                selectedRecords={selectedRecords}
+                timesheetTable={timesheetTable}
+                fields={fields}
+                taskRecords={taskRecords}
+                availableDates={availableDates}
+                monthRecords={monthRecords}
+                monthStatusField={monthStatusField}
+                monthStartDateField={monthStartDateField}
+                monthEndDateField={monthEndDateField}
+                weekLocks={weekLocks}
+                onUpdate={onUpdate}
+            />
+        </>
+    );
+}
@@ -0,0 +1,350 @@
+import {useState, useEffect} from 'react';
+import {createPortal} from 'react-dom';
+import {FieldType} from '@airtable/blocks/interface/models';
+import {MutationProgress} from './MutationProgress';
+import {addDays, formatDateToString, isDateAvailable, parseDateValue} from '../utils/dateUtils';
+import {isRecordClosed, isDateClosed} from '../utils/recordUtils';
+import {updateRecords} from '../utils/mutationService';
+import {getTaskLabel} from '../utils/taskCatalog';
+
+const INITIAL_CHANGES = {
+    setTask: false,
+    taskId: '',
+    setTimeTaskType: false,
+    timeTaskTypeId: '',
+    notesMode: 'none', // 'none', 'append' or 'replace'
+    notesText: '',
+    dateShiftDays: 0,
+};
+
+/**
+ * Modal for editing several selected entries at once: set Task, set Time Task Type,
+ * append to or replace Timesheet Notes and shift Date by a number of days
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Array} props.selectedRecords - Records to edit
+ * @param {Table} props.timesheetTable - Timesheet table
+ * @param {Object} props.fields - Field references: task, timeTaskType, timesheetNotes, date
+ * @param {Array} props.taskRecords - Tasks from the Task catalog for the Task picker
+ * @param {Set<string>} props.availableDates - Set of open date strings (YYYY-MM-DD format)
+ * @param {Array} props.monthRecords - Month records for closed period checking
+ * @param {Field} props.monthStatusField - Status field from Month table
+ * @param {Field} props.monthStartDateField - Start date field from Month table
+ * @param {Field} props.monthEndDateField - End date field from Month table
+ * @param {Object} [props.weekLocks] - Approved weeks of the logged-in user; their own entries there are read-only
+ * @param {Function} props.onUpdate - Callback after records have been updated
+ */
+export function BulkEditModal({
+    isOpen,
+    onClose,
+    selectedRecords,
+    timesheetTable,
+    fields,
+    taskRecords = [],
+    availableDates,
+    monthRecords,
+    monthStatusField,
+    monthStartDateField,
+    monthEndDateField,
+    weekLocks = null,
+    onUpdate
+}) {
+    const [changes, setChanges] = useState(INITIAL_CHANGES);
+    const [isApplying, setIsApplying] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [results, setResults] = useState(null); // Map of record ID to {success, message} after applying
+    const [appliedPlans, setAppliedPlans] = useState(null); // Plans as they were when Apply was clicked, shown with the results
+
+    // Reset form when modal closes
+    useEffect(() => {
+        if (!isOpen) {
+            setChanges(INITIAL_CHANGES);
+            setIsApplying(false);
+            setProgress(null);
+            setResults(null);
+            setAppliedPlans(null);
+        }
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const {task, timeTaskType, timesheetNotes, date} = fields;
+    const updateChange = (key, value) => {
+        setChanges(prev => ({...prev, [key]: value}));
+        setResults(null);
+        setAppliedPlans(null);
+    };
+    const dateShiftDays = parseInt(changes.dateShiftDays, 10) || 0;
+    const taskOption = taskRecords.find(r => r.id === changes.taskId);
+    const typeOption = (timeTaskType?.config?.options?.choices || []).find(opt => opt.id === changes.timeTaskTypeId);
+
+    /**
+     * Work out the field updates and before/after values for one record,
+     * or the reason the record cannot be edited
+     */
+    const planRecord = (record) => {
+        const diffs = [];
+        const fieldsToSet = {};
+        // Entry labels are read now, so the result view still shows the entry as it was before the update
+        const entry = {
+            date: date ? record.getCellValueAsString(date) : '',
+            task: task ? record.getCellValueAsString(task) : ''
+        };
+
+        if (changes.setTask && task) {
+            const newValue = taskOption ? [{id: taskOption.id}] : [];
+            fieldsToSet[task.id] = newValue;
+            diffs.push({label: 'Task', before: record.getCellValueAsString(task), after: taskOption?.displayName || taskOption?.name || ''});
+        }
+        if (changes.setTimeTaskType && timeTaskType) {
+            fieldsToSet[timeTaskType.id] = typeOption ? {id: typeOption.id} : null;
+            diffs.push({label: 'Time Task Type', before: record.getCellValueAsString(timeTaskType), after: typeOption?.name || ''});
+        }
+        if (changes.notesMode !== 'none' && timesheetNotes) {
+            const currentNotes = record.getCellValueAsString(timesheetNotes) || '';
+            let newNotes = changes.notesText;
+            if (changes.notesMode === 'append' && currentNotes) {
+                const separator = timesheetNotes.config.type === FieldType.MULTILINE_TEXT ? '\n' : ' ';
+                newNotes = changes.notesText ? `${currentNotes}${separator}${changes.notesText}` : currentNotes;
+            }
+            fieldsToSet[timesheetNotes.id] = newNotes === '' ? null : newNotes;
+            diffs.push({label: 'Timesheet Notes', before: currentNotes, after: newNotes});
+        }
+
+        let targetDate = null;
+        if (dateShiftDays !== 0 && date) {
+            const currentValue = record.getCellValue(date);
+            const currentDate = parseDateValue(currentValue);
+            if (!currentDate) {
+                return {record, entry, diffs, fieldsToSet, error: 'Entry has no date to shift'};
+            }
+            targetDate = addDays(currentDate, dateShiftDays);
+            if (date.config.type === FieldType.DATE_TIME) {
+                const dateTime = new Date(currentValue);
+                dateTime.setDate(dateTime.getDate() + dateShiftDays);
+                fieldsToSet[date.id] = dateTime;
+            } else {
+                fieldsToSet[date.id] = formatDateToString(targetDate);
+            }
+            diffs.push({label: 'Date', before: formatDateToString(currentDate), after: formatDateToString(targetDate)});
+        }
+
+        // Refuse rows in closed months or approved weeks, and moves into closed or not-yet-open periods
+        const recordWeekLocks = weekLocks && weekLocks.ownsRecord(record) ? weekLocks : null;
+        let error = null;
+        if (isRecordClosed(record, date, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks)) {
+            error = 'Entry is in a closed period or approved week';
+        } else if (targetDate && isDateClosed(targetDate, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, recordWeekLocks)) {
+            error = 'New date is in a closed period or approved week';
+        } else if (targetDate && !isDateAvailable(targetDate, availableDates)) {
+            error = 'New date is not in an open period';
+        } else if (diffs.length > 0 && !(timesheetTable?.hasPermissionToUpdateRecords?.([{id: record.id, fields: fieldsToSet}]) ?? false)) {
+            error = 'No permission to edit this entry';
+        }
+        return {record, entry, diffs, fieldsToSet, error};
+    };
+
+    // After Apply the records hold the new values, so the plans computed at that moment are shown instead
+    const plans = appliedPlans || selectedRecords.map(planRecord);
+    const hasChanges = plans.some(plan => plan.diffs.length > 0);
+    const applicablePlans = plans.filter(plan => !plan.error && plan.diffs.length > 0);
+
+    const handleApply = async () => {
+        if (applicablePlans.length === 0) return;
+        setIsApplying(true);
+        setAppliedPlans(plans);
+
+        const newResults = {};
+        plans.filter(plan => plan.error).forEach(plan => {
+            newResults[plan.record.id] = {success: false, message: plan.error};
+        });
+
+        const updateResults = await updateRecords(
+            timesheetTable,
+            applicablePlans.map(plan => ({id: plan.record.id, fields: plan.fieldsToSet})),
+            {onProgress: setProgress}
+        );
+        applicablePlans.forEach((plan, index) => {
+            const {success, error} = updateResults[index];
+            newResults[plan.record.id] = success
+                ? {success: true, message: 'Updated'}
+                : {success: false, message: error.message || 'Unknown error occurred.'};
+        });
+
+        setResults(newResults);
+        setIsApplying(false);
+        setProgress(null);
+        if (onUpdate) onUpdate();
+    };
+
+    const labelClassName = 'flex items-center gap-2 text-sm font-medium text-gray-gray900 dark:text-gray-gray100';
+    const inputClassName = 'w-full px-3 py-2 border border-gray-gray300 dark:border-gray-gray600 rounded-md bg-white dark:bg-gray-gray800 text-gray-gray900 dark:text-gray-gray100 disabled:opacity-50';
+    const cellClassName = 'px-3 py-2 text-sm align-top border-b border-gray-gray100 dark:border-gray-gray600 text-gray-gray900 dark:text-gray-gray100';
+    const headerClassName = 'px-3 py-2 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500';
+    const successCount = results ? Object.values(results).filter(result => result.success).length : 0;
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-gray800 rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6">
+                    <h2 className="text-xl font-bold text-gray-gray900 dark:text-gray-gray100 mb-4">
+                        Edit {selectedRecords.length} selected entr{selectedRecords.length === 1 ? 'y' : 'ies'}
+                    </h2>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+                        {task && (
+                            <div>
+                                <label className={labelClassName}>
+                                    <input type="checkbox" checked={changes.setTask} onChange={(e) => updateChange('setTask', e.target.checked)} />
+                                    Set Task
+                                </label>
+                                <select
+                                    value={changes.taskId}
+                                    disabled={!changes.setTask}
+                                    onChange={(e) => updateChange('taskId', e.target.value)}
+                                    className={`mt-1 ${inputClassName}`}
+                                >
+                                    <option value="">(empty)</option>
+                                    {taskRecords.map(taskRecord => (
+                                        <option key={taskRecord.id} value={taskRecord.id}>
+                                            {getTaskLabel(taskRecord)}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        {timeTaskType && (
+                            <div>
+                                <label className={labelClassName}>
+                                    <input type="checkbox" checked={changes.setTimeTaskType} onChange={(e) => updateChange('setTimeTaskType', e.target.checked)} />
+                                    Set Time Task Type
+                                </label>
+                                <select
+                                    value={changes.timeTaskTypeId}
+                                    disabled={!changes.setTimeTaskType}
+                                    onChange={(e) => updateChange('timeTaskTypeId', e.target.value)}
+                                    className={`mt-1 ${inputClassName}`}
+                                >
+                                    <option value="">(empty)</option>
+                                    {(timeTaskType.config?.options?.choices || []).map(option => (
+                                        <option key={option.id} value={option.id}>
+                                            {option.name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        {timesheetNotes && (
+                            <div>
+                                <label className={labelClassName}>Timesheet Notes</label>
+                                <select
+                                    value={changes.notesMode}
+                                    onChange={(e) => updateChange('notesMode', e.target.value)}
+                                    className={`mt-1 ${inputClassName}`}
+                                >
+                                    <option value="none">Keep as is</option>
+                                    <option value="append">Append text</option>
+                                    <option value="replace">Replace with text</option>
+                                </select>
+                                <input
+                                    type="text"
+                                    value={changes.notesText}
+                                    disabled={changes.notesMode === 'none'}
+                                    onChange={(e) => updateChange('notesText', e.target.value)}
+                                    className={`mt-2 ${inputClassName}`}
+                                    placeholder="Notes text"
+                                />
+                            </div>
+                        )}
+                        {date && (
+                            <div>
+                                <label className={labelClassName}>Shift Date by days</label>
+                                <input
+                                    type="number"
+                                    step="1"
+                                    value={changes.dateShiftDays}
+                                    onChange={(e) => updateChange('dateShiftDays', e.target.value)}
+                                    className={`mt-1 ${inputClassName}`}
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    {hasChanges && (
+                        <table className="w-full border-collapse table-auto">
+                            <thead className="bg-gray-gray100 dark:bg-gray-gray600">
+                                <tr>
+                                    <th className={headerClassName}>Entry</th>
+                                    <th className={headerClassName}>Changes</th>
+                                    <th className={headerClassName}>Result</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {plans.map(plan => {
+                                    const result = results?.[plan.record.id];
+                                    return (
+                                        <tr key={plan.record.id}>
+                                            <td className={cellClassName}>
+                                                {plan.entry.date}
+                                                {task && <div className="text-xs text-gray-gray500 dark:text-gray-gray400">{plan.entry.task}</div>}
+                                            </td>
+                                            <td className={cellClassName}>
+                                                {plan.diffs.map(diff => (
+                                                    <div key={diff.label}>
+                                                        <span className="font-medium">{diff.label}:</span>{' '}
+                                                        <span className="line-through text-gray-gray500 dark:text-gray-gray400">{diff.before || '(empty)'}</span>
+                                                        {' → '}
+                                                        <span>{diff.after || '(empty)'}</span>
+                                                    </div>
+                                                ))}
+                                            </td>
+                                            <td className={cellClassName}>
+                                                {result ? (
+                                                    <span className={result.success ? 'text-green-greenDark1' : 'text-red-redDark1'}>
+                                                        {result.message}
+                                                    </span>
+                                                ) : plan.error ? (
+                                                    <span className="text-red-redDark1">Refused: {plan.error}</span>
+                                                ) : (
+                                                    <span className="text-gray-gray500 dark:text-gray-gray400">Will be updated</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+
+                    <MutationProgress progress={progress} label="Updating" />
+
+                    {results && (
+                        <p className="mt-4 text-sm text-gray-gray700 dark:text-gray-gray300">
+                            {successCount} of {plans.length} entries updated.
+                        </p>
+                    )}
+
+                    <div className="flex justify-end gap-3 mt-6">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-gray-gray700 dark:text-gray-gray300 bg-gray-gray200 dark:bg-gray-gray600 rounded-md hover:bg-gray-gray300 dark:hover:bg-gray-gray500"
+                        >
+                            {results ? 'Close' : 'Cancel'}
+                        </button>
+                        {!results && (
+                            <button
+                                onClick={handleApply}
+                                disabled={isApplying || applicablePlans.length === 0}
+                                className="px-4 py-2 text-sm font-medium text-white bg-blue-blue rounded-md hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {isApplying ? 'Applying...' : `Apply to ${applicablePlans.length} entr${applicablePlans.length === 1 ? 'y' : 'ies'}`}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -0,0 +1,375 @@
+import {useState, useEffect} from 'react';
+import {createPortal} from 'react-dom';
+import {FieldType} from '@airtable/blocks/interface/models';
+import {CalendarPicker} from './CalendarPicker';
+import {formatDateToString, parseDateValue} from '../utils/dateUtils';
+import {formatDisplayValue, formatDuration, parseDuration} from '../utils/valueFormatter';
+
+/**
+ * Inline cell editors, one per field type. Every editor receives the same props:
+ * @param {Object} props
+ * @param {*} props.value - Current cell value (record.getCellValue)
+ * @param {Field} props.field - The field being edited
+ * @param {Record} props.record - The record being edited
+ * @param {boolean} props.disabled - Whether the editor is disabled (e.g. while saving)
+ * @param {Function} props.onSave - Saves a writable cell value; resolves to false when the save failed
+ * @param {Object} props.editing - Per-column editing configuration (see EditableCell)
+ * @param {Set<string>|null} props.availableDates - Dates that can be picked, or null when the period is not restricted
+ */
+
+const inputClassName = (disabled) => `w-full px-2 py-1 border rounded text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800 ${
+    disabled ? 'opacity-50 cursor-not-allowed' : ''
+}`;
+
+// Draft of a typed value: reset whenever the cell value changes (e.g. after a save, undo or sync)
+function useDraft(value, toDraft) {
+    const valueKey = JSON.stringify(value ?? null);
+    const [draft, setDraft] = useState(() => toDraft(value));
+    const [draftValueKey, setDraftValueKey] = useState(valueKey);
+    if (draftValueKey !== valueKey) {
+        setDraftValueKey(valueKey);
+        setDraft(toDraft(value));
+    }
+    return [draft, setDraft, () => setDraft(toDraft(value))];
+}
+
+const getIds = (value) => (Array.isArray(value) ? value.map(item => item?.id || item) : []);
+
+/**
+ * Typed input saved on blur or Enter; Escape restores the cell value
+ */
+function TypedInput({draft, setDraft, resetDraft, onCommit, disabled, type = 'text', multiline = false, ...inputProps}) {
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            e.target.blur();
+        } else if (e.key === 'Escape') {
+            resetDraft();
+        }
+    };
+    const sharedProps = {
+        value: draft,
+        onChange: (e) => setDraft(e.target.value),
+        onKeyDown: handleKeyDown,
+        onBlur: onCommit,
+        onClick: (e) => e.stopPropagation(),
+        disabled,
+        className: inputClassName(disabled),
+        ...inputProps
+    };
+    return multiline ? <textarea rows={2} {...sharedProps} /> : <input type={type} {...sharedProps} />;
+}
+
+const TEXT_INPUT_TYPES = {
+    [FieldType.EMAIL]: 'email',
+    [FieldType.URL]: 'url',
+    [FieldType.PHONE_NUMBER]: 'tel',
+};
+
+function TextEditor({value, field, disabled, onSave}) {
+    const [draft, setDraft, resetDraft] = useDraft(value, current => (current === null || current === undefined ? '' : String(current)));
+    const handleCommit = async () => {
+        const nextValue = draft === '' ? null : draft;
+        if (nextValue === (value || null)) return;
+        if (!(await onSave(nextValue))) resetDraft();
+    };
+    return (
+        <TypedInput
+            draft={draft}
+            setDraft={setDraft}
+            resetDraft={resetDraft}
+            onCommit={handleCommit}
+            disabled={disabled}
+            type={TEXT_INPUT_TYPES[field.config.type] || 'text'}
+            multiline={field.config.type === FieldType.MULTILINE_TEXT}
+        />
+    );
+}
+
+function NumberEditor({value, disabled, onSave}) {
+    const [draft, setDraft, resetDraft] = useDraft(value, current => (typeof current === 'number' ? String(current) : ''));
+    const handleCommit = async () => {
+        const nextValue = draft === '' ? null : parseFloat(draft);
+        if (Number.isNaN(nextValue)) {
+            resetDraft();
+            return;
+        }
+        if (nextValue === (typeof value === 'number' ? value : null)) return;
+        if (!(await onSave(nextValue))) resetDraft();
+    };
+    return (
+        <TypedInput
+            draft={draft}
+            setDraft={setDraft}
+            resetDraft={resetDraft}
+            onCommit={handleCommit}
+            disabled={disabled}
+            type="number"
+            step="any"
+        />
+    );
+}
+
+function DurationEditor({value, disabled, onSave}) {
+    const [draft, setDraft, resetDraft] = useDraft(value, current => (typeof current === 'number' ? formatDuration(current) : ''));
+    const handleCommit = async () => {
+        const nextValue = draft.trim() === '' ? null : parseDuration(draft);
+        if (nextValue === null && draft.trim() !== '') {
+            alert(`"${draft}" is not a duration. Use h:mm (e.g. 1:30) or hours (e.g. 1.5).`);
+            resetDraft();
+            return;
+        }
+        if (nextValue === (typeof value === 'number' ? value : null)) return;
+        if (!(await onSave(nextValue))) resetDraft();
+    };
+    return (
+        <TypedInput
+            draft={draft}
+            setDraft={setDraft}
+            resetDraft={resetDraft}
+            onCommit={handleCommit}
+            disabled={disabled}
+            placeholder="h:mm"
+        />
+    );
+}
+
+function CheckboxEditor({value, disabled, onSave}) {
+    const [checked, setChecked, resetChecked] = useDraft(value, current => !!current);
+    const handleChange = async (e) => {
+        setChecked(e.target.checked);
+        if (!(await onSave(e.target.checked))) resetChecked();
+    };
+    return (
+        <input
+            type="checkbox"
+            checked={checked}
+            onChange={handleChange}
+            onClick={(e) => e.stopPropagation()}
+            disabled={disabled}
+            className="rounded"
+        />
+    );
+}
+
+function SingleSelectEditor({value, field, disabled, onSave}) {
+    const choices = field.config.options?.choices || [];
+    const [selectedId, setSelectedId, resetSelectedId] = useDraft(value, current => current?.id || '');
+    const handleChange = async (e) => {
+        const nextId = e.target.value;
+        setSelectedId(nextId);
+        if (!(await onSave(nextId ? {id: nextId} : null))) resetSelectedId();
+    };
+    return (
+        <select
+            value={selectedId}
+            onChange={handleChange}
+            onClick={(e) => e.stopPropagation()}
+            disabled={disabled}
+            className={inputClassName(disabled)}
+        >
+            <option value="">-- Select --</option>
+            {choices.map(choice => (
+                <option key={choice.id} value={choice.id}>{choice.name}</option>
+            ))}
+        </select>
+    );
+}
+
+/**
+ * Multi-select list box with the selected names listed below it
+ */
+function MultiSelectList({options, selectedIds, onChange, disabled}) {
+    return (
+        <>
+            <select
+                multiple
+                value={selectedIds}
+                onChange={(e) => onChange(Array.from(e.target.selectedOptions, option => option.value))}
+                onClick={(e) => e.stopPropagation()}
+                disabled={disabled}
+                size={Math.min(options.length + 1, 4)}
+                className={inputClassName(disabled)}
+            >
+                {options.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+            </select>
+            {selectedIds.length > 0 && (
+                <div className="mt-1 text-xs text-gray-gray500 dark:text-gray-gray400">
+                    Selected: {selectedIds.map(id => options.find(option => option.id === id)?.label).filter(Boolean).join(', ')}
+                </div>
+            )}
+        </>
+    );
+}
+
+function MultipleSelectsEditor({value, field, disabled, onSave}) {
+    const options = (field.config.options?.choices || []).map(choice => ({id: choice.id, label: choice.name}));
+    const [selectedIds, setSelectedIds, resetSelectedIds] = useDraft(value, getIds);
+    const handleChange = async (nextIds) => {
+        setSelectedIds(nextIds);
+        if (!(await onSave(nextIds.map(id => ({id}))))) resetSelectedIds();
+    };
+    return <MultiSelectList options={options} selectedIds={selectedIds} onChange={handleChange} disabled={disabled} />;
+}
+
+/**
+ * Record link editor. Options come from editing.linkOptions when the column provides them
+ * (e.g. the Task catalog), otherwise from the linked table.
+ */
+function RecordLinkEditor({value, field, record, disabled, onSave, editing}) {
+    const configuredOptions = editing.linkOptions && editing.linkOptions.length > 0 ? editing.linkOptions : null;
+    const [fetchedOptions, setFetchedOptions] = useState([]);
+    const [selectedIds, setSelectedIds, resetSelectedIds] = useDraft(value, getIds);
+
+    useEffect(() => {
+        if (configuredOptions) return;
+        let isCurrent = true;
+        record.fetchForeignRecordsAsync(field, '')
+            .then(result => {
+                if (isCurrent) setFetchedOptions(result.records);
+            })
+            .catch(error => console.error('Error fetching linked records:', error));
+        return () => {
+            isCurrent = false;
+        };
+    }, [record, field, configuredOptions]);
+
+    const getOptionLabel = editing.getOptionLabel || (option => option.displayName || option.name || option.id);
+    const linkedRecords = configuredOptions || fetchedOptions;
+    // Keep linked records that are not (or not yet) among the options selectable
+    const missingRecords = (Array.isArray(value) ? value : [])
+        .filter(item => item?.id && !linkedRecords.some(option => option.id === item.id));
+    const options = [...linkedRecords, ...missingRecords].map(option => ({id: option.id, label: getOptionLabel(option)}));
+
+    const handleChange = async (nextIds) => {
+        setSelectedIds(nextIds);
+        if (!(await onSave(nextIds.map(id => ({id}))))) resetSelectedIds();
+    };
+
+    const isSingleLink = editing.singleLink || field.config.options?.prefersSingleRecordLink;
+    if (!isSingleLink) {
+        return <MultiSelectList options={options} selectedIds={selectedIds} onChange={handleChange} disabled={disabled} />;
+    }
+    return (
+        <select
+            value={selectedIds[0] || ''}
+            onChange={(e) => handleChange(e.target.value ? [e.target.value] : [])}
+            onClick={(e) => e.stopPropagation()}
+            disabled={disabled}
+            className={inputClassName(disabled)}
+        >
+            <option value="">Select {field.name}</option>
+            {options.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+        </select>
+    );
+}
+
+/**
+ * Date editor: a calendar limited to the open dates when the period is restricted,
+ * otherwise the browser's date (or date and time) input
+ */
+function DateEditor({value, field, record, disabled, onSave, availableDates}) {
+    const [showCalendar, setShowCalendar] = useState(false);
+    const fieldType = field.config.type;
+    const toDraft = (current) => formatDateInput(current, fieldType);
+    const [draft, setDraft, resetDraft] = useDraft(value, toDraft);
+
+    const save = async (nextValue) => {
+        if (!(await onSave(nextValue))) resetDraft();
+    };
+
+    if (fieldType === FieldType.DATE && availableDates) {
+        const selectedDate = parseDateValue(draft);
+        return (
+            <>
+                {showCalendar && createPortal(
+                    <CalendarPicker
+                        key={`calendar-${record.id}-${field.id}`}
+                        selectedDate={selectedDate}
+                        onDateSelect={(date) => {
+                            setShowCalendar(false);
+                            setDraft(formatDateToString(date));
+                            save(formatDateToString(date));
+                        }}
+                        availableDates={availableDates}
+                        onClose={() => setShowCalendar(false)}
+                    />,
+                    document.body
+                )}
+                <input
+                    type="text"
+                    value={selectedDate ? formatDateToString(selectedDate) : ''}
+                    readOnly
+                    disabled={disabled}
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        if (!disabled) setShowCalendar(true);
+                    }}
+                    placeholder="Click to select date"
+                    className={`${inputClassName(disabled)} ${disabled ? '' : 'cursor-pointer'}`}
+                />
+            </>
+        );
+    }
+
+    const handleCommit = () => {
+        const nextValue = draft === '' ? null : (fieldType === FieldType.DATE ? draft : new Date(draft));
+        if (draft === toDraft(value)) return;
+        save(nextValue);
+    };
+    return (
+        <TypedInput
+            draft={draft}
+            setDraft={setDraft}
+            resetDraft={resetDraft}
+            onCommit={handleCommit}
+            disabled={disabled}
+            type={fieldType === FieldType.DATE ? 'date' : 'datetime-local'}
+        />
+    );
+}
+
+// Date cell values are "YYYY-MM-DD" strings, date-time values are ISO timestamps shown in local time
+function formatDateInput(value, fieldType) {
+    if (!value) return '';
+    if (fieldType === FieldType.DATE) {
+        const date = parseDateValue(value);
+        return date ? formatDateToString(date) : '';
+    }
+    return formatDisplayValue(new Date(value), fieldType);
+}
+
+/**
+ * Editors keyed by field type. Field types without an editor (formulas, lookups, rollups,
+ * collaborators, attachments, ...) are shown read-only.
+ */
+export const CELL_EDITORS = {
+    [FieldType.SINGLE_LINE_TEXT]: TextEditor,
+    [FieldType.MULTILINE_TEXT]: TextEditor,
+    [FieldType.EMAIL]: TextEditor,
+    [FieldType.URL]: TextEditor,
+    [FieldType.PHONE_NUMBER]: TextEditor,
+    [FieldType.NUMBER]: NumberEditor,
+    [FieldType.CURRENCY]: NumberEditor,
+    [FieldType.PERCENT]: NumberEditor,
+    [FieldType.DURATION]: DurationEditor,
+    [FieldType.CHECKBOX]: CheckboxEditor,
+    [FieldType.SINGLE_SELECT]: SingleSelectEditor,
+    [FieldType.MULTIPLE_SELECTS]: MultipleSelectsEditor,
+    [FieldType.MULTIPLE_RECORD_LINKS]: RecordLinkEditor,
+    [FieldType.DATE]: DateEditor,
+    [FieldType.DATE_TIME]: DateEditor,
+};
+
+/**
+ * Get the inline editor for a field
+ * @param {Field} field - The field to edit
+ * @returns {Function|null} Editor component, or null when the field type cannot be edited inline
+ */
+export function getCellEditor(field) {
+    return CELL_EDITORS[field?.config?.type] || null;
+}
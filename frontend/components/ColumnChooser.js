@@ -0,0 +1,112 @@
+import {createPortal} from 'react-dom';
+import {DEFAULT_COLUMN_WIDTH, MIN_COLUMN_WIDTH} from '../utils/columnLayout';
+
+/**
+ * Column chooser: show or hide table columns, reorder them and set their width.
+ * Changes apply immediately and are saved per user.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the chooser is open
+ * @param {Function} props.onClose - Callback to close the chooser
+ * @param {Array<{key: string, label: string}>} props.availableColumns - Columns from getAvailableColumns
+ * @param {{columns: Array<string>, widths: Object}} props.layout - Current layout
+ * @param {Function} props.onChange - Callback with the new layout
+ * @param {Function} props.onReset - Callback to go back to the default layout
+ */
+export function ColumnChooser({isOpen, onClose, availableColumns, layout, onChange, onReset}) {
+    if (!isOpen) return null;
+
+    const columnsByKey = new Map(availableColumns.map(column => [column.key, column]));
+    const visibleKeys = layout.columns.filter(key => columnsByKey.has(key));
+    const hiddenColumns = availableColumns.filter(column => !visibleKeys.includes(column.key));
+
+    const setVisibleKeys = (keys) => onChange({...layout, columns: keys});
+
+    const moveColumn = (index, offset) => {
+        const keys = [...visibleKeys];
+        [keys[index], keys[index + offset]] = [keys[index + offset], keys[index]];
+        setVisibleKeys(keys);
+    };
+
+    const setWidth = (key, value) => {
+        const width = Math.max(MIN_COLUMN_WIDTH, parseInt(value, 10) || DEFAULT_COLUMN_WIDTH);
+        onChange({...layout, widths: {...layout.widths, [key]: width}});
+    };
+
+    const rowClassName = 'flex items-center gap-2 py-1 text-sm text-gray-gray900 dark:text-gray-gray100';
+    const moveButtonClassName = 'px-2 text-gray-gray600 dark:text-gray-gray400 hover:text-blue-blue disabled:opacity-30 disabled:cursor-not-allowed';
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-gray800 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6">
+                    <h2 className="text-xl font-bold mb-4 text-gray-gray900 dark:text-gray-gray100">
+                        Columns
+                    </h2>
+
+                    <h3 className="text-xs font-semibold uppercase tracking-wider text-gray-gray500 dark:text-gray-gray400 mb-1">Shown</h3>
+                    {visibleKeys.length === 0 && (
+                        <p className="py-1 text-sm text-gray-gray500 dark:text-gray-gray400">No columns are shown.</p>
+                    )}
+                    {visibleKeys.map((key, index) => (
+                        <div key={key} className={rowClassName}>
+                            <input
+                                type="checkbox"
+                                checked
+                                onChange={() => setVisibleKeys(visibleKeys.filter(visibleKey => visibleKey !== key))}
+                            />
+                            <span className="flex-1 truncate">{columnsByKey.get(key).label}</span>
+                            <button onClick={() => moveColumn(index, -1)} disabled={index === 0} title="Move up" className={moveButtonClassName}>
+                                ↑
+                            </button>
+                            <button onClick={() => moveColumn(index, 1)} disabled={index === visibleKeys.length - 1} title="Move down" className={moveButtonClassName}>
+                                ↓
+                            </button>
+                            <input
+                                key={`width-${layout.widths[key] || DEFAULT_COLUMN_WIDTH}`}
+                                type="number"
+                                min={MIN_COLUMN_WIDTH}
+                                step={10}
+                                defaultValue={layout.widths[key] || DEFAULT_COLUMN_WIDTH}
+                                onBlur={(e) => setWidth(key, e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') e.target.blur();
+                                }}
+                                title="Width in pixels"
+                                className="w-20 px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800"
+                            />
+                        </div>
+                    ))}
+
+                    {hiddenColumns.length > 0 && (
+                        <>
+                            <h3 className="text-xs font-semibold uppercase tracking-wider text-gray-gray500 dark:text-gray-gray400 mt-4 mb-1">Hidden</h3>
+                            {hiddenColumns.map(column => (
+                                <label key={column.key} className={`${rowClassName} cursor-pointer`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={false}
+                                        onChange={() => setVisibleKeys([...visibleKeys, column.key])}
+                                    />
+                                    <span className="flex-1 truncate">{column.label}</span>
+                                </label>
+                            ))}
+                        </>
+                    )}
+
+                    <div className="flex justify-between mt-6">
+                        <button onClick={onReset} className="text-sm text-blue-blue hover:underline">
+                            Reset to default
+                        </button>
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-white bg-blue-blue rounded-md hover:bg-blue-blue600"
+                        >
+                            Done
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
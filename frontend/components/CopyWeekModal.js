@@ -0,0 +1,193 @@
+import {useState, useEffect} from 'react';
+import {createPortal} from 'react-dom';
+import {MutationProgress} from './MutationProgress';
+import {addDays, formatDateToString, isDateAvailable, parseDateValue} from '../utils/dateUtils';
+import {toWritableCellValue} from '../utils/recordUtils';
+import {createRecords} from '../utils/mutationService';
+
+/**
+ * Modal for copying the logged-in user's entries from the previous week into a target week
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Table} props.timesheetTable - Timesheet table
+ * @param {Array} props.sourceRecords - The logged-in user's records (last week's entries are picked from these)
+ * @param {Date} props.targetWeekStart - Monday of the week entries are copied into
+ * @param {Object} props.fields - Field references: date, task, timeTaskType, individualHours, timesheetNotes, name
+ * @param {Object} props.stampFields - Fields stamping new records with the logged-in user
+ * @param {Set<string>} props.availableDates - Set of open date strings (YYYY-MM-DD format)
+ * @param {Function} props.onRecordsCreated - Callback after records have been created
+ */
+export function CopyWeekModal({
+    isOpen,
+    onClose,
+    timesheetTable,
+    sourceRecords,
+    targetWeekStart,
+    fields,
+    stampFields,
+    availableDates,
+    onRecordsCreated
+}) {
+    const [keepHours, setKeepHours] = useState(true);
+    const [isCreating, setIsCreating] = useState(false);
+    const [progress, setProgress] = useState(null);
+
+    // Reset options when modal closes
+    useEffect(() => {
+        if (!isOpen) {
+            setKeepHours(true);
+            setIsCreating(false);
+            setProgress(null);
+        }
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const {date, task, timeTaskType, individualHours, timesheetNotes, name} = fields;
+    const sourceWeekStart = addDays(targetWeekStart, -7);
+    const sourceWeekStrs = new Set([0, 1, 2, 3, 4, 5, 6].map(offset => formatDateToString(addDays(sourceWeekStart, offset))));
+
+    // Build the preview: each of last week's entries shifted by seven days
+    const previewItems = date ? sourceRecords
+        .map(record => ({record, sourceDate: parseDateValue(record.getCellValue(date))}))
+        .filter(({sourceDate}) => sourceDate && sourceWeekStrs.has(formatDateToString(sourceDate)))
+        .sort((a, b) => a.sourceDate - b.sourceDate)
+        .map(({record, sourceDate}) => {
+            const targetDate = addDays(sourceDate, 7);
+            return {
+                record,
+                sourceDate,
+                targetDate,
+                isSkipped: !isDateAvailable(targetDate, availableDates)
+            };
+        }) : [];
+    const itemsToCreate = previewItems.filter(item => !item.isSkipped);
+    const canCreate = timesheetTable?.hasPermissionToCreateRecords?.() ?? false;
+
+    const buildFields = (item) => {
+        const fieldsToSet = {
+            ...stampFields,
+            [date.id]: formatDateToString(item.targetDate)
+        };
+        // Copy the descriptive fields of the entry
+        [task, timeTaskType, timesheetNotes, name].forEach(field => {
+            if (!field || field.isComputed) return;
+            const value = toWritableCellValue(field, item.record.getCellValue(field));
+            if (value !== null && !(Array.isArray(value) && value.length === 0)) {
+                fieldsToSet[field.id] = value;
+            }
+        });
+        if (individualHours) {
+            fieldsToSet[individualHours.id] = keepHours ? item.record.getCellValue(individualHours) : 0;
+        }
+        return fieldsToSet;
+    };
+
+    const handleCreate = async () => {
+        if (itemsToCreate.length === 0) return;
+        if (!canCreate) {
+            alert('You do not have permission to create records. Please enable record creation permissions for this Interface Extension.');
+            return;
+        }
+
+        setIsCreating(true);
+        const recordsToCreate = itemsToCreate.map(buildFields);
+        const results = await createRecords(timesheetTable, recordsToCreate, {onProgress: setProgress});
+        setIsCreating(false);
+        setProgress(null);
+
+        const createdCount = results.filter(result => result.success).length;
+        if (createdCount > 0 && onRecordsCreated) onRecordsCreated(createdCount);
+        const failedResult = results.find(result => !result.success);
+        if (failedResult) {
+            alert(`Copied ${createdCount} of ${recordsToCreate.length} entries. Failed to copy the rest: ` + (failedResult.error.message || 'Unknown error occurred.'));
+            return;
+        }
+        onClose();
+    };
+
+    const cellClassName = 'px-3 py-2 text-sm border-b border-gray-gray100 dark:border-gray-gray600 text-gray-gray900 dark:text-gray-gray100';
+    const headerClassName = 'px-3 py-2 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500';
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-gray800 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6">
+                    <h2 className="text-xl font-bold text-gray-gray900 dark:text-gray-gray100 mb-2">
+                        Copy last week
+                    </h2>
+                    <p className="text-sm text-gray-gray700 dark:text-gray-gray300 mb-4">
+                        Entries from {formatDateToString(sourceWeekStart)} – {formatDateToString(addDays(sourceWeekStart, 6))} will
+                        be copied to {formatDateToString(targetWeekStart)} – {formatDateToString(addDays(targetWeekStart, 6))}.
+                    </p>
+
+                    <div className="flex items-center gap-4 mb-4 text-sm text-gray-gray900 dark:text-gray-gray100">
+                        <label className="flex items-center gap-2">
+                            <input type="radio" checked={keepHours} onChange={() => setKeepHours(true)} />
+                            Keep hours
+                        </label>
+                        <label className="flex items-center gap-2">
+                            <input type="radio" checked={!keepHours} onChange={() => setKeepHours(false)} />
+                            Set hours to 0
+                        </label>
+                    </div>
+
+                    {previewItems.length === 0 ? (
+                        <p className="py-6 text-center text-sm text-gray-gray500 dark:text-gray-gray400">
+                            You have no entries last week.
+                        </p>
+                    ) : (
+                        <table className="w-full border-collapse table-auto">
+                            <thead className="bg-gray-gray100 dark:bg-gray-gray600">
+                                <tr>
+                                    <th className={headerClassName}>Date</th>
+                                    <th className={headerClassName}>Task</th>
+                                    <th className={headerClassName}>Time Task Type</th>
+                                    <th className={headerClassName}>Hours</th>
+                                    <th className={headerClassName}>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {previewItems.map(item => (
+                                    <tr key={item.record.id} className={item.isSkipped ? 'opacity-50' : ''}>
+                                        <td className={cellClassName}>
+                                            {formatDateToString(item.sourceDate)} → {formatDateToString(item.targetDate)}
+                                        </td>
+                                        <td className={cellClassName}>{task ? item.record.getCellValueAsString(task) : ''}</td>
+                                        <td className={cellClassName}>{timeTaskType ? item.record.getCellValueAsString(timeTaskType) : ''}</td>
+                                        <td className={cellClassName}>
+                                            {individualHours ? (keepHours ? item.record.getCellValueAsString(individualHours) : '0') : ''}
+                                        </td>
+                                        <td className={cellClassName}>
+                                            {item.isSkipped ? 'Skipped – period not open' : 'Will be created'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    <MutationProgress progress={progress} label="Creating" />
+
+                    <div className="flex justify-end gap-3 mt-6">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-gray-gray700 dark:text-gray-gray300 bg-gray-gray200 dark:bg-gray-gray600 rounded-md hover:bg-gray-gray300 dark:hover:bg-gray-gray500"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleCreate}
+                            disabled={isCreating || itemsToCreate.length === 0 || !canCreate}
+                            className="px-4 py-2 text-sm font-medium text-white bg-blue-blue rounded-md hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {isCreating ? 'Creating...' : `Create ${itemsToCreate.length} entr${itemsToCreate.length === 1 ? 'y' : 'ies'}`}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -1,8 +1,14 @@
-import {useState, useEffect, useCallback, useRef} from 'react';
+import {useState, useEffect, useCallback} from 'react';
 import {createPortal} from 'react-dom';
 import {FieldType} from '@airtable/blocks/interface/models';
 import {CalendarPicker} from './CalendarPicker';
-import {getAvailableDates} from '../utils/dateUtils';
+import {ConfirmationModal} from './ConfirmationModal';
+import {getAvailableDates, isDateAvailable} from '../utils/dateUtils';
+import {buildUserStampFields, toWritableCellValue} from '../utils/recordUtils';
+import {waitForWriteSlot} from '../utils/mutationService';
+import {getProjectOptions, getTaskLabel, searchTasks} from '../utils/taskCatalog';
+import {formatRuleWarning} from '../utils/validationRules';
+import {findUserNameByEmail, findUserRecordByEmail, getUserLinkOptions, getUserName} from '../utils/userUtils';
 
 /**
  * Modal component for creating new records
@@ -14,13 +20,20 @@ export function CreateRecordModal({
     fields,
     onRecordCreated,
     session,
-    usersTable,
     usersRecords,
+    usersFields = {}, // Email and Name fields of the Users Table, from resolveFields
     monthRecords,
     monthStatusField,
     monthStartDateField,
     monthEndDateField,
-    taskRecords = [] // Pre-fetched Task records from parent component
+    taskRecords = [], // Tasks from the Task catalog
+    defaultDate = null, // Date new entries default to (e.g. within the selected period)
+    undoHistory = null, // Undo/redo history from useUndoHistory
+    writeQueue = null, // Write queue from useWriteQueue; when set, the record is queued instead of created directly
+    weekLocks = null, // Approved weeks of the logged-in user; their dates cannot be picked
+    initialValues = null, // Form values to start with, by field key (e.g. from the timer)
+    validateEntry = null, // Returns the messages of the validation rules the form values break
+    findDuplicates = null // Returns the existing entries the form values would duplicate
 }) {
     const [formValues, setFormValues] = useState({});
     const [showCalendar, setShowCalendar] = useState(false);
@@ -28,163 +41,39 @@ export function CreateRecordModal({
     const [linkedRecords, setLinkedRecords] = useState({});
     const [searchTerms, setSearchTerms] = useState({});
     const [showDropdowns, setShowDropdowns] = useState({});
-    const [isFetchingTaskRecords, setIsFetchingTaskRecords] = useState(false);
-    const hasTriggeredTaskFetch = useRef(false);
+    const [showDuplicateConfirm, setShowDuplicateConfirm] = useState(false);
 
-    // Helper function to find user name from Users Table based on email
-    const findUserNameByEmail = useCallback((email) => {
-        if (!usersTable || !email || !usersRecords) return null;
-        
-        const emailField = usersTable.fields.find(f => f.name === 'Email');
-        const nameField = usersTable.fields.find(f => f.name === 'Name');
-        
-        if (!emailField || !nameField) return null;
-        
-        const userRecord = usersRecords.find(record => {
-            const recordEmail = record.getCellValue(emailField);
-            return recordEmail && String(recordEmail).toLowerCase() === String(email).toLowerCase();
-        });
-        
-        if (userRecord) {
-            return userRecord.getCellValue(nameField);
-        }
-        
-        return null;
-    }, [usersTable, usersRecords]);
+    // Find a person's name in the Users Table by email
+    const findUserName = useCallback(
+        (email) => findUserNameByEmail(usersRecords, usersFields, email),
+        [usersRecords, usersFields]
+    );
 
-    const handleLinkedRecordSearch = useCallback(async (fieldKey, field, term) => {
-        // For Task field, use pre-fetched records from parent component (no temporary record needed)
-        if (fieldKey === 'task' && taskRecords.length > 0 && !term) {
-            console.log('[Modal] Using pre-fetched Task records:', taskRecords.length);
-            setLinkedRecords(prev => ({
-                ...prev,
-                [fieldKey]: taskRecords
-            }));
-            return;
-        }
-        
-        // For Name field, use Users Table records directly (no temporary record needed)
-        if (fieldKey === 'name' && usersTable && usersRecords && usersRecords.length > 0 && !term) {
-            console.log('[Modal] Using Users Table records for Name field:', usersRecords.length);
-            // Get the Name field from Users Table
-            const usersNameField = usersTable.fields.find(f => f.name === 'Name');
-            if (usersNameField) {
-                const nameRecords = usersRecords.map(record => {
-                    const nameValue = record.getCellValue(usersNameField);
-                    return {
-                        id: record.id,
-                        displayName: nameValue ? String(nameValue) : record.name || record.id,
-                        name: nameValue ? String(nameValue) : record.name || record.id
-                    };
-                });
-                setLinkedRecords(prev => ({
-                    ...prev,
-                    [fieldKey]: nameRecords
-                }));
-                console.log('[Modal] Set Name records from Users Table:', nameRecords.map(r => r.displayName));
-                return;
-            }
-        }
-        
-        // Check if records are already loaded for this field (unless searching)
-        const existingRecords = linkedRecords[fieldKey];
-        if (existingRecords && existingRecords.length > 0 && !term) {
-            console.log('Records already loaded, skipping fetch');
-            return; // Already have records and not searching
-        }
-        
-        // Prevent multiple simultaneous fetches for the same field
-        if (fieldKey === 'task' && isFetchingTaskRecords) {
-            console.log('Task fetch already in progress, skipping');
-            return;
-        }
+    // Load the options of a linked record picker from records that are already loaded
+    // (Task catalog, Users Table), filtered by the search term
+    const handleLinkedRecordSearch = useCallback((fieldKey, field, term) => {
+        setSearchTerms(prev => ({...prev, [fieldKey]: term}));
         
+        let options = [];
         if (fieldKey === 'task') {
-            setIsFetchingTaskRecords(true);
+            options = searchTasks(taskRecords, term);
+        } else if (fieldKey === 'name' && usersRecords) {
+            options = getUserLinkOptions(usersRecords, usersFields.name);
+        } else if (fieldKey === 'projectFromTask') {
+            options = getProjectOptions(taskRecords);
+        } else {
+            console.warn('[Modal] No option source for linked field:', field?.name);
         }
         
-        setSearchTerms(prev => ({...prev, [fieldKey]: term}));
-        
-        let tempRecordId = null;
-        
-        try {
-            console.log('Fetching linked records...', { fieldKey, term });
-            // For linked records, we need to create a temporary record to use fetchForeignRecordsAsync
-            // This is because fetchForeignRecordsAsync is a method on Record, not Table
-            // Add a small delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
-            tempRecordId = await timesheetTable.createRecordAsync({});
-            console.log('Created temporary record:', tempRecordId);
-            const tempRecord = timesheetTable.getRecordByIdIfExists(tempRecordId);
-            
-            if (tempRecord) {
-                // Use empty string for term to get all available records (same as table)
-                // fetchForeignRecordsAsync fetches records from the linked table
-                // For Task field: fetches from "Tasks for Timesheet" table
-                // For Name field: fetches from "Users Table"
-                console.log('[Modal] Fetching linked records for field:', {
-                    fieldKey,
-                    fieldName: field.name,
-                    fieldId: field.id,
-                    fieldType: field.config?.type,
-                    linkedTableId: field.config?.options?.linkedTableId
-                });
-                const result = await tempRecord.fetchForeignRecordsAsync(field, term || '');
-                console.log('[Modal] Fetched linked records:', {
-                    fieldKey,
-                    count: result.records.length,
-                    records: result.records.map(r => ({id: r.id, displayName: r.displayName, name: r.name}))
-                });
-                
-                // Store records the same way as table - preserve full record structure
-                // displayName contains the Name field value from the linked table
-                setLinkedRecords(prev => {
-                    const newRecords = result.records.map(r => ({
-                        id: r.id,
-                        displayName: r.displayName || r.name || r.id,
-                        ...r // Preserve all properties from the record
-                    }));
-                    console.log('Setting linked records for', fieldKey, ':', newRecords.length, 'records with names:', newRecords.map(r => r.displayName));
-                    return {
-                        ...prev,
-                        [fieldKey]: newRecords
-                    };
-                });
-            }
-        } catch (error) {
-            console.error('Error fetching linked records:', error);
-            // If rate limited, don't throw - just log
-            if (error.message && error.message.includes('15 mutations')) {
-                console.warn('Rate limit hit, skipping fetch');
-            }
-        } finally {
-            // Always clean up: delete the temporary record
-            if (tempRecordId) {
-                try {
-                    // Add delay before deletion to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 150));
-                    await timesheetTable.deleteRecordAsync(tempRecordId);
-                    console.log('Deleted temporary record:', tempRecordId);
-                } catch (deleteError) {
-                    console.error('Failed to delete temporary record:', deleteError);
-                    // Try again after a longer delay
-                    setTimeout(async () => {
-                        try {
-                            await timesheetTable.deleteRecordAsync(tempRecordId);
-                            console.log('Deleted temporary record on retry:', tempRecordId);
-                        } catch (retryError) {
-                            console.error('Failed to delete temporary record on retry:', retryError);
-                        }
-                    }, 500);
-                }
-            }
-            
-            if (fieldKey === 'task') {
-                setIsFetchingTaskRecords(false);
-            }
+        if (fieldKey !== 'task' && term) {
+            const normalizedTerm = term.toLowerCase();
+            options = options.filter(option => option.displayName.toLowerCase().includes(normalizedTerm));
         }
-    }, [timesheetTable, linkedRecords, isFetchingTaskRecords, taskRecords]);
+        setLinkedRecords(prev => ({
+            ...prev,
+            [fieldKey]: options
+        }));
+    }, [taskRecords, usersRecords, usersFields]);
 
     // Auto-populate Name and Created By 2 fields when modal opens
     useEffect(() => {
@@ -202,7 +91,7 @@ export function CreateRecordModal({
             console.log('[Modal] Logged-in user email:', userEmail);
             
             // Find Name in Users Table using the email
-            userName = findUserNameByEmail(userEmail);
+            userName = findUserName(userEmail);
             if (userName) {
                 console.log('[Modal] Found Name in Users Table:', userName);
             } else {
@@ -259,18 +148,24 @@ export function CreateRecordModal({
             console.warn('[Modal] Could not determine user name. Session:', session?.currentUser);
         }
         
-        // Pre-populate Task records if available from parent component
-        if (taskRecords.length > 0) {
-            console.log('[Modal] Pre-populating Task records on modal open:', taskRecords.length);
-            setLinkedRecords(prev => ({
+        // Default the Date field to the selected period, if that date is open
+        if (defaultDate) {
+            const availableDates = getAvailableDates(monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks?.weekStarts);
+            if (isDateAvailable(defaultDate, availableDates)) {
+                setFormValues(prev => ({
+                    ...prev,
+                    date: defaultDate
+                }));
+            }
+        }
+        
+        if (initialValues) {
+            setFormValues(prev => ({
                 ...prev,
-                task: taskRecords
+                ...initialValues
             }));
         }
         
-        // Don't fetch Task records automatically when modal opens (unless pre-fetched)
-        // Wait until user interacts with the Task field to avoid creating temporary records unnecessarily
-        // Task records will be fetched when the user clicks on the Task dropdown
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [isOpen]); // Only depend on isOpen to run once when modal opens
 
@@ -283,11 +178,17 @@ export function CreateRecordModal({
             setLinkedRecords({});
             setSearchTerms({});
             setShowDropdowns({});
+            setShowDuplicateConfirm(false);
         }
     }, [isOpen]);
 
     if (!isOpen) return null;
 
+    const ruleMessages = validateEntry ? validateEntry(formValues) : [];
+    // Messages are listed once hours or a task have been filled in, not on an empty form
+    const showRuleMessages = ruleMessages.length > 0 && (formValues.individualHours != null || !!formValues.task);
+    const duplicateRecords = findDuplicates ? findDuplicates(formValues) : [];
+
     const handleFieldChange = (fieldKey, value) => {
         setFormValues(prev => ({
             ...prev,
@@ -301,7 +202,17 @@ export function CreateRecordModal({
         setCalendarField(null);
     };
 
+    // Ask before creating an entry that duplicates an existing one
+    const handleCreateClick = () => {
+        if (duplicateRecords.length > 0) {
+            setShowDuplicateConfirm(true);
+            return;
+        }
+        handleCreate();
+    };
+
     const handleCreate = async () => {
+        setShowDuplicateConfirm(false);
         if (!timesheetTable) {
             alert('Timesheet table is not configured.');
             return;
@@ -318,11 +229,9 @@ export function CreateRecordModal({
                 if (value === undefined || value === null || value === '') return;
                 
                 const fieldType = field.config.type;
-                const fieldName = field.name || '';
-                const isEmailFromNameField = fieldName === 'Email (from Name)';
                 
                 // Skip Email (from Name) field - it's a computed/lookup field and cannot be set directly
-                if (isEmailFromNameField) return;
+                if (key === 'emailFromName') return;
                 
                 if (fieldType === FieldType.SINGLE_SELECT || fieldType === FieldType.MULTIPLE_SELECTS) {
                     // For select fields, value should be {id: optionId} or array of {id: optionId}
@@ -347,9 +256,9 @@ export function CreateRecordModal({
                         });
                     }
                 } else if (fieldType === FieldType.DATE || fieldType === FieldType.DATE_TIME) {
-                    // For date fields, value should be a Date object or ISO string
+                    // For date fields, value should be a Date object or ISO string; a date is the local calendar day
                     if (value instanceof Date) {
-                        fieldsToSet[field.id] = value.toISOString().split('T')[0];
+                        fieldsToSet[field.id] = toWritableCellValue(field, value);
                     } else if (typeof value === 'string') {
                         fieldsToSet[field.id] = value;
                     }
@@ -374,59 +283,42 @@ export function CreateRecordModal({
             let userName = null;
             const userEmail = session?.currentUser?.email;
             if (userEmail) {
-                userName = findUserNameByEmail(userEmail);
+                userName = findUserName(userEmail);
             } else if (session?.currentUser?.name) {
                 userName = session.currentUser.name;
             }
             
-            // Always set Created By 2 field programmatically with logged-in user's name
-            const createdBy2Field = fields.find(f => f.key === 'createdBy2' || f.field?.name === 'Created By 2')?.field;
-            if (createdBy2Field && userName) {
-                const createdBy2FieldType = createdBy2Field.config.type;
-                if (createdBy2FieldType === FieldType.SINGLE_SELECT) {
-                    const createdBy2Options = createdBy2Field.config?.options?.choices || [];
-                    const matchingCreatedBy2Option = createdBy2Options.find(opt => 
-                        opt.name && opt.name.toLowerCase() === userName.toLowerCase()
-                    );
-                    if (matchingCreatedBy2Option) {
-                        // Set Created By 2 field programmatically
-                        fieldsToSet[createdBy2Field.id] = {id: matchingCreatedBy2Option.id};
-                        console.log('[Modal] Created By 2 field set programmatically:', matchingCreatedBy2Option.name);
-                    } else {
-                        console.warn('[Modal] Created By 2 field option not found for:', userName);
-                    }
-                } else if (createdBy2FieldType === FieldType.SINGLE_LINE_TEXT || createdBy2FieldType === FieldType.MULTILINE_TEXT) {
-                    // For text fields, set directly
-                    fieldsToSet[createdBy2Field.id] = userName;
-                    console.log('[Modal] Created By 2 field (text) set programmatically:', userName);
-                }
-            }
+            // Always stamp Created By 2 and User Email fields with the logged-in user
+            const createdBy2Field = fields.find(f => f.key === 'createdBy2')?.field;
+            const userEmailField = fields.find(f => f.key === 'userEmail')?.field;
+            Object.assign(fieldsToSet, buildUserStampFields({
+                createdBy2Field,
+                userEmailField,
+                userName,
+                userEmail
+            }));
             
-            // Always set User Email field programmatically with logged-in user's email
-            const userEmailField = fields.find(f => f.key === 'userEmail' || f.field?.name === 'Email of the logged in user')?.field;
-            console.log('[Modal] Setting User Email field:', {
-                userEmailField: userEmailField ? {id: userEmailField.id, name: userEmailField.name, type: userEmailField.config?.type} : null,
-                hasSession: !!session,
-                hasCurrentUser: !!session?.currentUser,
-                userEmail: session?.currentUser?.email,
-                allFieldKeys: fields.map(f => ({key: f.key, fieldName: f.field?.name}))
-            });
-            if (userEmailField && session?.currentUser?.email) {
-                const loggedInUserEmail = session.currentUser.email;
-                // Set User Email field with logged-in user's email
-                fieldsToSet[userEmailField.id] = loggedInUserEmail;
-                console.log('[Modal] User Email field set programmatically:', loggedInUserEmail);
-            } else {
-                console.warn('[Modal] Cannot set User Email field:', {
-                    hasUserEmailField: !!userEmailField,
-                    hasEmail: !!session?.currentUser?.email,
-                    sessionInfo: session ? {hasCurrentUser: !!session.currentUser, email: session.currentUser?.email} : 'no session'
-                });
+            // Broken validation rules go into Warning, unless a warning was typed in the form
+            const warningField = fields.find(f => f.key === 'warning')?.field;
+            if (warningField && ruleMessages.length > 0 && !formValues.warning) {
+                fieldsToSet[warningField.id] = formatRuleWarning(ruleMessages);
             }
             
             console.log('[Modal] Creating record with fieldsToSet:', fieldsToSet);
-            await timesheetTable.createRecordAsync(fieldsToSet);
-            console.log('[Modal] Record created successfully');
+            if (writeQueue) {
+                // The modal closes right away; a creation that finally fails is reported when it gives up
+                writeQueue.enqueueCreate(fieldsToSet).then(newRecordId => {
+                    if (undoHistory) undoHistory.recordCreate(timesheetTable, newRecordId, fieldsToSet);
+                }).catch(error => {
+                    console.error('[Modal] Queued record creation failed:', error);
+                    alert('Failed to create record: ' + (error.message || 'Unknown error occurred.'));
+                });
+            } else {
+                await waitForWriteSlot();
+                const newRecordId = await timesheetTable.createRecordAsync(fieldsToSet);
+                console.log('[Modal] Record created successfully');
+                if (undoHistory) undoHistory.recordCreate(timesheetTable, newRecordId, fieldsToSet);
+            }
             onRecordCreated();
             onClose();
         } catch (error) {
@@ -452,10 +344,10 @@ export function CreateRecordModal({
         const fieldName = field.name || '';
         const fieldType = field.config.type;
         const value = formValues[key];
-        const isNameField = fieldName === 'Name' || key === 'name';
-        const isCreatedBy2Field = fieldName === 'Created By 2';
-        const isEmailFromNameField = fieldName === 'Email (from Name)';
-        const isUserEmailField = fieldName === 'Email of the logged in user' || key === 'userEmail';
+        const isNameField = key === 'name';
+        const isCreatedBy2Field = key === 'createdBy2';
+        const isEmailFromNameField = key === 'emailFromName';
+        const isUserEmailField = key === 'userEmail';
         
         // Debug log for Name field
         if (key === 'name' || isNameField) {
@@ -482,15 +374,15 @@ export function CreateRecordModal({
                 sessionCurrentUser: session?.currentUser
             });
         }
-        const isProjectImportField = fieldName === 'Project Import';
-        const isDateFieldEditable = fieldName === 'Date';
-        const isIndividualHoursField = fieldName === 'Individual Hours';
-        const isProjectFromTaskEditable = fieldName === 'Project from Task';
-        const isWarningField = fieldName === 'Warning';
-        const isTimesheetNotesField = fieldName === 'Timesheet Notes';
-        const isTimeTaskTypeField = fieldName === 'Time Task Type';
-        const isDeleteField = fieldName === 'Delete';
-        const isTaskField = fieldName === 'Task';
+        const isProjectImportField = key === 'projectImport';
+        const isDateFieldEditable = key === 'date';
+        const isIndividualHoursField = key === 'individualHours';
+        const isProjectFromTaskEditable = key === 'projectFromTask';
+        const isWarningField = key === 'warning';
+        const isTimesheetNotesField = key === 'timesheetNotes';
+        const isTimeTaskTypeField = key === 'timeTaskType';
+        const isDeleteField = key === 'delete';
+        const isTaskField = key === 'task';
         
         // Don't show Delete, Project Import, and User Email fields in modal
         if (isDeleteField || isProjectImportField || isUserEmailField) return null;
@@ -522,9 +414,7 @@ export function CreateRecordModal({
                                 const nameField = fields.find(f => f.key === 'name')?.field;
                                 if (nameField) {
                                     console.log('[Modal] Fetching Name records on focus (lazy loading)...');
-                                    handleLinkedRecordSearch('name', nameField, '').catch(error => {
-                                        console.error('[Modal] Error fetching Name records:', error);
-                                    });
+                                    handleLinkedRecordSearch('name', nameField, '');
                                 }
                             }
                         }}
@@ -568,22 +458,17 @@ export function CreateRecordModal({
         if (isEmailFromNameField) {
             // Get all emails from Users Table
             const emailOptions = [];
-            if (usersTable && usersRecords) {
-                const emailField = usersTable.fields.find(f => f.name === 'Email');
-                const nameField = usersTable.fields.find(f => f.name === 'Name');
-                if (emailField && nameField) {
-                    usersRecords.forEach(record => {
-                        const email = record.getCellValue(emailField);
-                        const name = record.getCellValue(nameField);
-                        if (email) {
-                            emailOptions.push({
-                                email: String(email),
-                                name: name ? String(name) : String(email),
-                                id: record.id
-                            });
-                        }
-                    });
-                }
+            if (usersFields.email && usersRecords) {
+                usersRecords.forEach(record => {
+                    const email = record.getCellValueAsString(usersFields.email);
+                    if (email) {
+                        emailOptions.push({
+                            email,
+                            name: usersFields.name ? getUserName(record, usersFields.name) : email,
+                            id: record.id
+                        });
+                    }
+                });
             }
             
             return (
@@ -598,30 +483,21 @@ export function CreateRecordModal({
                             handleFieldChange(key, selectedEmail);
                             
                             // Optionally update Name field when email is selected
-                            if (selectedEmail && usersTable && usersRecords) {
-                                const emailField = usersTable.fields.find(f => f.name === 'Email');
-                                const nameField = usersTable.fields.find(f => f.name === 'Name');
-                                if (emailField && nameField) {
-                                    const userRecord = usersRecords.find(record => {
-                                        const recordEmail = record.getCellValue(emailField);
-                                        return recordEmail && String(recordEmail).toLowerCase() === selectedEmail.toLowerCase();
-                                    });
-                                    if (userRecord) {
-                                        const userName = userRecord.getCellValue(nameField);
-                                        // Update Name field if it matches
-                                        const nameFieldConfig = fields.find(f => f.key === 'name')?.field;
-                                        if (nameFieldConfig && nameFieldConfig.config.type === FieldType.SINGLE_SELECT) {
-                                            const nameOptions = nameFieldConfig.config?.options?.choices || [];
-                                            const matchingNameOption = nameOptions.find(opt => 
-                                                opt.name && opt.name.toLowerCase() === String(userName).toLowerCase()
-                                            );
-                                            if (matchingNameOption) {
-                                                setFormValues(prev => ({
-                                                    ...prev,
-                                                    name: {id: matchingNameOption.id}
-                                                }));
-                                            }
-                                        }
+                            const userRecord = selectedEmail ? findUserRecordByEmail(usersRecords, usersFields.email, selectedEmail) : null;
+                            if (userRecord) {
+                                const userName = getUserName(userRecord, usersFields.name);
+                                // Update Name field if it matches
+                                const nameFieldConfig = fields.find(f => f.key === 'name')?.field;
+                                if (nameFieldConfig && nameFieldConfig.config.type === FieldType.SINGLE_SELECT) {
+                                    const nameOptions = nameFieldConfig.config?.options?.choices || [];
+                                    const matchingNameOption = nameOptions.find(opt => 
+                                        opt.name && opt.name.toLowerCase() === String(userName).toLowerCase()
+                                    );
+                                    if (matchingNameOption) {
+                                        setFormValues(prev => ({
+                                            ...prev,
+                                            name: {id: matchingNameOption.id}
+                                        }));
                                     }
                                 }
                             }
@@ -708,7 +584,7 @@ export function CreateRecordModal({
         
         // Date field
         if (isDateFieldEditable && (fieldType === FieldType.DATE || fieldType === FieldType.DATE_TIME)) {
-            const availableDates = getAvailableDates(monthRecords, monthStatusField, monthStartDateField, monthEndDateField);
+            const availableDates = getAvailableDates(monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks?.weekStarts);
             const dateValue = value instanceof Date ? value : (value ? new Date(value) : null);
             
             return (
@@ -776,21 +652,11 @@ export function CreateRecordModal({
         // Linked record field (Task) - simple select dropdown (same as table)
         // Fetches records from "Tasks for Timesheet" table and displays Names
         if (fieldType === FieldType.MULTIPLE_RECORD_LINKS && isTaskField) {
-            const records = linkedRecords[key] || [];
+            // Task options come straight from the Task catalog
+            const records = taskRecords;
             const selectedRecord = value;
             const selectedId = selectedRecord?.id || '';
             
-            // Debug logging
-            console.log('[Modal] Task field render:', {
-                key,
-                recordsCount: records.length,
-                selectedId,
-                selectedRecord,
-                isFetchingTaskRecords,
-                linkedRecords: linkedRecords[key],
-                recordsSample: records.slice(0, 3).map(r => ({id: r.id, name: r.displayName})) // Show first 3 records for debugging
-            });
-            
             return (
                 <div className="mb-4">
                     <label className="block text-sm font-medium text-gray-gray900 dark:text-gray-gray100 mb-1">
@@ -798,29 +664,6 @@ export function CreateRecordModal({
                     </label>
                     <select
                         value={selectedId}
-                        onFocus={() => {
-                            // Fetch Task records when user clicks on the dropdown (lazy loading)
-                            // This prevents creating a temporary record when modal opens
-                            if (records.length === 0 && !isFetchingTaskRecords) {
-                                // First try to use pre-fetched taskRecords
-                                if (taskRecords.length > 0) {
-                                    console.log('[Modal] Using pre-fetched Task records on focus:', taskRecords.length);
-                                    setLinkedRecords(prev => ({
-                                        ...prev,
-                                        task: taskRecords
-                                    }));
-                                } else {
-                                    // If no pre-fetched records, fetch them
-                                    const taskField = fields.find(f => f.key === 'task')?.field;
-                                    if (taskField) {
-                                        console.log('[Modal] Fetching Task records on focus (lazy loading)...');
-                                        handleLinkedRecordSearch('task', taskField, '').catch(error => {
-                                            console.error('[Modal] Error fetching Task records:', error);
-                                        });
-                                    }
-                                }
-                            }
-                        }}
                         onChange={(e) => {
                             const recordId = e.target.value;
                             console.log('[Modal] Task select onChange:', { recordId, recordsCount: records.length });
@@ -844,16 +687,15 @@ export function CreateRecordModal({
                                 console.log('[Modal] Task selection cleared');
                             }
                         }}
-                        disabled={isFetchingTaskRecords && records.length === 0}
-                        className={`w-full px-2 py-1 border rounded text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800 ${isFetchingTaskRecords && records.length === 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+                        className="w-full px-2 py-1 border rounded text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800"
                     >
                         <option value="">Select Task</option>
                         {records.length === 0 ? (
-                            <option value="" disabled>{isFetchingTaskRecords ? 'Loading tasks...' : 'No tasks available'}</option>
+                            <option value="" disabled>No tasks available</option>
                         ) : (
                             records.map(record => (
                                 <option key={record.id} value={record.id}>
-                                    {record.displayName || record.name || record.id}
+                                    {getTaskLabel(record)}
                                 </option>
                             ))
                         )}
@@ -989,6 +831,21 @@ export function CreateRecordModal({
                         {fields.map(fieldConfig => renderFieldInput(fieldConfig))}
                     </div>
                     
+                    {duplicateRecords.length > 0 && (
+                        <div className="mt-2 p-3 bg-orange-orangeLight3 dark:bg-gray-gray700 border border-orange-orange rounded text-sm text-gray-gray900 dark:text-gray-gray100">
+                            You already have {duplicateRecords.length} entr{duplicateRecords.length !== 1 ? 'ies' : 'y'} on this date with the same Task, or the same hours and notes.
+                        </div>
+                    )}
+                    
+                    {showRuleMessages && (
+                        <div className="mt-2 p-3 bg-yellow-yellow bg-opacity-20 border border-yellow-yellow rounded text-sm text-gray-gray900 dark:text-gray-gray100">
+                            <strong>This entry breaks validation rules</strong> (saved to Warning):
+                            <ul className="list-disc ml-5 mt-1">
+                                {ruleMessages.map(message => <li key={message}>{message}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    
                     <div className="flex justify-end gap-3 mt-6">
                         <button
                             onClick={onClose}
@@ -997,12 +854,19 @@ export function CreateRecordModal({
                             Cancel
                         </button>
                         <button
-                            onClick={handleCreate}
+                            onClick={handleCreateClick}
                             className="px-4 py-2 text-sm font-medium text-white bg-blue-blue rounded-md hover:bg-blue-blue600"
                         >
                             Create
                         </button>
                     </div>
+                    <ConfirmationModal
+                        isOpen={showDuplicateConfirm}
+                        title="Possible duplicate"
+                        message={`This entry looks like a duplicate of ${duplicateRecords.length} existing entr${duplicateRecords.length !== 1 ? 'ies' : 'y'} on the same date. Create it anyway?`}
+                        onConfirm={handleCreate}
+                        onCancel={() => setShowDuplicateConfirm(false)}
+                    />
                 </div>
             </div>
         </div>,
@@ -0,0 +1,209 @@
+import {useState, useEffect} from 'react';
+import {createPortal} from 'react-dom';
+import {formatHours} from '../utils/hoursUtils';
+import {deleteRecords, waitForWriteSlot} from '../utils/mutationService';
+import {toWritableCellValue} from '../utils/recordUtils';
+import {DUPLICATE_KIND_LABELS, buildMerge} from '../utils/duplicateUtils';
+
+/**
+ * Review of duplicate entries: per group, pick the entry to keep and either merge the others into it
+ * (hours summed, notes joined) or delete the others
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Array} props.groups - Duplicate groups from findDuplicateGroups
+ * @param {Table} props.timesheetTable - Timesheet table
+ * @param {Object} props.fields - Field references: task, individualHours, timesheetNotes
+ * @param {Function} props.getOwnerLabel - Returns the name of the person a record belongs to
+ * @param {Function} props.isRecordEditable - Returns false for records in a closed period or approved week
+ * @param {Object} props.undoHistory - Undo/redo history from useUndoHistory
+ * @param {Function} props.onUpdate - Callback after entries have been merged or deleted
+ */
+export function DuplicateReviewModal({
+    isOpen,
+    onClose,
+    groups,
+    timesheetTable,
+    fields,
+    getOwnerLabel,
+    isRecordEditable,
+    undoHistory,
+    onUpdate
+}) {
+    const [keepIds, setKeepIds] = useState({}); // Group key -> ID of the record to keep
+    const [savingKey, setSavingKey] = useState(null);
+
+    // Forget the choices when the modal closes
+    useEffect(() => {
+        if (!isOpen) {
+            setKeepIds({});
+            setSavingKey(null);
+        }
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const {task, individualHours, timesheetNotes} = fields;
+
+    // Records of a group with the one to keep first
+    const getOrderedRecords = (group) => {
+        const keepId = keepIds[group.key] || group.records[0].id;
+        const keepRecord = group.records.find(record => record.id === keepId) || group.records[0];
+        return [keepRecord, ...group.records.filter(record => record.id !== keepRecord.id)];
+    };
+
+    // Delete the other entries of a group; a merge is recorded together with the update of the kept entry,
+    // so one undo brings back the entries and the kept entry's values
+    const deleteExtras = async (extraRecords, merge) => {
+        const deletion = undoHistory ? undoHistory.snapshotDelete(timesheetTable, extraRecords) : null;
+        const results = await deleteRecords(timesheetTable, extraRecords.map(record => record.id));
+        const deletedIds = results.filter(result => result.success).map(result => result.recordId);
+        if (deletion && merge) {
+            undoHistory.recordMerge(deletion, deletedIds, merge.keepRecord, merge.previousFields, merge.fieldsToSet);
+        } else if (deletion && deletedIds.length > 0) {
+            undoHistory.recordDelete(deletion, deletedIds);
+        }
+        const failedResult = results.find(result => !result.success);
+        if (failedResult) throw failedResult.error;
+    };
+
+    const handleResolve = async (group, shouldMerge) => {
+        const [keepRecord, ...extraRecords] = getOrderedRecords(group);
+        if (!extraRecords.every(record => timesheetTable.hasPermissionToDeleteRecord?.(record) ?? false)) {
+            alert('You do not have permission to delete records. Please enable record deletion permissions for this Interface Extension.');
+            return;
+        }
+
+        setSavingKey(group.key);
+        try {
+            let merge = null;
+            if (shouldMerge) {
+                const {fieldsToSet} = buildMerge([keepRecord, ...extraRecords], {individualHours, timesheetNotes});
+                if (!(timesheetTable.hasPermissionToUpdateRecords?.([{id: keepRecord.id, fields: fieldsToSet}]) ?? false)) {
+                    alert('You do not have permission to update records. Please enable record editing permissions for this Interface Extension.');
+                    return;
+                }
+                const previousFields = {};
+                Object.keys(fieldsToSet).forEach(fieldId => {
+                    const field = timesheetTable.getFieldIfExists(fieldId);
+                    previousFields[fieldId] = toWritableCellValue(field, keepRecord.getCellValue(field));
+                });
+                await waitForWriteSlot();
+                await timesheetTable.updateRecordAsync(keepRecord, fieldsToSet);
+                merge = {keepRecord, previousFields, fieldsToSet};
+            }
+            await deleteExtras(extraRecords, merge);
+            if (onUpdate) onUpdate();
+        } catch (error) {
+            console.error('Error resolving duplicates:', error);
+            alert(`Failed to ${shouldMerge ? 'merge' : 'delete'} duplicates: ` + (error.message || 'Unknown error occurred.'));
+        } finally {
+            setSavingKey(null);
+        }
+    };
+
+    const cellClassName = 'px-3 py-2 text-sm border-b border-gray-gray100 dark:border-gray-gray600 text-gray-gray900 dark:text-gray-gray100 align-top';
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-gray800 rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6">
+                    <h2 className="text-xl font-bold mb-2 text-gray-gray900 dark:text-gray-gray100">
+                        Duplicate entries
+                    </h2>
+                    <p className="text-sm text-gray-gray700 dark:text-gray-gray300 mb-4">
+                        Choose the entry to keep. Merging adds the hours and notes of the other entries to it; both actions delete the other entries.
+                    </p>
+
+                    {groups.length === 0 ? (
+                        <p className="py-6 text-center text-sm text-gray-gray500 dark:text-gray-gray400">
+                            No duplicate entries found.
+                        </p>
+                    ) : groups.map(group => {
+                        const orderedRecords = getOrderedRecords(group);
+                        const isLocked = group.records.some(record => !isRecordEditable(record));
+                        const isSaving = savingKey === group.key;
+                        return (
+                            <div key={group.key} className="mb-4 border border-gray-gray200 dark:border-gray-gray600 rounded">
+                                <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-gray-gray50 dark:bg-gray-gray700">
+                                    <span className="text-sm text-gray-gray900 dark:text-gray-gray100">
+                                        <strong>{group.date}</strong> · {getOwnerLabel(group.records[0])} · {DUPLICATE_KIND_LABELS[group.kind]}
+                                    </span>
+                                    <div className="flex gap-2" title={isLocked ? 'Some of these entries are in a closed period or approved week' : ''}>
+                                        <button
+                                            onClick={() => handleResolve(group, false)}
+                                            disabled={isLocked || savingKey !== null}
+                                            className="px-3 py-1 text-sm text-red-red hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            Delete others
+                                        </button>
+                                        <button
+                                            onClick={() => handleResolve(group, true)}
+                                            disabled={isLocked || savingKey !== null}
+                                            className="px-3 py-1 text-sm font-medium text-white bg-blue-blue rounded hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            {isSaving ? 'Saving...' : 'Merge'}
+                                        </button>
+                                    </div>
+                                </div>
+                                <table className="w-full border-collapse table-auto">
+                                    <tbody>
+                                        {group.records.map(record => (
+                                            <tr key={record.id}>
+                                                <td className={`${cellClassName} w-20`}>
+                                                    <label className="flex items-center gap-1 cursor-pointer">
+                                                        <input
+                                                            type="radio"
+                                                            name={`keep-${group.key}`}
+                                                            checked={orderedRecords[0].id === record.id}
+                                                            onChange={() => setKeepIds(prev => ({...prev, [group.key]: record.id}))}
+                                                        />
+                                                        Keep
+                                                    </label>
+                                                </td>
+                                                <td className={cellClassName}>{task ? record.getCellValueAsString(task) : ''}</td>
+                                                <td className={`${cellClassName} w-20`}>
+                                                    {individualHours ? `${formatHours(record.getCellValue(individualHours)) || '0'} h` : ''}
+                                                </td>
+                                                <td className={`${cellClassName} whitespace-pre-wrap`}>
+                                                    {timesheetNotes ? record.getCellValueAsString(timesheetNotes) : ''}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        );
+                    })}
+
+                    <div className="flex justify-end mt-6">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-gray-gray700 dark:text-gray-gray300 bg-gray-gray200 dark:bg-gray-gray600 rounded-md hover:bg-gray-gray300 dark:hover:bg-gray-gray500"
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
+
+/**
+ * Badge flagging a row as a possible duplicate
+ * @param {Object} props
+ * @param {string|undefined} props.kind - Duplicate kind from getDuplicateKindByRecordId
+ */
+export function DuplicateBadge({kind}) {
+    if (!kind) return null;
+    return (
+        <span
+            className="inline-block px-2 py-0.5 mr-1 text-xs rounded bg-orange-orangeLight3 dark:bg-gray-gray600 text-orange-orangeDark1 whitespace-nowrap"
+            title={DUPLICATE_KIND_LABELS[kind]}
+        >
+            Duplicate
+        </span>
+    );
+}
@@ -0,0 +1,115 @@
+import {useState} from 'react';
+import {createPortal} from 'react-dom';
+import {loadStoredValue, saveStoredValue} from '../utils/storageUtils';
+import {
+    CSV_DATE_FORMATS,
+    CSV_DECIMAL_SEPARATORS,
+    CSV_DELIMITERS,
+    DEFAULT_CSV_OPTIONS,
+    SWEDISH_EXCEL_CSV_OPTIONS,
+    buildCsv,
+    downloadCsv
+} from '../utils/csvExport';
+
+/**
+ * Modal for exporting the rows and columns currently shown as a CSV file
+ * The chosen delimiter, decimal separator and date format are remembered per user.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Array} props.records - Records currently shown, in display order
+ * @param {Array<{key: string, label: string, field: Field}>} props.columns - Columns currently shown, in display order
+ * @param {string} props.fileName - Name of the downloaded file
+ * @param {string} props.storageKey - localStorage key the export options are remembered under
+ */
+export function ExportCsvModal({isOpen, onClose, records, columns, fileName, storageKey}) {
+    const [options, setOptions] = useState(() => ({...DEFAULT_CSV_OPTIONS, ...loadStoredValue(storageKey, {})}));
+
+    if (!isOpen) return null;
+
+    const updateOptions = (changes) => {
+        const nextOptions = {...options, ...changes};
+        setOptions(nextOptions);
+        saveStoredValue(storageKey, nextOptions);
+    };
+
+    const handleExport = () => {
+        if (options.delimiter === options.decimalSeparator) {
+            alert('The delimiter and the decimal separator must be different.');
+            return;
+        }
+        try {
+            downloadCsv(buildCsv(records, columns, options), fileName);
+            onClose();
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            alert('Failed to export CSV: ' + (error.message || 'Unknown error occurred.'));
+        }
+    };
+
+    const selectClassName = 'w-full px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800';
+    const labelClassName = 'block text-sm font-medium text-gray-gray900 dark:text-gray-gray100 mb-1';
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-gray800 rounded-lg shadow-xl max-w-md w-full mx-4" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6">
+                    <h2 className="text-xl font-bold mb-2 text-gray-gray900 dark:text-gray-gray100">
+                        Export CSV
+                    </h2>
+                    <p className="text-sm text-gray-gray600 dark:text-gray-gray400 mb-4">
+                        {records.length} row{records.length !== 1 ? 's' : ''} and {columns.length} column{columns.length !== 1 ? 's' : ''}, as currently shown.
+                    </p>
+
+                    <div className="mb-4">
+                        <label className={labelClassName}>Delimiter</label>
+                        <select value={options.delimiter} onChange={(e) => updateOptions({delimiter: e.target.value})} className={selectClassName}>
+                            {CSV_DELIMITERS.map(({value, label}) => (
+                                <option key={label} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="mb-4">
+                        <label className={labelClassName}>Decimal separator</label>
+                        <select value={options.decimalSeparator} onChange={(e) => updateOptions({decimalSeparator: e.target.value})} className={selectClassName}>
+                            {CSV_DECIMAL_SEPARATORS.map(({value, label}) => (
+                                <option key={label} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="mb-4">
+                        <label className={labelClassName}>Date format</label>
+                        <select value={options.dateFormat} onChange={(e) => updateOptions({dateFormat: e.target.value})} className={selectClassName}>
+                            {CSV_DATE_FORMATS.map(({value, label}) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <button
+                        onClick={() => updateOptions(SWEDISH_EXCEL_CSV_OPTIONS)}
+                        className="text-sm text-blue-blue hover:underline"
+                    >
+                        Use Swedish Excel settings
+                    </button>
+
+                    <div className="flex justify-end space-x-3 mt-6">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-gray-gray700 dark:text-gray-gray300 bg-gray-gray200 dark:bg-gray-gray600 rounded-md hover:bg-gray-gray300 dark:hover:bg-gray-gray500"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleExport}
+                            disabled={columns.length === 0}
+                            className="px-4 py-2 text-sm font-medium text-white bg-blue-blue rounded-md hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Download
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -0,0 +1,193 @@
+import {useState} from 'react';
+import {createPortal} from 'react-dom';
+import {CalendarPicker} from './CalendarPicker';
+import {formatDateToString} from '../utils/dateUtils';
+import {EMPTY_FILTERS, countActiveFilters} from '../utils/recordFilters';
+
+const controlClassName = 'px-3 py-1 text-sm border border-gray-gray300 dark:border-gray-gray600 rounded bg-white dark:bg-gray-gray800 text-gray-gray900 dark:text-gray-gray100 hover:bg-gray-gray100 dark:hover:bg-gray-gray600';
+
+/**
+ * Dropdown with a checkbox per option; selected values that are no longer offered stay listed so they can be unchecked
+ */
+function FilterDropdown({label, options, selectedIds, onChange}) {
+    const [isOpen, setIsOpen] = useState(false);
+    const missingOptions = selectedIds
+        .filter(id => !options.some(option => option.id === id))
+        .map(id => ({id, label: id}));
+    const allOptions = [...options, ...missingOptions];
+
+    const toggleOption = (id) => onChange(
+        selectedIds.includes(id) ? selectedIds.filter(selectedId => selectedId !== id) : [...selectedIds, id]
+    );
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className={`${controlClassName} ${selectedIds.length > 0 ? 'border-blue-blue text-blue-blue dark:text-blue-blue' : ''}`}
+            >
+                {label}{selectedIds.length > 0 ? ` (${selectedIds.length})` : ''} ▾
+            </button>
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+                    <div className="absolute left-0 mt-1 z-20 min-w-[200px] max-h-64 overflow-y-auto p-2 bg-white dark:bg-gray-gray800 border border-gray-gray200 dark:border-gray-gray600 rounded shadow-lg">
+                        {allOptions.length === 0 ? (
+                            <p className="px-1 py-1 text-sm text-gray-gray500 dark:text-gray-gray400">No values in this period</p>
+                        ) : (
+                            allOptions.map(option => (
+                                <label key={option.id} className="flex items-center gap-2 px-1 py-1 text-sm text-gray-gray900 dark:text-gray-gray100 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.includes(option.id)}
+                                        onChange={() => toggleOption(option.id)}
+                                    />
+                                    {option.label}
+                                </label>
+                            ))
+                        )}
+                        {selectedIds.length > 0 && (
+                            <button
+                                onClick={() => onChange([])}
+                                className="mt-1 px-1 text-xs text-blue-blue hover:underline"
+                            >
+                                Clear selection
+                            </button>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Button opening a calendar for one end of the date range
+ */
+function FilterDateButton({label, value, availableDates, onChange}) {
+    const [showCalendar, setShowCalendar] = useState(false);
+    return (
+        <>
+            {showCalendar && createPortal(
+                <CalendarPicker
+                    selectedDate={value}
+                    onDateSelect={(date) => {
+                        setShowCalendar(false);
+                        onChange(formatDateToString(date));
+                    }}
+                    availableDates={availableDates}
+                    onClose={() => setShowCalendar(false)}
+                />,
+                document.body
+            )}
+            <div className={`flex items-center ${controlClassName} ${value ? 'border-blue-blue' : ''}`}>
+                <button onClick={() => setShowCalendar(true)}>
+                    {label}: {value || 'any'}
+                </button>
+                {value && (
+                    <button
+                        onClick={() => onChange(null)}
+                        title={`Clear ${label.toLowerCase()} date`}
+                        className="ml-2 text-gray-gray500 hover:text-gray-gray900 dark:hover:text-gray-gray100"
+                    >
+                        ×
+                    </button>
+                )}
+            </div>
+        </>
+    );
+}
+
+/**
+ * Filter bar for the table: date range, Task, Project, Time Task Type, user, entries with a warning
+ * and a search in Timesheet Notes. Filters combine; a filter whose field is not configured is not shown.
+ * @param {Object} props
+ * @param {Object} props.filters - Current filters (see EMPTY_FILTERS)
+ * @param {Function} props.onChange - Callback with the new filters
+ * @param {Object} props.options - Filter options from getFilterOptions
+ * @param {Object} props.fields - Timesheet fields: date, task, projectFromTask, timeTaskType, timesheetNotes
+ * @param {boolean} props.showUserFilter - Whether entries of several people are shown
+ */
+export function FilterBar({filters, onChange, options, fields, showUserFilter}) {
+    const {date, task, projectFromTask, timeTaskType, timesheetNotes} = fields;
+    const activeCount = countActiveFilters(filters);
+    const setFilter = (key, value) => onChange({...filters, [key]: value});
+
+    return (
+        <div className="mb-4 flex flex-wrap items-center gap-2 p-3 bg-white dark:bg-gray-gray700 rounded-lg shadow-sm">
+            {date && (
+                <>
+                    <FilterDateButton
+                        label="From"
+                        value={filters.dateFrom}
+                        availableDates={options.dates}
+                        onChange={(value) => setFilter('dateFrom', value)}
+                    />
+                    <FilterDateButton
+                        label="To"
+                        value={filters.dateTo}
+                        availableDates={options.dates}
+                        onChange={(value) => setFilter('dateTo', value)}
+                    />
+                </>
+            )}
+            {task && (
+                <FilterDropdown
+                    label="Task"
+                    options={options.tasks}
+                    selectedIds={filters.taskIds}
+                    onChange={(value) => setFilter('taskIds', value)}
+                />
+            )}
+            {projectFromTask && (
+                <FilterDropdown
+                    label="Project"
+                    options={options.projects}
+                    selectedIds={filters.projects}
+                    onChange={(value) => setFilter('projects', value)}
+                />
+            )}
+            {timeTaskType && (
+                <FilterDropdown
+                    label="Time Task Type"
+                    options={options.timeTaskTypes}
+                    selectedIds={filters.timeTaskTypeIds}
+                    onChange={(value) => setFilter('timeTaskTypeIds', value)}
+                />
+            )}
+            {showUserFilter && (
+                <FilterDropdown
+                    label="Name"
+                    options={options.users}
+                    selectedIds={filters.users}
+                    onChange={(value) => setFilter('users', value)}
+                />
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-gray900 dark:text-gray-gray100">
+                <input
+                    type="checkbox"
+                    checked={filters.hasWarning}
+                    onChange={(e) => setFilter('hasWarning', e.target.checked)}
+                />
+                Has warning
+            </label>
+            {timesheetNotes && (
+                <input
+                    type="search"
+                    value={filters.notesSearch}
+                    onChange={(e) => setFilter('notesSearch', e.target.value)}
+                    placeholder="Search notes…"
+                    className="px-3 py-1 text-sm border border-gray-gray300 dark:border-gray-gray600 rounded bg-white dark:bg-gray-gray800 text-gray-gray900 dark:text-gray-gray100"
+                />
+            )}
+            {activeCount > 0 && (
+                <button
+                    onClick={() => onChange(EMPTY_FILTERS)}
+                    className="px-3 py-1 text-sm text-blue-blue hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded"
+                >
+                    Clear filters ({activeCount})
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,86 @@
+import {MAX_GROUP_LEVELS} from '../utils/recordGroups';
+import {formatHours} from '../utils/hoursUtils';
+
+/**
+ * Group-by selector: one select per grouping level (a level appears once the previous one is set),
+ * with actions to expand or collapse every group
+ * @param {Object} props
+ * @param {Array<string>} props.groupByKeys - Selected groupings, outermost first
+ * @param {Function} props.onChange - Callback with the new groupings
+ * @param {Array<{key: string, label: string}>} props.options - Groupings from getAvailableGroupByOptions
+ * @param {Function} props.onExpandAll - Callback to expand every group
+ * @param {Function} props.onCollapseAll - Callback to collapse every group
+ */
+export function GroupByControl({groupByKeys, onChange, options, onExpandAll, onCollapseAll}) {
+    const levels = Array.from({length: Math.min(groupByKeys.length + 1, MAX_GROUP_LEVELS)}, (_, index) => index);
+
+    // Picking a grouping used at a deeper level moves it up; clearing a level clears the levels below it
+    const setLevel = (index, key) => onChange(key
+        ? [...groupByKeys.slice(0, index), key, ...groupByKeys.slice(index + 1).filter(groupKey => groupKey !== key)]
+        : groupByKeys.slice(0, index));
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 px-4 py-2 border-b border-gray-gray200 dark:border-gray-gray600 text-sm text-gray-gray700 dark:text-gray-gray300">
+            {levels.map(index => (
+                <label key={index} className="flex items-center gap-2">
+                    {index === 0 ? 'Group by' : 'then by'}
+                    <select
+                        value={groupByKeys[index] || ''}
+                        onChange={(e) => setLevel(index, e.target.value)}
+                        className="px-2 py-1 text-sm border border-gray-gray300 dark:border-gray-gray600 rounded bg-white dark:bg-gray-gray800 text-gray-gray900 dark:text-gray-gray100"
+                    >
+                        <option value="">None</option>
+                        {options
+                            .filter(option => option.key === groupByKeys[index] || !groupByKeys.slice(0, index).includes(option.key))
+                            .map(option => (
+                                <option key={option.key} value={option.key}>{option.label}</option>
+                            ))}
+                    </select>
+                </label>
+            ))}
+            {groupByKeys.length > 0 && (
+                <>
+                    <button onClick={onExpandAll} className="px-2 py-1 text-sm text-blue-blue hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded">
+                        Expand all
+                    </button>
+                    <button onClick={onCollapseAll} className="px-2 py-1 text-sm text-blue-blue hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded">
+                        Collapse all
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Header row of a group, with its entry count and summed hours; clicking it collapses or expands the group
+ * @param {Object} props
+ * @param {Object} props.group - Group from groupRecords
+ * @param {number} props.depth - Nesting depth (0 for the outermost level)
+ * @param {boolean} props.isCollapsed - Whether the group is collapsed
+ * @param {Function} props.onToggle - Callback to collapse or expand the group
+ * @param {number} props.colSpan - Number of table columns
+ * @param {boolean} props.showHours - Whether the Individual Hours field is configured
+ */
+export function GroupHeaderRow({group, depth, isCollapsed, onToggle, colSpan, showHours}) {
+    const entryCount = group.records.length;
+    return (
+        <tr className={depth === 0 ? 'bg-gray-gray100 dark:bg-gray-gray600' : 'bg-gray-gray50 dark:bg-gray-gray700'}>
+            <td colSpan={colSpan} className="px-4 py-2 border-b border-gray-gray200 dark:border-gray-gray500">
+                <button
+                    onClick={onToggle}
+                    aria-expanded={!isCollapsed}
+                    style={{paddingLeft: depth * 24}}
+                    className="flex items-center gap-2 w-full text-left text-sm text-gray-gray900 dark:text-gray-gray100"
+                >
+                    <span className="w-4 text-gray-gray500 dark:text-gray-gray400">{isCollapsed ? '▸' : '▾'}</span>
+                    <span className="font-semibold">{group.label}</span>
+                    <span className="text-gray-gray600 dark:text-gray-gray400">
+                        {entryCount} entr{entryCount !== 1 ? 'ies' : 'y'}
+                        {showHours && ` · ${formatHours(group.hours) || '0'} h`}
+                    </span>
+                </button>
+            </td>
+        </tr>
+    );
+}
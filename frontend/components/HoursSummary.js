@@ -0,0 +1,70 @@
+import {formatHours, getHoursStatus} from '../utils/hoursUtils';
+
+const STATUS_STYLES = {
+    complete: 'border-green-green bg-green-greenLight3 dark:bg-gray-gray800',
+    over: 'border-orange-orange bg-orange-orangeLight3 dark:bg-gray-gray800',
+    under: 'border-yellow-yellow bg-yellow-yellowLight3 dark:bg-gray-gray800',
+    unknown: 'border-gray-gray200 dark:border-gray-gray600 bg-white dark:bg-gray-gray700',
+};
+
+/**
+ * Describe the difference between actual and expected hours
+ * @param {number} actualHours - Logged hours
+ * @param {number|null} expectedHours - Expected hours
+ * @returns {string} Short description, e.g. "2 h short"
+ */
+function describeDifference(actualHours, expectedHours) {
+    const status = getHoursStatus(actualHours, expectedHours);
+    if (status === 'unknown') return '';
+    if (status === 'complete') return 'Complete';
+    const difference = formatHours(Math.abs(actualHours - expectedHours));
+    return status === 'over' ? `${difference} h over` : `${difference} h short`;
+}
+
+/**
+ * Summary panel with hours logged today, this week and in the selected period,
+ * compared with the user's expected hours
+ * @param {Object} props
+ * @param {Array<{key: string, label: string, actualHours: number, expectedHours: number|null}>} props.totals - Totals to show
+ * @param {string} [props.note] - Optional note shown under the totals (e.g. why expected hours are missing)
+ */
+export function HoursSummary({totals, note}) {
+    return (
+        <div className="mb-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {totals.map(({key, label, actualHours, expectedHours}) => {
+                    const status = getHoursStatus(actualHours, expectedHours);
+                    return (
+                        <div key={key} className={`p-3 rounded-lg border shadow-sm ${STATUS_STYLES[status]}`}>
+                            <div className="text-xs font-semibold uppercase tracking-wider text-gray-gray600 dark:text-gray-gray400">
+                                {label}
+                            </div>
+                            <div className="mt-1 text-xl font-bold text-gray-gray900 dark:text-gray-gray100">
+                                {formatHours(actualHours) || '0'} h
+                                {expectedHours !== null && (
+                                    <span className="ml-1 text-sm font-normal text-gray-gray500 dark:text-gray-gray400">
+                                        / {formatHours(expectedHours) || '0'} h
+                                    </span>
+                                )}
+                            </div>
+                            {status !== 'unknown' && (
+                                <div className={`text-xs font-medium ${
+                                    status === 'complete'
+                                        ? 'text-green-greenDark1'
+                                        : status === 'over'
+                                        ? 'text-orange-orangeDark1'
+                                        : 'text-yellow-yellowDark1'
+                                }`}>
+                                    {describeDifference(actualHours, expectedHours)}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+            {note && (
+                <p className="mt-2 text-xs text-gray-gray500 dark:text-gray-gray400">{note}</p>
+            )}
+        </div>
+    );
+}
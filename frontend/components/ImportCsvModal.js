@@ -0,0 +1,312 @@
+import {useState, useEffect} from 'react';
+import {createPortal} from 'react-dom';
+import {MutationProgress} from './MutationProgress';
+import {formatDateToString} from '../utils/dateUtils';
+import {formatHours} from '../utils/hoursUtils';
+import {createRecords} from '../utils/mutationService';
+import {buildCsvText, downloadCsv} from '../utils/csvExport';
+import {
+    DATE_ORDERS,
+    IMPORT_PRESETS,
+    IMPORT_TARGETS,
+    buildImportFields,
+    detectPreset,
+    getPresetMapping,
+    parseCsv,
+    validateImportRows
+} from '../utils/csvImport';
+
+const PREVIEW_ROW_LIMIT = 50;
+
+/**
+ * Import wizard for time entries from a CSV file: upload, map the columns, preview and create.
+ * Rows that fail validation or creation are offered as a downloadable error report.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Table} props.timesheetTable - Timesheet table
+ * @param {Object} props.fields - Field references: date, individualHours, task, timesheetNotes, timeTaskType, name
+ * @param {Array} props.taskRecords - Tasks from the Task catalog (CSV tasks are matched by name)
+ * @param {Array<{id: string, name: string}>} props.nameOptions - People that can be set in the Name field
+ * @param {Set<string>} props.availableDates - Set of open date strings (YYYY-MM-DD format)
+ * @param {Object} props.stampFields - Fields stamping new records with the logged-in user
+ * @param {Function} props.onRecordsCreated - Callback after records have been created
+ */
+export function ImportCsvModal({
+    isOpen,
+    onClose,
+    timesheetTable,
+    fields,
+    taskRecords = [],
+    nameOptions = [],
+    availableDates,
+    stampFields,
+    onRecordsCreated
+}) {
+    const [step, setStep] = useState('upload'); // 'upload', 'map' or 'done'
+    const [fileName, setFileName] = useState('');
+    const [csv, setCsv] = useState(null); // {headers, rows, delimiter}
+    const [presetId, setPresetId] = useState('');
+    const [mapping, setMapping] = useState({});
+    const [dateOrder, setDateOrder] = useState('YMD');
+    const [isImporting, setIsImporting] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null); // {createdCount, failedRows: [{rowNumber, cells, errors}]}
+
+    // Reset the wizard when the modal closes
+    useEffect(() => {
+        if (!isOpen) {
+            setStep('upload');
+            setFileName('');
+            setCsv(null);
+            setPresetId('');
+            setMapping({});
+            setIsImporting(false);
+            setProgress(null);
+            setResult(null);
+        }
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const timeTaskTypeOptions = fields.timeTaskType?.config?.options?.choices || [];
+    const nameFieldOptions = fields.name?.config?.options?.choices || nameOptions;
+    const validatedRows = csv ? validateImportRows(csv.rows, mapping, {
+        dateOrder,
+        availableDates,
+        tasks: taskRecords,
+        timeTaskTypeOptions,
+        nameOptions: nameFieldOptions
+    }) : [];
+    const validRows = validatedRows.filter(row => row.errors.length === 0);
+    const invalidRows = validatedRows.filter(row => row.errors.length > 0);
+    const missingTargets = IMPORT_TARGETS.filter(target => target.isRequired && !(mapping[target.key] >= 0));
+    const canCreate = timesheetTable?.hasPermissionToCreateRecords?.() ?? false;
+
+    const applyPreset = (preset, headers) => {
+        setPresetId(preset.id);
+        setMapping(getPresetMapping(preset, headers));
+        setDateOrder(preset.dateOrder);
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        try {
+            const parsed = parseCsv(await file.text());
+            if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+                alert('The file has no rows to import. The first line must contain the column names.');
+                return;
+            }
+            setFileName(file.name);
+            setCsv(parsed);
+            applyPreset(detectPreset(parsed.headers), parsed.headers);
+            setStep('map');
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            alert('Failed to read the file: ' + (error.message || 'Unknown error occurred.'));
+        }
+    };
+
+    const handleImport = async () => {
+        if (!canCreate) {
+            alert('You do not have permission to create records. Please enable record creation permissions for this Interface Extension.');
+            return;
+        }
+
+        setIsImporting(true);
+        const results = await createRecords(
+            timesheetTable,
+            validRows.map(row => buildImportFields(row.values, fields, stampFields)),
+            {onProgress: setProgress}
+        );
+        setIsImporting(false);
+        setProgress(null);
+
+        const failedCreations = validRows
+            .map((row, index) => ({row, result: results[index]}))
+            .filter(({result: rowResult}) => !rowResult.success)
+            .map(({row, result: rowResult}) => ({...row, errors: [rowResult.error.message || 'Failed to create record']}));
+        const createdCount = results.filter(rowResult => rowResult.success).length;
+        if (createdCount > 0 && onRecordsCreated) onRecordsCreated(createdCount);
+        setResult({
+            createdCount,
+            failedRows: [...invalidRows, ...failedCreations].sort((a, b) => a.rowNumber - b.rowNumber)
+        });
+        setStep('done');
+    };
+
+    // Error report: the skipped rows as they were in the file, with the line number and the reasons
+    const handleDownloadReport = () => {
+        const reportRows = [
+            ['Row', 'Errors', ...csv.headers],
+            ...result.failedRows.map(row => [String(row.rowNumber), row.errors.join('; '), ...row.cells])
+        ];
+        downloadCsv(buildCsvText(reportRows, csv.delimiter), fileName.replace(/\.csv$/i, '') + '-errors.csv');
+    };
+
+    const selectClassName = 'w-full px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800';
+    const labelClassName = 'block text-sm font-medium text-gray-gray900 dark:text-gray-gray100 mb-1';
+    const cellClassName = 'px-3 py-2 text-sm border-b border-gray-gray100 dark:border-gray-gray600 text-gray-gray900 dark:text-gray-gray100 align-top';
+    const headerClassName = 'px-3 py-2 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500';
+    const secondaryButtonClassName = 'px-4 py-2 text-sm font-medium text-gray-gray700 dark:text-gray-gray300 bg-gray-gray200 dark:bg-gray-gray600 rounded-md hover:bg-gray-gray300 dark:hover:bg-gray-gray500';
+    const primaryButtonClassName = 'px-4 py-2 text-sm font-medium text-white bg-blue-blue rounded-md hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={isImporting ? undefined : onClose}>
+            <div className="bg-white dark:bg-gray-gray800 rounded-lg shadow-xl max-w-5xl w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                <div className="p-6">
+                    <h2 className="text-xl font-bold mb-2 text-gray-gray900 dark:text-gray-gray100">
+                        Import CSV
+                    </h2>
+
+                    {step === 'upload' && (
+                        <>
+                            <p className="text-sm text-gray-gray700 dark:text-gray-gray300 mb-4">
+                                Choose a CSV file with one time entry per line. The first line must contain the column names.
+                                Exports from Toggl Track, Harvest, Clockify and Jira worklogs (Tempo) are recognized automatically.
+                            </p>
+                            <input
+                                type="file"
+                                accept=".csv,text/csv"
+                                onChange={handleFileChange}
+                                className="text-sm text-gray-gray900 dark:text-gray-gray100"
+                            />
+                        </>
+                    )}
+
+                    {step === 'map' && csv && (
+                        <>
+                            <p className="text-sm text-gray-gray700 dark:text-gray-gray300 mb-4">
+                                {fileName}: {csv.rows.length} row{csv.rows.length !== 1 ? 's' : ''}.
+                            </p>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                                <div>
+                                    <label className={labelClassName}>Preset</label>
+                                    <select
+                                        value={presetId}
+                                        onChange={(e) => applyPreset(IMPORT_PRESETS.find(preset => preset.id === e.target.value), csv.headers)}
+                                        className={selectClassName}
+                                    >
+                                        {IMPORT_PRESETS.map(preset => (
+                                            <option key={preset.id} value={preset.id}>{preset.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className={labelClassName}>Date format</label>
+                                    <select value={dateOrder} onChange={(e) => setDateOrder(e.target.value)} className={selectClassName}>
+                                        {DATE_ORDERS.map(({value, label}) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {IMPORT_TARGETS.filter(target => fields[target.key]).map(target => (
+                                    <div key={target.key}>
+                                        <label className={labelClassName}>
+                                            {target.label}{target.isRequired ? ' *' : ''}
+                                        </label>
+                                        <select
+                                            value={mapping[target.key] ?? -1}
+                                            onChange={(e) => setMapping(prev => ({...prev, [target.key]: Number(e.target.value)}))}
+                                            className={selectClassName}
+                                        >
+                                            <option value={-1}>{target.key === 'name' ? '— Logged-in user —' : '— Not imported —'}</option>
+                                            {csv.headers.map((header, index) => (
+                                                <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+
+                            {missingTargets.length > 0 ? (
+                                <p className="mb-4 text-sm text-red-red">
+                                    Choose a column for {missingTargets.map(target => target.label).join(', ')}.
+                                </p>
+                            ) : (
+                                <>
+                                    <p className="mb-2 text-sm text-gray-gray700 dark:text-gray-gray300">
+                                        {validRows.length} row{validRows.length !== 1 ? 's' : ''} will be imported, {invalidRows.length} will be skipped.
+                                        {validatedRows.length > PREVIEW_ROW_LIMIT && ` Showing the first ${PREVIEW_ROW_LIMIT} rows.`}
+                                    </p>
+                                    <table className="w-full border-collapse table-auto mb-4">
+                                        <thead className="bg-gray-gray100 dark:bg-gray-gray600">
+                                            <tr>
+                                                <th className={headerClassName}>Row</th>
+                                                <th className={headerClassName}>Date</th>
+                                                <th className={headerClassName}>Hours</th>
+                                                <th className={headerClassName}>Task</th>
+                                                <th className={headerClassName}>Time Task Type</th>
+                                                <th className={headerClassName}>Name</th>
+                                                <th className={headerClassName}>Notes</th>
+                                                <th className={headerClassName}>Status</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {validatedRows.slice(0, PREVIEW_ROW_LIMIT).map(row => (
+                                                <tr key={row.rowNumber}>
+                                                    <td className={cellClassName}>{row.rowNumber}</td>
+                                                    <td className={cellClassName}>{row.values.date ? formatDateToString(row.values.date) : ''}</td>
+                                                    <td className={cellClassName}>{formatHours(row.values.hours)}</td>
+                                                    <td className={cellClassName}>{row.values.task?.displayName || ''}</td>
+                                                    <td className={cellClassName}>{row.values.timeTaskType?.name || ''}</td>
+                                                    <td className={cellClassName}>{row.values.name?.name || ''}</td>
+                                                    <td className={cellClassName}>{row.values.notes}</td>
+                                                    <td className={cellClassName}>
+                                                        {row.errors.length === 0 ? (
+                                                            <span className="text-green-greenDark1">OK</span>
+                                                        ) : (
+                                                            <span className="text-red-red">{row.errors.join('; ')}</span>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </>
+                            )}
+
+                            <MutationProgress progress={progress} label="Creating" />
+                        </>
+                    )}
+
+                    {step === 'done' && result && (
+                        <div className="text-sm text-gray-gray700 dark:text-gray-gray300">
+                            <p className="mb-2">
+                                Imported {result.createdCount} entr{result.createdCount === 1 ? 'y' : 'ies'}.
+                                {result.failedRows.length > 0 && ` ${result.failedRows.length} row${result.failedRows.length !== 1 ? 's were' : ' was'} skipped.`}
+                            </p>
+                            {result.failedRows.length > 0 && (
+                                <button onClick={handleDownloadReport} className="text-blue-blue hover:underline">
+                                    Download error report
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="flex justify-end gap-3 mt-6">
+                        {step === 'map' && (
+                            <button onClick={() => setStep('upload')} disabled={isImporting} className={secondaryButtonClassName}>
+                                Back
+                            </button>
+                        )}
+                        <button onClick={onClose} disabled={isImporting} className={secondaryButtonClassName}>
+                            {step === 'done' ? 'Close' : 'Cancel'}
+                        </button>
+                        {step === 'map' && (
+                            <button
+                                onClick={handleImport}
+                                disabled={isImporting || missingTargets.length > 0 || validRows.length === 0 || !canCreate}
+                                className={primaryButtonClassName}
+                            >
+                                {isImporting ? 'Importing...' : `Import ${validRows.length} entr${validRows.length === 1 ? 'y' : 'ies'}`}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
@@ -0,0 +1,221 @@
+import {useState} from 'react';
+import {createPortal} from 'react-dom';
+import {FieldType} from '@airtable/blocks/interface/models';
+import {ConfirmationModal} from './ConfirmationModal';
+import {formatDateToString} from '../utils/dateUtils';
+import {waitForWriteSlot} from '../utils/mutationService';
+import {
+    countEntriesWithWarnings,
+    findOverlappingPeriods,
+    getNextPeriodRange,
+    getPeriods,
+    toPeriodDateValue
+} from '../utils/periodUtils';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Admin panel for the Month table: lists the periods, creates the next period
+ * and moves periods between Open and Closed
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the panel is open
+ * @param {Function} props.onClose - Callback to close the panel
+ * @param {Table} props.monthTable - Month table
+ * @param {Array} props.monthRecords - Month records
+ * @param {Field} props.monthStatusField - Status field from Month table
+ * @param {Field} props.monthStartDateField - Start date field from Month table
+ * @param {Field} props.monthEndDateField - End date field from Month table
+ * @param {Array} props.timesheetRecords - All Timesheet records (for the warning check before closing)
+ * @param {Field} props.dateField - Date field of the Timesheet table
+ * @param {Field} props.warningField - Warning field of the Timesheet table
+ * @param {Map<string, Array<string>>} [props.ruleWarnings] - Validation rules broken by the Timesheet records, from getRuleWarnings
+ */
+export function MonthPeriodPanel({
+    isOpen,
+    onClose,
+    monthTable,
+    monthRecords,
+    monthStatusField,
+    monthStartDateField,
+    monthEndDateField,
+    timesheetRecords,
+    dateField,
+    warningField,
+    ruleWarnings
+}) {
+    const [pendingStatusChange, setPendingStatusChange] = useState(null); // {period, newStatus}
+    const [isSaving, setIsSaving] = useState(false);
+
+    if (!isOpen) return null;
+
+    const periods = getPeriods(monthRecords, monthStatusField, monthStartDateField, monthEndDateField);
+    const nextRange = getNextPeriodRange(periods);
+    const statusChoices = monthStatusField?.config?.options?.choices || [];
+    const findStatusChoice = (statusName) => statusChoices.find(choice => choice.name === statusName);
+
+    const handleCreateNextPeriod = async () => {
+        const openChoice = findStatusChoice('Open');
+        const fieldsToSet = {
+            [monthStartDateField.id]: toPeriodDateValue(monthStartDateField, nextRange.start),
+            [monthEndDateField.id]: toPeriodDateValue(monthEndDateField, nextRange.end)
+        };
+        if (openChoice) fieldsToSet[monthStatusField.id] = {id: openChoice.id};
+        // Name the period after its month when the primary field is a text field that can be written
+        const primaryField = monthTable.primaryField;
+        const isTextPrimaryField = primaryField &&
+            (primaryField.config.type === FieldType.SINGLE_LINE_TEXT || primaryField.config.type === FieldType.MULTILINE_TEXT);
+        if (isTextPrimaryField && !primaryField.isComputed && !fieldsToSet[primaryField.id]) {
+            fieldsToSet[primaryField.id] = `${MONTH_NAMES[nextRange.start.getMonth()]} ${nextRange.start.getFullYear()}`;
+        }
+
+        if (!monthTable.hasPermissionToCreateRecords?.([{fields: fieldsToSet}])) {
+            alert('You do not have permission to create records in the Month table.');
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            await waitForWriteSlot();
+            await monthTable.createRecordAsync(fieldsToSet);
+        } catch (error) {
+            console.error('Error creating period:', error);
+            alert('Failed to create period: ' + (error.message || 'Unknown error occurred.'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleConfirmStatusChange = async () => {
+        const {period, newStatus} = pendingStatusChange;
+        setPendingStatusChange(null);
+        const choice = findStatusChoice(newStatus);
+        if (!choice) {
+            alert(`The Status field has no "${newStatus}" option.`);
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            await waitForWriteSlot();
+            await monthTable.updateRecordAsync(period.record, {[monthStatusField.id]: {id: choice.id}});
+        } catch (error) {
+            console.error('Error updating period status:', error);
+            alert('Failed to update period: ' + (error.message || 'Unknown error occurred.'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // Build the confirmation message, with warnings when closing
+    const getConfirmationMessage = () => {
+        if (!pendingStatusChange) return '';
+        const {period, newStatus} = pendingStatusChange;
+        const periodLabel = `${period.name} (${formatDateToString(period.start)} – ${formatDateToString(period.end)})`;
+        if (newStatus !== 'Closed') {
+            return `Reopen ${periodLabel}? Entries in this period become editable again.`;
+        }
+        const messages = [`Close ${periodLabel}? Entries in this period can no longer be edited.`];
+        const overlapping = findOverlappingPeriods(period, periods);
+        if (overlapping.length > 0) {
+            messages.push(`Warning: this period overlaps ${overlapping.map(other => other.name).join(', ')}.`);
+        }
+        const warningCount = countEntriesWithWarnings(period, timesheetRecords, dateField, warningField, ruleWarnings);
+        if (warningCount > 0) {
+            messages.push(`Warning: ${warningCount} entr${warningCount === 1 ? 'y' : 'ies'} in this period still ha${warningCount === 1 ? 's a warning' : 've warnings'}.`);
+        }
+        return messages.join(' ');
+    };
+
+    const cellClassName = 'px-3 py-2 text-sm border-b border-gray-gray100 dark:border-gray-gray600 text-gray-gray900 dark:text-gray-gray100';
+    const headerClassName = 'px-3 py-2 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500';
+
+    return createPortal(
+        <>
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+                <div className="bg-white dark:bg-gray-gray800 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+                    <div className="p-6">
+                        <div className="flex justify-between items-center mb-4">
+                            <h2 className="text-xl font-bold text-gray-gray900 dark:text-gray-gray100">
+                                Periods
+                            </h2>
+                            <button
+                                onClick={handleCreateNextPeriod}
+                                disabled={isSaving}
+                                className="px-4 py-2 text-sm font-medium text-white bg-blue-blue rounded-md hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Create next period ({formatDateToString(nextRange.start)} – {formatDateToString(nextRange.end)})
+                            </button>
+                        </div>
+    
+                        {periods.length === 0 ? (
+                            <p className="py-6 text-center text-sm text-gray-gray500 dark:text-gray-gray400">
+                                No periods yet.
+                            </p>
+                        ) : (
+                            <table className="w-full border-collapse table-auto">
+                                <thead className="bg-gray-gray100 dark:bg-gray-gray600">
+                                    <tr>
+                                        <th className={headerClassName}>Period</th>
+                                        <th className={headerClassName}>Start Date</th>
+                                        <th className={headerClassName}>End Date</th>
+                                        <th className={headerClassName}>Status</th>
+                                        <th className={headerClassName} />
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {periods.map(period => {
+                                        const isClosed = period.status === 'Closed';
+                                        const hasOverlap = findOverlappingPeriods(period, periods).length > 0;
+                                        return (
+                                            <tr key={period.record.id}>
+                                                <td className={cellClassName}>
+                                                    {period.name}
+                                                    {hasOverlap && (
+                                                        <span className="ml-2 text-xs text-orange-orangeDark1">Overlaps another period</span>
+                                                    )}
+                                                </td>
+                                                <td className={cellClassName}>{period.start ? formatDateToString(period.start) : '—'}</td>
+                                                <td className={cellClassName}>{period.end ? formatDateToString(period.end) : '—'}</td>
+                                                <td className={cellClassName}>
+                                                    <span className={isClosed ? 'text-gray-gray500 dark:text-gray-gray400' : 'text-green-greenDark1'}>
+                                                        {period.status || '—'}
+                                                    </span>
+                                                </td>
+                                                <td className={`${cellClassName} text-right`}>
+                                                    <button
+                                                        onClick={() => setPendingStatusChange({period, newStatus: isClosed ? 'Open' : 'Closed'})}
+                                                        disabled={isSaving || !period.start || !period.end}
+                                                        className="px-3 py-1 text-sm text-blue-blue hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+                                                    >
+                                                        {isClosed ? 'Reopen' : 'Close'}
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        )}
+    
+                        <div className="flex justify-end mt-6">
+                            <button
+                                onClick={onClose}
+                                className="px-4 py-2 text-sm font-medium text-gray-gray700 dark:text-gray-gray300 bg-gray-gray200 dark:bg-gray-gray600 rounded-md hover:bg-gray-gray300 dark:hover:bg-gray-gray500"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <ConfirmationModal
+                isOpen={!!pendingStatusChange}
+                title={pendingStatusChange?.newStatus === 'Closed' ? 'Close period' : 'Reopen period'}
+                message={getConfirmationMessage()}
+                onConfirm={handleConfirmStatusChange}
+                onCancel={() => setPendingStatusChange(null)}
+            />
+        </>,
+        document.body
+    );
+}
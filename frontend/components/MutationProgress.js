@@ -0,0 +1,22 @@
+/**
+ * Progress bar for long-running batched writes
+ * @param {Object} props
+ * @param {{completed: number, total: number}|null} props.progress - Progress from applyMutations, or null when idle
+ * @param {string} props.label - What is being done, e.g. "Deleting"
+ */
+export function MutationProgress({progress, label}) {
+    if (!progress || progress.total === 0) return null;
+    const percent = Math.round((progress.completed / progress.total) * 100);
+
+    return (
+        <div className="my-3">
+            <div className="flex justify-between text-xs text-gray-gray600 dark:text-gray-gray400 mb-1">
+                <span>{label} {progress.completed} of {progress.total}…</span>
+                <span>{percent}%</span>
+            </div>
+            <div className="w-full h-2 rounded bg-gray-gray200 dark:bg-gray-gray600 overflow-hidden">
+                <div className="h-full bg-blue-blue transition-all" style={{width: `${percent}%`}} />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+import {formatDateToString, formatISOWeek, parseDateValue, stepPeriod} from '../utils/dateUtils';
+
+const PERIOD_MODES = [
+    {value: 'day', label: 'Day'},
+    {value: 'week', label: 'Week'},
+    {value: 'month', label: 'Month'},
+    {value: 'custom', label: 'Custom'},
+];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Period navigator for scoping the timesheet to a day, week, month or custom date range
+ * @param {Object} props
+ * @param {string} props.mode - 'day', 'week', 'month' or 'custom'
+ * @param {Function} props.onModeChange - Callback with the new mode
+ * @param {Date} props.anchorDate - A date inside the current period
+ * @param {Function} props.onAnchorDateChange - Callback with the new anchor date
+ * @param {{start: Date, end: Date}} props.range - Current period range
+ * @param {Function} props.onCustomRangeChange - Callback with the new {start, end} in custom mode
+ */
+export function PeriodNavigator({mode, onModeChange, anchorDate, onAnchorDateChange, range, onCustomRangeChange}) {
+    let periodLabel;
+    if (mode === 'day') {
+        periodLabel = anchorDate.toLocaleDateString(undefined, {weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'});
+    } else if (mode === 'week') {
+        periodLabel = `${formatISOWeek(range.start)} (${formatDateToString(range.start)} – ${formatDateToString(range.end)})`;
+    } else if (mode === 'month') {
+        periodLabel = `${MONTH_NAMES[anchorDate.getMonth()]} ${anchorDate.getFullYear()}`;
+    }
+
+    const navButtonClassName = 'px-3 py-1 text-sm text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded';
+    const dateInputClassName = 'px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800';
+
+    return (
+        <div className="mb-4 flex flex-wrap items-center gap-3 p-3 bg-white dark:bg-gray-gray700 rounded-lg shadow-sm">
+            <div className="flex rounded-md overflow-hidden border border-gray-gray200 dark:border-gray-gray600">
+                {PERIOD_MODES.map(({value, label}) => (
+                    <button
+                        key={value}
+                        onClick={() => onModeChange(value)}
+                        className={`px-3 py-1 text-sm font-medium transition-colors ${
+                            mode === value
+                                ? 'bg-blue-blue text-white'
+                                : 'bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600'
+                        }`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            {mode === 'custom' ? (
+                <div className="flex items-center gap-2 text-sm text-gray-gray700 dark:text-gray-gray300">
+                    <input
+                        type="date"
+                        value={formatDateToString(range.start)}
+                        onChange={(e) => {
+                            const start = parseDateValue(e.target.value);
+                            if (start) onCustomRangeChange({start, end: range.end});
+                        }}
+                        className={dateInputClassName}
+                    />
+                    <span>to</span>
+                    <input
+                        type="date"
+                        value={formatDateToString(range.end)}
+                        onChange={(e) => {
+                            const end = parseDateValue(e.target.value);
+                            if (end) onCustomRangeChange({start: range.start, end});
+                        }}
+                        className={dateInputClassName}
+                    />
+                </div>
+            ) : (
+                <div className="flex items-center gap-2">
+                    <button onClick={() => onAnchorDateChange(stepPeriod(mode, anchorDate, -1))} className={navButtonClassName}>
+                        ←
+                    </button>
+                    <span className="text-sm font-semibold text-gray-gray900 dark:text-gray-gray100 min-w-[180px] text-center">
+                        {periodLabel}
+                    </span>
+                    <button onClick={() => onAnchorDateChange(stepPeriod(mode, anchorDate, 1))} className={navButtonClassName}>
+                        →
+                    </button>
+                    <button onClick={() => onAnchorDateChange(new Date())} className={navButtonClassName}>
+                        Today
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,99 @@
+import {useState} from 'react';
+import {ConfirmationModal} from './ConfirmationModal';
+import {MutationProgress} from './MutationProgress';
+import {updateRecords} from '../utils/mutationService';
+import {formatRuleWarning} from '../utils/validationRules';
+
+/**
+ * Badge listing the validation rules a row breaks
+ * @param {Object} props
+ * @param {Array<string>|undefined} props.messages - Messages of the broken rules
+ */
+export function RuleWarningBadge({messages}) {
+    if (!messages || messages.length === 0) return null;
+    return (
+        <span
+            className="inline-block px-2 py-0.5 mr-1 text-xs rounded bg-yellow-yellowLight2 dark:bg-gray-gray600 text-gray-gray900 dark:text-gray-gray100 whitespace-nowrap"
+            title={messages.join('\n')}
+        >
+            ⚠ {messages.length} rule{messages.length !== 1 ? 's' : ''}
+        </span>
+    );
+}
+
+/**
+ * Summary of the validation rules broken by the rows shown, with an action that writes
+ * the generated messages into the Warning field (and clears it on rows that pass)
+ * @param {Object} props
+ * @param {Array} props.records - Records currently shown
+ * @param {Map<string, Array<string>>} props.ruleWarnings - Record ID -> messages, from getRuleWarnings
+ * @param {string|null} props.configError - Problem with the configured rules, if any
+ * @param {Table} props.timesheetTable - Timesheet table
+ * @param {Field} props.warningField - Warning field
+ * @param {Function} props.isRecordEditable - Returns false for records in a closed period or approved week
+ * @param {Function} props.onUpdated - Callback after the Warning field has been written
+ */
+export function RuleWarningsBar({records, ruleWarnings, configError, timesheetTable, warningField, isRecordEditable, onUpdated}) {
+    const [showConfirm, setShowConfirm] = useState(false);
+    const [progress, setProgress] = useState(null);
+
+    const updates = warningField
+        ? records
+            .filter(record => isRecordEditable(record))
+            .map(record => ({record, text: formatRuleWarning(ruleWarnings.get(record.id))}))
+            .filter(({record, text}) => record.getCellValueAsString(warningField) !== text)
+        : [];
+    const brokenCount = records.filter(record => ruleWarnings.has(record.id)).length;
+    const canWrite = updates.length > 0 && (timesheetTable?.hasPermissionToUpdateRecords?.() ?? false);
+
+    if (!configError && brokenCount === 0 && updates.length === 0) return null;
+
+    const handleWrite = async () => {
+        setShowConfirm(false);
+        const results = await updateRecords(
+            timesheetTable,
+            updates.map(({record, text}) => ({id: record.id, fields: {[warningField.id]: text}})),
+            {onProgress: setProgress}
+        );
+        setProgress(null);
+        const failedCount = results.filter(result => !result.success).length;
+        if (failedCount > 0) {
+            const firstError = results.find(result => !result.success).error;
+            alert(`Failed to write the Warning of ${failedCount} entr${failedCount !== 1 ? 'ies' : 'y'}: ` + (firstError.message || 'Unknown error occurred.'));
+        }
+        onUpdated();
+    };
+
+    return (
+        <div className="mb-4 p-3 bg-yellow-yellow bg-opacity-20 border border-yellow-yellow rounded text-sm text-gray-gray900 dark:text-gray-gray100">
+            {configError && (
+                <div className="mb-1"><strong>Validation rules:</strong> {configError}</div>
+            )}
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <span>
+                    {brokenCount === 0
+                        ? 'No entries shown break a validation rule.'
+                        : `${brokenCount} entr${brokenCount !== 1 ? 'ies' : 'y'} shown break${brokenCount === 1 ? 's' : ''} a validation rule.`}
+                    {updates.length > 0 && ` The Warning field of ${updates.length} entr${updates.length !== 1 ? 'ies is' : 'y is'} out of date.`}
+                </span>
+                {warningField && updates.length > 0 && (
+                    <button
+                        onClick={() => setShowConfirm(true)}
+                        disabled={!canWrite || !!progress}
+                        className="px-3 py-1 text-sm font-medium rounded-md bg-blue-blue text-white hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Update Warning
+                    </button>
+                )}
+            </div>
+            <MutationProgress progress={progress} label="Updating" />
+            <ConfirmationModal
+                isOpen={showConfirm}
+                title="Update Warning"
+                message={`Replace the Warning of ${updates.length} entr${updates.length !== 1 ? 'ies' : 'y'} with the validation messages? Entries that pass every rule get an empty Warning.`}
+                onConfirm={handleWrite}
+                onCancel={() => setShowConfirm(false)}
+            />
+        </div>
+    );
+}
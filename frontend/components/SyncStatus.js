@@ -0,0 +1,70 @@
+/**
+ * Sync state of a single row: saving, saved, or failed with retry/discard buttons
+ * @param {Object} props
+ * @param {{state: string|null, error: string|null}} props.syncState - Row sync state from useWriteQueue
+ * @param {Function} props.onRetry - Callback to retry the row's failed writes
+ * @param {Function} props.onDiscard - Callback to drop the row's failed writes
+ */
+export function SyncStatusBadge({syncState, onRetry, onDiscard}) {
+    if (syncState.state === 'pending') {
+        return (
+            <span className="text-xs text-gray-gray500 dark:text-gray-gray400" title={syncState.error ? `Retrying: ${syncState.error}` : undefined}>
+                {syncState.error ? 'Retrying…' : 'Saving…'}
+            </span>
+        );
+    }
+    if (syncState.state === 'saved') {
+        return <span className="text-xs text-green-greenDark1">Saved</span>;
+    }
+    if (syncState.state === 'failed') {
+        return (
+            <span className="flex items-center gap-1 text-xs whitespace-nowrap">
+                <span className="text-red-redDark1" title={syncState.error || undefined}>Failed</span>
+                <button onClick={onRetry} className="px-1 text-blue-blue hover:underline">Retry</button>
+                <button onClick={onDiscard} className="px-1 text-gray-gray500 dark:text-gray-gray400 hover:underline">Discard</button>
+            </span>
+        );
+    }
+    return null;
+}
+
+/**
+ * Banner summarizing writes that have not reached Airtable yet
+ * @param {Object} props
+ * @param {Object} props.writeQueue - Write queue from useWriteQueue
+ */
+export function WriteQueueBanner({writeQueue}) {
+    const {pendingCount, failedCount, pendingCreateCount} = writeQueue;
+    if (pendingCount === 0 && failedCount === 0) return null;
+
+    return (
+        <div className={`mb-4 flex items-center justify-between p-3 rounded text-sm text-gray-gray900 dark:text-gray-gray100 border ${
+            failedCount > 0
+                ? 'bg-red-redLight3 dark:bg-gray-gray700 border-red-red'
+                : 'bg-blue-blueLight3 dark:bg-gray-gray700 border-blue-blueLight2 dark:border-gray-gray600'
+        }`}>
+            <span>
+                {pendingCount > 0 && `Saving ${pendingCount} change${pendingCount !== 1 ? 's' : ''}…`}
+                {pendingCount > 0 && failedCount > 0 && ' '}
+                {failedCount > 0 && `${failedCount} change${failedCount !== 1 ? 's' : ''} could not be saved.`}
+                {pendingCreateCount > 0 && ` (${pendingCreateCount} new entr${pendingCreateCount !== 1 ? 'ies' : 'y'} not created yet)`}
+            </span>
+            {failedCount > 0 && (
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={() => writeQueue.retry()}
+                        className="px-3 py-1 text-sm font-medium rounded-md bg-blue-blue text-white hover:bg-blue-blue600"
+                    >
+                        Retry all
+                    </button>
+                    <button
+                        onClick={() => writeQueue.discardFailed()}
+                        className="px-3 py-1 text-sm text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded"
+                    >
+                        Discard
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,86 @@
+import {formatHours} from '../utils/hoursUtils';
+import {getOverviewColumns, summarizeEntries} from '../utils/teamUtils';
+
+/**
+ * Team overview: one row per Users Table person, one column per day (or week) of the selected period.
+ * Each cell shows the hours logged, the missing workdays and the entries with a warning;
+ * clicking a cell opens that person's entries for the cell's dates.
+ * @param {Object} props
+ * @param {Array<{id: string, name: string, email: string, records: Array}>} props.people - People with their Timesheet records
+ * @param {{start: Date, end: Date}} props.range - Selected period
+ * @param {Object} props.fields - Field references: date, individualHours, warning
+ * @param {Function} props.onDrillDown - Callback with (personId, {mode, start, end}) when a cell is clicked
+ */
+export function TeamOverview({people, range, fields, onDrillDown}) {
+    const columns = getOverviewColumns(range);
+    const today = new Date();
+
+    const headerClassName = 'px-3 py-2 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500';
+    const cellClassName = 'px-1 py-1 text-sm border-b border-gray-gray100 dark:border-gray-gray600';
+
+    const renderSummaryCell = (person, cellRange, key, isTotal = false) => {
+        const summary = summarizeEntries(person.records, cellRange, fields, today);
+        return (
+            <td key={key} className={`${cellClassName} ${isTotal ? 'bg-gray-gray50 dark:bg-gray-gray800' : ''}`}>
+                <button
+                    onClick={() => onDrillDown(person.id, cellRange)}
+                    title={`${summary.entryCount} entr${summary.entryCount === 1 ? 'y' : 'ies'} – show ${person.name}'s entries`}
+                    className="w-full px-2 py-1 text-left rounded hover:bg-gray-gray100 dark:hover:bg-gray-gray600"
+                >
+                    <div className={`${isTotal ? 'font-semibold ' : ''}text-gray-gray900 dark:text-gray-gray100`}>
+                        {formatHours(summary.hours) || '0'} h
+                    </div>
+                    {(summary.missingDays > 0 || summary.warningCount > 0) && (
+                        <div className="text-xs space-x-2">
+                            {summary.missingDays > 0 && (
+                                <span className="text-orange-orangeDark1">{summary.missingDays} missing</span>
+                            )}
+                            {summary.warningCount > 0 && (
+                                <span className="text-red-red">{summary.warningCount} warning{summary.warningCount !== 1 ? 's' : ''}</span>
+                            )}
+                        </div>
+                    )}
+                </button>
+            </td>
+        );
+    };
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="w-full border-collapse table-auto">
+                <thead className="bg-gray-gray100 dark:bg-gray-gray600">
+                    <tr>
+                        <th className={headerClassName}>Person</th>
+                        {columns.map(column => (
+                            <th key={column.key} className={headerClassName}>
+                                <div>{column.label}</div>
+                                <div className="font-normal normal-case text-gray-gray500 dark:text-gray-gray400">{column.sublabel}</div>
+                            </th>
+                        ))}
+                        <th className={headerClassName}>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {people.length === 0 ? (
+                        <tr>
+                            <td colSpan={columns.length + 2} className="px-4 py-8 text-center text-sm text-gray-gray500 dark:text-gray-gray400">
+                                No people found in the Users Table.
+                            </td>
+                        </tr>
+                    ) : people.map(person => (
+                        <tr key={person.id} className="hover:bg-gray-gray50 dark:hover:bg-gray-gray600 transition-colors">
+                            <td className="px-3 py-2 text-sm border-b border-gray-gray100 dark:border-gray-gray600 text-gray-gray900 dark:text-gray-gray100 whitespace-nowrap">
+                                <div>{person.name}</div>
+                                {person.email && (
+                                    <div className="text-xs text-gray-gray500 dark:text-gray-gray400">{person.email}</div>
+                                )}
+                            </td>
+                            {columns.map(column => renderSummaryCell(person, {mode: column.mode, start: column.start, end: column.end}, column.key))}
+                            {renderSummaryCell(person, {mode: 'period', start: range.start, end: range.end}, 'total', true)}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
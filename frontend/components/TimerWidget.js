@@ -0,0 +1,118 @@
+import {useState, useEffect} from 'react';
+import {ConfirmationModal} from './ConfirmationModal';
+import {isDateAvailable} from '../utils/dateUtils';
+import {formatHours} from '../utils/hoursUtils';
+import {getTaskLabel} from '../utils/taskCatalog';
+import {formatElapsed, getElapsedMs, roundElapsedHours} from '../utils/timerUtils';
+
+/**
+ * Start/stop timer: pick a Task and optional notes, start, pause and resume,
+ * and stop to turn the tracked time into a Timesheet entry for today.
+ * @param {Object} props
+ * @param {Object} props.timer - Timer state and actions from useTimer
+ * @param {Array} props.taskRecords - Tasks from the Task catalog
+ * @param {{minutes: string, mode: string}} props.rounding - Rounding rule for the tracked time
+ * @param {Set<string>} props.availableDates - Set of open date strings (YYYY-MM-DD format)
+ * @param {boolean} props.canCreate - Whether records can be created
+ * @param {Function} props.onStop - Callback with {date, hours, task, notes} when the timer is stopped
+ */
+export function TimerWidget({timer, taskRecords, rounding, availableDates, canCreate, onStop}) {
+    const [now, setNow] = useState(() => Date.now());
+    const [showResetConfirm, setShowResetConfirm] = useState(false);
+
+    // Tick every second while the timer runs
+    useEffect(() => {
+        if (!timer.isRunning) return undefined;
+        setNow(Date.now());
+        const intervalId = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(intervalId);
+    }, [timer.isRunning]);
+
+    const elapsedMs = getElapsedMs(timer, timer.isRunning ? now : 0);
+    const selectedTask = taskRecords.find(task => task.id === timer.taskId) || null;
+
+    const handleStop = () => {
+        const today = new Date();
+        if (!isDateAvailable(today, availableDates)) {
+            alert('Today is in a closed period or approved week. The timer cannot be stopped into it; reopen the period or keep the timer running.');
+            return;
+        }
+        const hours = roundElapsedHours(getElapsedMs(timer, Date.now()), rounding);
+        if (hours <= 0) {
+            alert('The tracked time rounds to 0 hours. Keep the timer running or reset it.');
+            return;
+        }
+        timer.pause();
+        onStop({date: today, hours, task: selectedTask, notes: timer.notes});
+    };
+
+    const buttonClassName = 'px-3 py-1 text-sm font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+    const secondaryButtonClassName = `${buttonClassName} bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray600`;
+
+    return (
+        <div className="mb-4 p-3 flex flex-wrap items-center gap-3 border border-gray-gray200 dark:border-gray-gray600 rounded bg-white dark:bg-gray-gray700">
+            <span className={`font-mono text-lg ${timer.isRunning ? 'text-blue-blue' : 'text-gray-gray900 dark:text-gray-gray100'}`}>
+                {formatElapsed(elapsedMs)}
+            </span>
+            <select
+                value={timer.taskId || ''}
+                onChange={(e) => timer.setTask(e.target.value || null)}
+                className="px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800 max-w-xs"
+            >
+                <option value="">Select Task</option>
+                {taskRecords.map(task => (
+                    <option key={task.id} value={task.id}>{getTaskLabel(task)}</option>
+                ))}
+            </select>
+            <input
+                type="text"
+                value={timer.notes}
+                onChange={(e) => timer.setNotes(e.target.value)}
+                placeholder="Notes (optional)"
+                className="flex-1 min-w-[10rem] px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800"
+            />
+            {timer.isRunning ? (
+                <button onClick={timer.pause} className={secondaryButtonClassName}>
+                    Pause
+                </button>
+            ) : (
+                <button
+                    onClick={timer.start}
+                    disabled={!timer.taskId}
+                    title={!timer.taskId ? 'Select a Task first' : undefined}
+                    className={`${buttonClassName} bg-blue-blue text-white hover:bg-blue-blue600`}
+                >
+                    {timer.isPaused ? 'Resume' : 'Start'}
+                </button>
+            )}
+            {timer.hasTime && (
+                <>
+                    <button
+                        onClick={handleStop}
+                        disabled={!canCreate}
+                        title={`Create an entry for today (${formatHours(roundElapsedHours(elapsedMs, rounding)) || '0'} h after rounding)`}
+                        className={secondaryButtonClassName}
+                    >
+                        Stop
+                    </button>
+                    <button
+                        onClick={() => setShowResetConfirm(true)}
+                        className="text-sm text-gray-gray500 dark:text-gray-gray400 hover:underline"
+                    >
+                        Reset
+                    </button>
+                </>
+            )}
+            <ConfirmationModal
+                isOpen={showResetConfirm}
+                title="Reset timer"
+                message={`Discard the ${formatElapsed(elapsedMs)} tracked so far?`}
+                onConfirm={() => {
+                    timer.reset();
+                    setShowResetConfirm(false);
+                }}
+                onCancel={() => setShowResetConfirm(false)}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,120 @@
+import {useState} from 'react';
+import {formatDateToString, formatISOWeek, getWeekEnd} from '../utils/dateUtils';
+import {formatHours, sumHours} from '../utils/hoursUtils';
+import {waitForWriteSlot} from '../utils/mutationService';
+import {SUBMISSION_STATUS, toSubmissionStatusValue, validateWeekForSubmission} from '../utils/submissionUtils';
+
+const STATUS_STYLES = {
+    [SUBMISSION_STATUS.SUBMITTED]: 'text-blue-blue',
+    [SUBMISSION_STATUS.APPROVED]: 'text-green-greenDark1',
+    [SUBMISSION_STATUS.RETURNED]: 'text-orange-orangeDark1',
+};
+
+/**
+ * Bar showing the submission status of the logged-in user's week, with a "Submit week" button
+ * @param {Object} props
+ * @param {Date} props.weekStart - Monday of the week
+ * @param {Object|null} props.submission - The user's submission for the week (from getSubmissions), or null
+ * @param {Array} props.weekRecords - The user's Timesheet records in the week
+ * @param {Table} props.submissionsTable - Submissions table
+ * @param {Object} props.submissionFields - Submissions table fields: user, weekStart, status
+ * @param {Object} props.timesheetFields - Timesheet fields used to validate the week: individualHours, task, warning
+ * @param {string} props.userEmail - Email of the logged-in user
+ * @param {boolean} props.hasPendingWrites - Whether edits are still waiting to be saved
+ */
+export function WeekSubmissionBar({
+    weekStart,
+    submission,
+    weekRecords,
+    submissionsTable,
+    submissionFields,
+    timesheetFields,
+    userEmail,
+    hasPendingWrites
+}) {
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const status = submission?.status || '';
+    const canSubmit = !!userEmail && status !== SUBMISSION_STATUS.SUBMITTED && status !== SUBMISSION_STATUS.APPROVED;
+    const weekHours = sumHours(weekRecords, timesheetFields.individualHours);
+
+    const handleSubmit = async () => {
+        if (hasPendingWrites) {
+            alert('Some of your changes are still being saved. Submit the week once they have been saved.');
+            return;
+        }
+        const problems = validateWeekForSubmission(weekRecords, timesheetFields);
+        if (problems.length > 0) {
+            alert('This week cannot be submitted yet:\n\n' + problems.join('\n'));
+            return;
+        }
+        const statusValue = toSubmissionStatusValue(submissionFields.status, SUBMISSION_STATUS.SUBMITTED);
+        if (!statusValue) {
+            alert(`The Status field of the Submissions table has no "${SUBMISSION_STATUS.SUBMITTED}" option.`);
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            await waitForWriteSlot();
+            if (submission) {
+                // Resubmit a week that was sent back
+                const fieldsToSet = {[submissionFields.status.id]: statusValue};
+                if (!submissionsTable.hasPermissionToUpdateRecords?.([{id: submission.record.id, fields: fieldsToSet}])) {
+                    alert('You do not have permission to update records in the Submissions table.');
+                    return;
+                }
+                await submissionsTable.updateRecordAsync(submission.record, fieldsToSet);
+            } else {
+                const fieldsToSet = {
+                    [submissionFields.user.id]: userEmail,
+                    [submissionFields.weekStart.id]: formatDateToString(weekStart),
+                    [submissionFields.status.id]: statusValue
+                };
+                if (!submissionsTable.hasPermissionToCreateRecords?.([{fields: fieldsToSet}])) {
+                    alert('You do not have permission to create records in the Submissions table.');
+                    return;
+                }
+                await submissionsTable.createRecordAsync(fieldsToSet);
+            }
+        } catch (error) {
+            console.error('Error submitting week:', error);
+            alert('Failed to submit week: ' + (error.message || 'Unknown error occurred.'));
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    let statusText = 'Not submitted';
+    if (status === SUBMISSION_STATUS.SUBMITTED) statusText = 'Submitted – waiting for approval';
+    else if (status === SUBMISSION_STATUS.APPROVED) statusText = 'Approved – entries are read-only';
+    else if (status === SUBMISSION_STATUS.RETURNED) statusText = 'Sent back – update your entries and submit again';
+
+    return (
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-3 p-3 bg-white dark:bg-gray-gray700 rounded-lg shadow-sm">
+            <div className="text-sm">
+                <div className="text-gray-gray900 dark:text-gray-gray100">
+                    <span className="font-medium">{formatISOWeek(weekStart)}</span>
+                    <span className="ml-2 text-gray-gray500 dark:text-gray-gray400">
+                        ({formatDateToString(weekStart)} – {formatDateToString(getWeekEnd(weekStart))}, {formatHours(weekHours) || '0'} h)
+                    </span>
+                    <span className={`ml-3 font-medium ${STATUS_STYLES[status] || 'text-gray-gray600 dark:text-gray-gray400'}`}>
+                        {statusText}
+                    </span>
+                </div>
+                {status === SUBMISSION_STATUS.RETURNED && submission.comment && (
+                    <div className="mt-1 text-xs text-gray-gray700 dark:text-gray-gray300">
+                        <strong>Comment:</strong> {submission.comment}
+                    </div>
+                )}
+            </div>
+            <button
+                onClick={handleSubmit}
+                disabled={!canSubmit || isSubmitting}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-blue rounded-md hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {isSubmitting ? 'Submitting…' : 'Submit week'}
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,385 @@
+import {useState} from 'react';
+import {formatDateToString, formatISOWeek, parseDateValue, addDays, isDateAvailable} from '../utils/dateUtils';
+import {isDateInLockedWeek, isRecordClosed} from '../utils/recordUtils';
+import {formatHours, sumHours} from '../utils/hoursUtils';
+import {waitForWriteSlot} from '../utils/mutationService';
+import {getTaskLabel} from '../utils/taskCatalog';
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Get the linked record / select option ID used to group a record into a grid row
+ * @param {Record} record - The Timesheet record
+ * @param {Field} field - Task (linked record) or Time Task Type (single select) field
+ * @returns {{id: string, name: string}} Row key part (empty id if the cell is empty)
+ */
+function getRowKeyPart(record, field) {
+    if (!field) return {id: '', name: ''};
+    const value = record.getCellValue(field);
+    const item = Array.isArray(value) ? value[0] : value;
+    if (!item) return {id: '', name: ''};
+    return {id: item.id || '', name: item.name || item.displayName || ''};
+}
+
+/**
+ * Weekly grid view: one row per Task + Time Task Type, one column per weekday (Monday–Sunday)
+ * Each cell edits the Individual Hours of the matching record, or creates a record if none exists,
+ * so the records should be those of one person (the logged-in user)
+ * @param {Object} props
+ * @param {Array} props.records - Timesheet records to show
+ * @param {Table} props.timesheetTable - Timesheet table
+ * @param {Date} props.weekStart - Monday of the week being shown
+ * @param {Function} props.onWeekChange - Callback with the new week start when switching weeks
+ * @param {Object} props.fields - Field references: task, timeTaskType, date, individualHours, yearWeek, weekday
+ * @param {Array} props.taskRecords - Tasks from the Task catalog for the "add row" picker
+ * @param {Object} props.stampFields - Fields stamping new records with the logged-in user
+ * @param {boolean} props.canCreateRecords - Whether new records can be created
+ * @param {Array} props.monthRecords - Month records for availability and closed period checking
+ * @param {Field} props.monthStatusField - Status field from Month table
+ * @param {Field} props.monthStartDateField - Start date field from Month table
+ * @param {Field} props.monthEndDateField - End date field from Month table
+ * @param {Set<string>} props.availableDates - Set of open date strings (YYYY-MM-DD format)
+ * @param {Object} [props.weekLocks] - Approved weeks of the logged-in user; their own entries there are read-only
+ * @param {Function} props.onUpdate - Callback when a record is created or updated
+ * @param {Object} [props.undoHistory] - Undo/redo history from useUndoHistory; every write is recorded in it
+ * @param {Object} [props.writeQueue] - Write queue from useWriteQueue; writes are queued and retried instead of sent directly
+ */
+export function WeeklyGrid({
+    records,
+    timesheetTable,
+    weekStart,
+    onWeekChange,
+    fields,
+    taskRecords = [],
+    stampFields,
+    canCreateRecords,
+    monthRecords,
+    monthStatusField,
+    monthStartDateField,
+    monthEndDateField,
+    availableDates,
+    weekLocks = null,
+    onUpdate,
+    undoHistory,
+    writeQueue
+}) {
+    const {task, timeTaskType, date, individualHours, yearWeek, weekday} = fields;
+    const [drafts, setDrafts] = useState({}); // Cell input values keyed by `${rowKey}|${dateStr}`
+    const [savingCells, setSavingCells] = useState({});
+    const [extraRows, setExtraRows] = useState([]); // Rows added by the user that have no records yet
+    const [newRowTaskId, setNewRowTaskId] = useState('');
+    const [newRowTypeId, setNewRowTypeId] = useState('');
+
+    const days = DAY_NAMES.map((dayName, index) => {
+        const day = addDays(weekStart, index);
+        return {dayName, date: day, dateStr: formatDateToString(day)};
+    });
+    const weekDateStrs = new Set(days.map(d => d.dateStr));
+
+    // Records falling in the selected week, placed by their Date field
+    const weekRecords = (date && individualHours) ? records.filter(record => {
+        const recordDate = parseDateValue(record.getCellValue(date));
+        return recordDate && weekDateStrs.has(formatDateToString(recordDate));
+    }) : [];
+
+    // Build rows keyed by Task + Time Task Type
+    const rowsByKey = new Map();
+    weekRecords.forEach(record => {
+        const taskPart = getRowKeyPart(record, task);
+        const typePart = getRowKeyPart(record, timeTaskType);
+        const rowKey = `${taskPart.id}::${typePart.id}`;
+        if (!rowsByKey.has(rowKey)) {
+            rowsByKey.set(rowKey, {
+                key: rowKey,
+                taskId: taskPart.id,
+                taskName: taskPart.name,
+                typeId: typePart.id,
+                typeName: typePart.name,
+                recordsByDate: {}
+            });
+        }
+        const dateStr = formatDateToString(parseDateValue(record.getCellValue(date)));
+        const row = rowsByKey.get(rowKey);
+        row.recordsByDate[dateStr] = [...(row.recordsByDate[dateStr] || []), record];
+    });
+    extraRows.forEach(extraRow => {
+        if (!rowsByKey.has(extraRow.key)) {
+            rowsByKey.set(extraRow.key, {...extraRow, recordsByDate: {}});
+        }
+    });
+    const rows = Array.from(rowsByKey.values()).sort((a, b) =>
+        (a.taskName || '').localeCompare(b.taskName || '') || (a.typeName || '').localeCompare(b.typeName || '')
+    );
+
+    const getCellHours = (cellRecords) => sumHours(cellRecords || [], individualHours);
+
+    // Week label and column labels come from the Year-Week and Weekday fields when records exist
+    const yearWeekLabel = yearWeek && weekRecords.length > 0
+        ? weekRecords[0].getCellValueAsString(yearWeek)
+        : '';
+    const getDayLabel = (day) => {
+        if (weekday) {
+            const dayRecord = weekRecords.find(record =>
+                formatDateToString(parseDateValue(record.getCellValue(date))) === day.dateStr
+            );
+            const weekdayValue = dayRecord?.getCellValueAsString(weekday);
+            if (weekdayValue) return weekdayValue;
+        }
+        return day.dayName;
+    };
+
+    const handleCellSave = async (row, day) => {
+        const cellKey = `${row.key}|${day.dateStr}`;
+        const draft = drafts[cellKey];
+        if (draft === undefined) return;
+
+        const cellRecords = row.recordsByDate[day.dateStr] || [];
+        const newHours = draft === '' ? null : parseFloat(draft);
+        const clearDraft = () => setDrafts(prev => {
+            const next = {...prev};
+            delete next[cellKey];
+            return next;
+        });
+
+        if (draft !== '' && isNaN(newHours)) {
+            alert('Please enter a valid number of hours.');
+            clearDraft();
+            return;
+        }
+        if ((newHours || 0) === getCellHours(cellRecords)) {
+            clearDraft();
+            return;
+        }
+
+        setSavingCells(prev => ({...prev, [cellKey]: true}));
+        try {
+            if (cellRecords.length === 1) {
+                const record = cellRecords[0];
+                const queuedHours = writeQueue ? writeQueue.getQueuedValue(record.id, individualHours.id) : undefined;
+                const previousHours = queuedHours !== undefined ? queuedHours : record.getCellValue(individualHours);
+                if (writeQueue) {
+                    writeQueue.enqueueUpdate(record.id, {[individualHours.id]: newHours});
+                } else {
+                    await waitForWriteSlot();
+                    await timesheetTable.updateRecordAsync(record, {
+                        [individualHours.id]: newHours
+                    });
+                }
+                if (undoHistory) undoHistory.recordUpdate(record, individualHours, previousHours, newHours);
+            } else if (cellRecords.length === 0 && newHours) {
+                const fieldsToSet = {
+                    ...stampFields,
+                    [date.id]: day.dateStr,
+                    [individualHours.id]: newHours
+                };
+                if (task && row.taskId) fieldsToSet[task.id] = [{id: row.taskId}];
+                if (timeTaskType && row.typeId) fieldsToSet[timeTaskType.id] = {id: row.typeId};
+                // The cell stays disabled until the record exists, so a second edit cannot create it twice
+                let newRecordId;
+                if (writeQueue) {
+                    newRecordId = await writeQueue.enqueueCreate(fieldsToSet);
+                } else {
+                    await waitForWriteSlot();
+                    newRecordId = await timesheetTable.createRecordAsync(fieldsToSet);
+                }
+                if (undoHistory) undoHistory.recordCreate(timesheetTable, newRecordId, fieldsToSet);
+            }
+            if (onUpdate) onUpdate();
+        } catch (error) {
+            console.error('Error saving weekly grid cell:', error);
+            alert('Failed to save hours: ' + (error.message || 'Unknown error occurred.'));
+        } finally {
+            clearDraft();
+            setSavingCells(prev => {
+                const next = {...prev};
+                delete next[cellKey];
+                return next;
+            });
+        }
+    };
+
+    const handleAddRow = () => {
+        if (!newRowTaskId) return;
+        const taskRecord = taskRecords.find(r => r.id === newRowTaskId);
+        const typeOption = (timeTaskType?.config?.options?.choices || []).find(opt => opt.id === newRowTypeId);
+        const rowKey = `${newRowTaskId}::${newRowTypeId}`;
+        setExtraRows(prev => prev.some(r => r.key === rowKey) ? prev : [...prev, {
+            key: rowKey,
+            taskId: newRowTaskId,
+            taskName: taskRecord?.displayName || taskRecord?.name || newRowTaskId,
+            typeId: newRowTypeId,
+            typeName: typeOption?.name || ''
+        }]);
+        setNewRowTaskId('');
+        setNewRowTypeId('');
+    };
+
+    if (!date || !individualHours) {
+        return (
+            <div className="p-6 text-sm text-gray-gray700 dark:text-gray-gray300">
+                Please configure the Date and Individual Hours fields in the properties panel to use the weekly grid.
+            </div>
+        );
+    }
+
+    const dayTotals = days.map(day => rows.reduce((sum, row) => sum + getCellHours(row.recordsByDate[day.dateStr]), 0));
+    const weekTotal = dayTotals.reduce((sum, hours) => sum + hours, 0);
+    const cellClassName = 'px-2 py-2 text-sm border-b border-gray-gray100 dark:border-gray-gray600';
+    const headerClassName = 'px-2 py-3 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500';
+
+    return (
+        <div>
+            <div className="flex items-center justify-between p-3 border-b border-gray-gray200 dark:border-gray-gray600">
+                <button
+                    onClick={() => onWeekChange(addDays(weekStart, -7))}
+                    className="px-3 py-1 text-sm text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded"
+                >
+                    ← Previous week
+                </button>
+                <div className="text-center">
+                    <div className="text-sm font-semibold text-gray-gray900 dark:text-gray-gray100">
+                        {yearWeekLabel || formatISOWeek(weekStart)}
+                    </div>
+                    <div className="text-xs text-gray-gray500 dark:text-gray-gray400">
+                        {days[0].dateStr} – {days[6].dateStr}
+                    </div>
+                </div>
+                <button
+                    onClick={() => onWeekChange(addDays(weekStart, 7))}
+                    className="px-3 py-1 text-sm text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded"
+                >
+                    Next week →
+                </button>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full border-collapse table-auto">
+                    <thead className="bg-gray-gray100 dark:bg-gray-gray600">
+                        <tr>
+                            <th className={`${headerClassName} min-w-[220px]`}>Task</th>
+                            {days.map(day => (
+                                <th key={day.dateStr} className={`${headerClassName} min-w-[80px]`}>
+                                    <div>{getDayLabel(day)}</div>
+                                    <div className="font-normal normal-case">{day.dateStr.slice(5)}</div>
+                                </th>
+                            ))}
+                            <th className={`${headerClassName} min-w-[80px]`}>Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.length === 0 && (
+                            <tr>
+                                <td colSpan={days.length + 2} className="px-4 py-8 text-center text-sm text-gray-gray500 dark:text-gray-gray400">
+                                    No entries this week
+                                </td>
+                            </tr>
+                        )}
+                        {rows.map(row => {
+                            const rowTotal = days.reduce((sum, day) => sum + getCellHours(row.recordsByDate[day.dateStr]), 0);
+                            return (
+                                <tr key={row.key} className="hover:bg-gray-gray50 dark:hover:bg-gray-gray600 transition-colors">
+                                    <td className={`${cellClassName} text-gray-gray900 dark:text-gray-gray100`}>
+                                        <div>{row.taskName || 'No task'}</div>
+                                        {row.typeName && (
+                                            <div className="text-xs text-gray-gray500 dark:text-gray-gray400">{row.typeName}</div>
+                                        )}
+                                    </td>
+                                    {days.map(day => {
+                                        const cellKey = `${row.key}|${day.dateStr}`;
+                                        const cellRecords = row.recordsByDate[day.dateStr] || [];
+                                        const cellHours = getCellHours(cellRecords);
+                                        const isClosed = cellRecords.some(record =>
+                                            isRecordClosed(record, date, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks)
+                                        );
+                                        const canUpdate = cellRecords.length === 1 &&
+                                            (timesheetTable?.hasPermissionToUpdateRecords?.([{id: cellRecords[0].id, fields: {[individualHours.id]: null}}]) ?? false);
+                                        const canCreate = cellRecords.length === 0 && canCreateRecords && isDateAvailable(day.date, availableDates);
+                                        const isDisabled = isClosed || savingCells[cellKey] || !(canUpdate || canCreate);
+                                        let title = '';
+                                        if (cellRecords.length > 1) {
+                                            title = `${cellRecords.length} entries on this day – edit them in the table view`;
+                                        } else if (isClosed) {
+                                            title = isDateInLockedWeek(day.date, weekLocks) ? 'This week has been approved' : 'This period is closed';
+                                        } else if (cellRecords.length === 0 && !isDateAvailable(day.date, availableDates)) {
+                                            title = 'This date is not in an open period';
+                                        }
+
+                                        return (
+                                            <td key={day.dateStr} className={cellClassName} title={title}>
+                                                <input
+                                                    type="number"
+                                                    step="0.25"
+                                                    min="0"
+                                                    value={drafts[cellKey] ?? formatHours(cellHours)}
+                                                    disabled={isDisabled}
+                                                    onChange={(e) => setDrafts(prev => ({...prev, [cellKey]: e.target.value}))}
+                                                    onBlur={() => handleCellSave(row, day)}
+                                                    onKeyDown={(e) => {
+                                                        if (e.key === 'Enter') e.target.blur();
+                                                    }}
+                                                    className={`w-full px-2 py-1 border rounded text-right text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800 ${isDisabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+                                                />
+                                            </td>
+                                        );
+                                    })}
+                                    <td className={`${cellClassName} text-right font-semibold text-gray-gray900 dark:text-gray-gray100`}>
+                                        {formatHours(rowTotal)}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                    <tfoot className="bg-gray-gray50 dark:bg-gray-gray600">
+                        <tr>
+                            <td className={`${cellClassName} font-semibold text-gray-gray900 dark:text-gray-gray100`}>Total</td>
+                            {dayTotals.map((hours, index) => (
+                                <td key={days[index].dateStr} className={`${cellClassName} text-right font-semibold text-gray-gray900 dark:text-gray-gray100`}>
+                                    {formatHours(hours)}
+                                </td>
+                            ))}
+                            <td className={`${cellClassName} text-right font-bold text-gray-gray900 dark:text-gray-gray100`}>
+                                {formatHours(weekTotal)}
+                            </td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            {canCreateRecords && task && (
+                <div className="flex items-center gap-2 p-3 border-t border-gray-gray200 dark:border-gray-gray600">
+                    <select
+                        value={newRowTaskId}
+                        onChange={(e) => setNewRowTaskId(e.target.value)}
+                        className="px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800"
+                    >
+                        <option value="">Select Task</option>
+                        {taskRecords.map(taskRecord => (
+                            <option key={taskRecord.id} value={taskRecord.id}>
+                                {getTaskLabel(taskRecord)}
+                            </option>
+                        ))}
+                    </select>
+                    {timeTaskType && (
+                        <select
+                            value={newRowTypeId}
+                            onChange={(e) => setNewRowTypeId(e.target.value)}
+                            className="px-2 py-1 border rounded text-sm text-gray-gray900 dark:text-gray-gray100 bg-white dark:bg-gray-gray800"
+                        >
+                            <option value="">Select Time Task Type</option>
+                            {(timeTaskType.config?.options?.choices || []).map(option => (
+                                <option key={option.id} value={option.id}>
+                                    {option.name}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                    <button
+                        onClick={handleAddRow}
+                        disabled={!newRowTaskId}
+                        className="px-3 py-1 text-sm font-medium rounded-md bg-blue-blue text-white hover:bg-blue-blue600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Add row
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,4 +1,7 @@
 import {FieldType} from '@airtable/blocks/interface/models';
+import {TIMER_ROUNDING_MODES} from '../utils/timerUtils';
+import {DEFAULT_VALIDATION_RULES, RULE_TYPES} from '../utils/validationRules';
+import {findFieldByName} from '../utils/fieldResolver';
 
 /**
  * Get custom properties configuration for the Interface Extension
@@ -10,12 +13,7 @@ export function getCustomProperties(base) {
     const usersTable = base.getTableByNameIfExists('Users Table') || base.getTableByNameIfExists('Users') || null;
     const tasksTable = base.getTableByNameIfExists('Tasks for Timesheet') || base.getTableByNameIfExists('Tasks') || base.getTableByNameIfExists('Project from Task') || null;
     const monthTable = base.getTableByNameIfExists('Month') || null;
-    
-    // Helper to find a field by name
-    const findField = (table, fieldName) => {
-        if (!table) return undefined;
-        return table.fields.find(field => field.name === fieldName);
-    };
+    const submissionsTable = base.getTableByNameIfExists('Timesheet Submissions') || base.getTableByNameIfExists('Submissions') || null;
 
     return [
         {
@@ -36,6 +34,30 @@ export function getCustomProperties(base) {
             type: 'table',
             defaultValue: tasksTable,
         },
+        {
+            key: 'tasksProject',
+            label: 'Project (Tasks Table)',
+            type: 'field',
+            table: tasksTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.MULTIPLE_RECORD_LINKS ||
+                field.config.type === FieldType.MULTIPLE_LOOKUP_VALUES ||
+                field.config.type === FieldType.SINGLE_LINE_TEXT ||
+                field.config.type === FieldType.SINGLE_SELECT ||
+                field.config.type === FieldType.FORMULA,
+            defaultValue: findFieldByName(tasksTable, 'Project'),
+        },
+        {
+            key: 'tasksStatus',
+            label: 'Status (Tasks Table)',
+            type: 'field',
+            table: tasksTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.SINGLE_SELECT ||
+                field.config.type === FieldType.SINGLE_LINE_TEXT ||
+                field.config.type === FieldType.FORMULA,
+            defaultValue: findFieldByName(tasksTable, 'Status'),
+        },
         {
             key: 'monthTable',
             label: 'Month Table',
@@ -49,7 +71,7 @@ export function getCustomProperties(base) {
             table: monthTable,
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.SINGLE_SELECT,
-            defaultValue: findField(monthTable, 'Status'),
+            defaultValue: findFieldByName(monthTable, 'Status'),
         },
         {
             key: 'monthStartDate',
@@ -59,7 +81,7 @@ export function getCustomProperties(base) {
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.DATE || 
                 field.config.type === FieldType.DATE_TIME,
-            defaultValue: findField(monthTable, 'Start Date'),
+            defaultValue: findFieldByName(monthTable, 'Start Date'),
         },
         {
             key: 'monthEndDate',
@@ -69,21 +91,148 @@ export function getCustomProperties(base) {
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.DATE || 
                 field.config.type === FieldType.DATE_TIME,
-            defaultValue: findField(monthTable, 'End Date'),
+            defaultValue: findFieldByName(monthTable, 'End Date'),
+        },
+        {
+            key: 'submissionsTable',
+            label: 'Submissions Table',
+            type: 'table',
+            defaultValue: submissionsTable,
+        },
+        {
+            key: 'submissionsUser',
+            label: 'User Email (Submissions Table)',
+            type: 'field',
+            table: submissionsTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.EMAIL ||
+                field.config.type === FieldType.SINGLE_LINE_TEXT,
+            defaultValue: findFieldByName(submissionsTable, 'User Email', 'Email'),
+        },
+        {
+            key: 'submissionsWeekStart',
+            label: 'Week Start (Submissions Table)',
+            type: 'field',
+            table: submissionsTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.DATE,
+            defaultValue: findFieldByName(submissionsTable, 'Week Start'),
+        },
+        {
+            key: 'submissionsStatus',
+            label: 'Status (Submissions Table)',
+            type: 'field',
+            table: submissionsTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.SINGLE_SELECT ||
+                field.config.type === FieldType.SINGLE_LINE_TEXT,
+            defaultValue: findFieldByName(submissionsTable, 'Status'),
+        },
+        {
+            key: 'submissionsComment',
+            label: 'Manager Comment (Submissions Table)',
+            type: 'field',
+            table: submissionsTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.SINGLE_LINE_TEXT ||
+                field.config.type === FieldType.MULTILINE_TEXT,
+            defaultValue: findFieldByName(submissionsTable, 'Manager Comment', 'Comment'),
+        },
+        {
+            key: 'usersEmail',
+            label: 'Email (Users Table)',
+            type: 'field',
+            table: usersTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.EMAIL ||
+                field.config.type === FieldType.SINGLE_LINE_TEXT ||
+                field.config.type === FieldType.FORMULA ||
+                field.config.type === FieldType.MULTIPLE_LOOKUP_VALUES,
+            defaultValue: findFieldByName(usersTable, 'Email', 'E-post', 'E-mail'),
+        },
+        {
+            key: 'usersName',
+            label: 'Name (Users Table)',
+            type: 'field',
+            table: usersTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.SINGLE_LINE_TEXT ||
+                field.config.type === FieldType.FORMULA ||
+                field.config.type === FieldType.MULTIPLE_LOOKUP_VALUES,
+            defaultValue: findFieldByName(usersTable, 'Name', 'Namn'),
+        },
+        {
+            key: 'usersRole',
+            label: 'Role (Users Table)',
+            type: 'field',
+            table: usersTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.SINGLE_SELECT ||
+                field.config.type === FieldType.MULTIPLE_SELECTS ||
+                field.config.type === FieldType.SINGLE_LINE_TEXT,
+            defaultValue: findFieldByName(usersTable, 'Role'),
+        },
+        {
+            key: 'usersWeeklyHours',
+            label: 'Weekly Contracted Hours (Users Table)',
+            type: 'field',
+            table: usersTable,
+            shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.NUMBER ||
+                field.config.type === FieldType.FORMULA ||
+                field.config.type === FieldType.ROLLUP,
+            defaultValue: findFieldByName(usersTable, 'Weekly Hours', 'Contracted Hours'),
+        },
+        {
+            key: 'allEntriesRoles',
+            label: 'Roles that can see all entries (comma separated)',
+            type: 'string',
+            defaultValue: 'Admin, Manager',
+        },
+        {
+            key: 'approverRoles',
+            label: 'Roles that can approve weeks (comma separated)',
+            type: 'string',
+            defaultValue: 'Admin, Manager',
+        },
+        {
+            key: 'teamOverviewRoles',
+            label: 'Roles that can see the team overview (comma separated)',
+            type: 'string',
+            defaultValue: 'Admin, Manager',
+        },
+        {
+            key: 'timerRoundingMinutes',
+            label: 'Timer rounding step in minutes (0 = no rounding)',
+            type: 'string',
+            defaultValue: '15',
+        },
+        {
+            key: 'timerRoundingMode',
+            label: 'Timer rounding',
+            type: 'enum',
+            possibleValues: TIMER_ROUNDING_MODES,
+            defaultValue: 'nearest',
+        },
+        {
+            key: 'validationRules',
+            label: `Validation rules (JSON array; rule types: ${Object.keys(RULE_TYPES).join(', ')})`,
+            type: 'string',
+            defaultValue: JSON.stringify(DEFAULT_VALIDATION_RULES),
         },
         {
             key: 'projectImport',
             label: 'Project Import',
             type: 'field',
             table: timesheetTable,
-            defaultValue: findField(timesheetTable, 'Project Import'),
+            defaultValue: findFieldByName(timesheetTable, 'Project Import'),
         },
         {
             key: 'emailFromName',
             label: 'Email (from Name)',
             type: 'field',
             table: timesheetTable,
-            defaultValue: findField(timesheetTable, 'Email (from Name)'),
+            defaultValue: findFieldByName(timesheetTable, 'Email (from Name)'),
         },
         {
             key: 'task',
@@ -92,14 +241,14 @@ export function getCustomProperties(base) {
             table: timesheetTable,
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.MULTIPLE_RECORD_LINKS,
-            defaultValue: findField(timesheetTable, 'Task'),
+            defaultValue: findFieldByName(timesheetTable, 'Task'),
         },
         {
             key: 'createdBy2',
             label: 'Created By 2',
             type: 'field',
             table: timesheetTable,
-            defaultValue: findField(timesheetTable, 'Created By 2'),
+            defaultValue: findFieldByName(timesheetTable, 'Created By 2'),
         },
         {
             key: 'name',
@@ -107,8 +256,9 @@ export function getCustomProperties(base) {
             type: 'field',
             table: timesheetTable,
             shouldFieldBeAllowed: (field) => 
+                field.config.type === FieldType.MULTIPLE_RECORD_LINKS ||
                 field.config.type === FieldType.SINGLE_SELECT,
-            defaultValue: findField(timesheetTable, 'Name'),
+            defaultValue: findFieldByName(timesheetTable, 'Name', 'Namn'),
         },
         {
             key: 'date',
@@ -118,7 +268,7 @@ export function getCustomProperties(base) {
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.DATE || 
                 field.config.type === FieldType.DATE_TIME,
-            defaultValue: findField(timesheetTable, 'Date'),
+            defaultValue: findFieldByName(timesheetTable, 'Date', 'Datum'),
         },
         {
             key: 'yearWeek',
@@ -127,7 +277,7 @@ export function getCustomProperties(base) {
             table: timesheetTable,
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.FORMULA,
-            defaultValue: findField(timesheetTable, 'Year-Week'),
+            defaultValue: findFieldByName(timesheetTable, 'Year-Week'),
         },
         {
             key: 'individualHours',
@@ -137,28 +287,28 @@ export function getCustomProperties(base) {
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.NUMBER || 
                 field.config.type === FieldType.CURRENCY,
-            defaultValue: findField(timesheetTable, 'Individual Hours'),
+            defaultValue: findFieldByName(timesheetTable, 'Individual Hours'),
         },
         {
             key: 'weekday',
             label: 'Weekday',
             type: 'field',
             table: timesheetTable,
-            defaultValue: findField(timesheetTable, 'Weekday'),
+            defaultValue: findFieldByName(timesheetTable, 'Weekday'),
         },
         {
             key: 'projectFromTask',
             label: 'Project from Task',
             type: 'field',
             table: timesheetTable,
-            defaultValue: findField(timesheetTable, 'Project from Task'),
+            defaultValue: findFieldByName(timesheetTable, 'Project from Task'),
         },
         {
             key: 'projectFromTaskExt',
             label: 'Project from Task - Ext',
             type: 'field',
             table: timesheetTable,
-            defaultValue: findField(timesheetTable, 'Project from Task - Ext'),
+            defaultValue: findFieldByName(timesheetTable, 'Project from Task - Ext'),
         },
         {
             key: 'delete',
@@ -167,7 +317,7 @@ export function getCustomProperties(base) {
             table: timesheetTable,
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.SINGLE_SELECT,
-            defaultValue: findField(timesheetTable, 'Delete'),
+            defaultValue: findFieldByName(timesheetTable, 'Delete'),
         },
         {
             key: 'warning',
@@ -177,7 +327,7 @@ export function getCustomProperties(base) {
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.SINGLE_LINE_TEXT ||
                 field.config.type === FieldType.MULTILINE_TEXT,
-            defaultValue: findField(timesheetTable, 'Warning'),
+            defaultValue: findFieldByName(timesheetTable, 'Warning'),
         },
         {
             key: 'timesheetNotes',
@@ -187,7 +337,7 @@ export function getCustomProperties(base) {
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.SINGLE_LINE_TEXT ||
                 field.config.type === FieldType.MULTILINE_TEXT,
-            defaultValue: findField(timesheetTable, 'Timesheet Notes'),
+            defaultValue: findFieldByName(timesheetTable, 'Timesheet Notes'),
         },
         {
             key: 'timeTaskType',
@@ -196,7 +346,7 @@ export function getCustomProperties(base) {
             table: timesheetTable,
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.SINGLE_SELECT,
-            defaultValue: findField(timesheetTable, 'Time Task Type'),
+            defaultValue: findFieldByName(timesheetTable, 'Time Task Type'),
         },
         {
             key: 'userEmail',
@@ -206,7 +356,7 @@ export function getCustomProperties(base) {
             shouldFieldBeAllowed: (field) => 
                 field.config.type === FieldType.SINGLE_LINE_TEXT || 
                 field.config.type === FieldType.EMAIL,
-            defaultValue: findField(timesheetTable, 'Email of the logged in user'),
+            defaultValue: findFieldByName(timesheetTable, 'Email of the logged in user'),
         },
     ];
 }
@@ -1,10 +1,45 @@
 import {initializeBlock, useBase, useRecords, useCustomProperties, useSession} from '@airtable/blocks/interface/ui';
-import {FieldType} from '@airtable/blocks/interface/models';
 import {useCallback, useState, useEffect} from 'react';
 import './style.css';
 import {getCustomProperties} from './config/customProperties';
 import {EditableCell} from './components/EditableCell';
 import {CreateRecordModal} from './components/CreateRecordModal';
+import {WeeklyGrid} from './components/WeeklyGrid';
+import {PeriodNavigator} from './components/PeriodNavigator';
+import {HoursSummary} from './components/HoursSummary';
+import {CopyWeekModal} from './components/CopyWeekModal';
+import {BulkActionsBar} from './components/BulkActionsBar';
+import {MonthPeriodPanel} from './components/MonthPeriodPanel';
+import {WeekSubmissionBar} from './components/WeekSubmissionBar';
+import {ApprovalPanel} from './components/ApprovalPanel';
+import {TeamOverview} from './components/TeamOverview';
+import {ExportCsvModal} from './components/ExportCsvModal';
+import {ImportCsvModal} from './components/ImportCsvModal';
+import {TimerWidget} from './components/TimerWidget';
+import {RuleWarningBadge, RuleWarningsBar} from './components/RuleWarnings';
+import {DuplicateBadge, DuplicateReviewModal} from './components/DuplicateReviewModal';
+import {ColumnChooser} from './components/ColumnChooser';
+import {SyncStatusBadge, WriteQueueBanner} from './components/SyncStatus';
+import {FilterBar} from './components/FilterBar';
+import {GroupByControl, GroupHeaderRow} from './components/GroupRows';
+import {formatDateToString, getAvailableDates, getWeekStart, getPeriodRange, isDateInRange, parseDateValue} from './utils/dateUtils';
+import {formatHours, getExpectedHours, isWorkday, sumHours} from './utils/hoursUtils';
+import {buildUserStampFields, isRecordClosed} from './utils/recordUtils';
+import {findUserNameByEmail, findUserRecordByEmail, getUserLinkOptions, getUserName, hasRole, isRecordOwnedByUser} from './utils/userUtils';
+import {resolveFields} from './utils/fieldResolver';
+import {useRowSelection} from './utils/selectionUtils';
+import {useUndoHistory} from './utils/undoHistory';
+import {getTaskLabel, useTaskCatalog} from './utils/taskCatalog';
+import {useWriteQueue} from './utils/writeQueue';
+import {getUserStorageKey} from './utils/storageUtils';
+import {useTimer} from './utils/timerUtils';
+import {getRuleWarnings, parseValidationRules, validateEntry} from './utils/validationRules';
+import {getAvailableColumns, getDefaultColumnLayout, getVisibleColumns, useColumnLayout} from './utils/columnLayout';
+import {SORT_DIRECTIONS, applyRecordOrder, sortRecords, toggleSortKey, useTableSort} from './utils/tableSort';
+import {EMPTY_FILTERS, countActiveFilters, filterRecords, getFilterOptions} from './utils/recordFilters';
+import {flattenGroups, getAvailableGroupByOptions, getGroupIds, groupRecords} from './utils/recordGroups';
+import {findDuplicateGroups, findDuplicatesOfEntry, getDuplicateKindByRecordId} from './utils/duplicateUtils';
+import {SUBMISSION_STATUS, findSubmission, getApprovedWeekStarts, getSubmissions} from './utils/submissionUtils';
 
 function TimesheetApp() {
     const base = useBase();
@@ -32,59 +67,115 @@ function TimesheetApp() {
     const records = useRecords(timesheetTable || null);
     const monthRecords = useRecords(monthTable || null);
     const usersRecords = useRecords(usersTable || null);
+    const submissionsTable = customPropertyValueByKey.submissionsTable;
+    const submissionRecords = useRecords(submissionsTable || null);
     const [updateTrigger, setUpdateTrigger] = useState(0);
     const [showCreateModal, setShowCreateModal] = useState(false);
-    const [taskRecords, setTaskRecords] = useState([]); // Cache Task records to avoid creating temporary records
-
-    // Get all field references
-    const projectImport = customPropertyValueByKey.projectImport;
-    const emailFromName = customPropertyValueByKey.emailFromName;
-    const task = customPropertyValueByKey.task;
-    const createdBy2 = customPropertyValueByKey.createdBy2;
-    const name = customPropertyValueByKey.name;
-    const date = customPropertyValueByKey.date;
-    const yearWeek = customPropertyValueByKey.yearWeek;
-    const individualHours = customPropertyValueByKey.individualHours;
-    const weekday = customPropertyValueByKey.weekday;
-    const projectFromTask = customPropertyValueByKey.projectFromTask;
-    const projectFromTaskExt = customPropertyValueByKey.projectFromTaskExt;
-    const deleteField = customPropertyValueByKey.delete;
-    const warning = customPropertyValueByKey.warning;
-    const timesheetNotes = customPropertyValueByKey.timesheetNotes;
-    const timeTaskType = customPropertyValueByKey.timeTaskType;
-    const userEmail = customPropertyValueByKey.userEmail;
+    const [showCopyWeekModal, setShowCopyWeekModal] = useState(false);
+    const [showPeriodPanel, setShowPeriodPanel] = useState(false);
+    const [showApprovalPanel, setShowApprovalPanel] = useState(false);
+    const [showExportModal, setShowExportModal] = useState(false);
+    const [showImportModal, setShowImportModal] = useState(false);
+    const [showDuplicateModal, setShowDuplicateModal] = useState(false);
+    const [showColumnChooser, setShowColumnChooser] = useState(false);
+    const [timerEntry, setTimerEntry] = useState(null); // Values of the stopped timer, prefilled in the create modal
+    const [viewMode, setViewMode] = useState('table'); // 'table' (one row per record), 'week' (weekly grid) or 'team' (team overview)
+    const [periodMode, setPeriodMode] = useState('week'); // 'day', 'week', 'month' or 'custom'
+    const [periodAnchor, setPeriodAnchor] = useState(() => new Date()); // A date inside the selected period
+    const [customRange, setCustomRange] = useState(null);
+    const {selectedIds, toggleRow, toggleAll, clearSelection, getSelectionState} = useRowSelection();
+    const [entryScope, setEntryScope] = useState('mine'); // 'mine' (logged-in user's entries) or 'all'
+    const [drillDownPersonId, setDrillDownPersonId] = useState(null); // Users Table record opened from the team overview
+
+    // Get all field references (configured through custom properties, see fieldResolver)
+    const resolvedFields = resolveFields(customPropertyValueByKey);
+    const {
+        projectImport,
+        emailFromName,
+        task,
+        createdBy2,
+        name: nameField,
+        date,
+        yearWeek,
+        individualHours,
+        weekday,
+        projectFromTask,
+        projectFromTaskExt,
+        delete: deleteField,
+        warning,
+        timesheetNotes,
+        timeTaskType,
+        userEmail
+    } = resolvedFields.timesheet;
+    const usersFields = resolvedFields.users;
+    const {email: usersEmailField, name: usersNameField, role: usersRoleField, weeklyHours: usersWeeklyHoursField} = usersFields;
+    const allEntriesRoles = customPropertyValueByKey.allEntriesRoles;
+    const approverRoles = customPropertyValueByKey.approverRoles;
+    const teamOverviewRoles = customPropertyValueByKey.teamOverviewRoles;
     
-    // Fetch Task records using an existing record (if available) to avoid creating temporary records
-    useEffect(() => {
-        if (timesheetTable && task && records.length > 0) {
-            // Use the first existing record to fetch Task records
-            const firstRecord = records[0];
-            if (firstRecord) {
-                firstRecord.fetchForeignRecordsAsync(task, '').then(result => {
-                    setTaskRecords(result.records.map(r => ({
-                        id: r.id,
-                        displayName: r.displayName || r.name || r.id,
-                        ...r
-                    })));
-                }).catch(error => {
-                    console.error('Error fetching Task records:', error);
-                });
-            }
-        } else if (timesheetTable && task && records.length === 0) {
-            // If no records exist, clear task records
-            setTaskRecords([]);
-        }
-    }, [timesheetTable, task, records]);
+    // Task catalog from the configured Tasks table (feeds every Task picker)
+    const taskRecords = useTaskCatalog({
+        tasksTable: customPropertyValueByKey.tasksTable,
+        projectField: resolvedFields.tasks.project,
+        statusField: resolvedFields.tasks.status
+    });
     
     // Month table fields
-    const monthStatusField = customPropertyValueByKey.monthStatus;
-    const monthStartDateField = customPropertyValueByKey.monthStartDate;
-    const monthEndDateField = customPropertyValueByKey.monthEndDate;
+    const {status: monthStatusField, startDate: monthStartDateField, endDate: monthEndDateField} = resolvedFields.month;
+
+    // Weekly submissions: the logged-in user's approved weeks are locked like closed months
+    const submissionFields = resolvedFields.submissions;
+    const isSubmissionEnabled = !!(submissionsTable && submissionFields.user && submissionFields.weekStart && submissionFields.status);
+    const submissions = isSubmissionEnabled ? getSubmissions(submissionRecords, submissionFields) : [];
+    const currentUserEmail = session?.currentUser?.email || null;
+    const approvedWeekStarts = getApprovedWeekStarts(submissions, currentUserEmail);
+
+    const currentUserRecord = findUserRecordByEmail(usersRecords, usersEmailField, currentUserEmail);
+    // Check if a record belongs to a person, identified by email and/or Users Table record
+    const isRecordOwnedByPerson = (record, email, userRecord) => isRecordOwnedByUser(record, {
+        email,
+        userRecord,
+        userNameValue: userRecord && usersNameField ? userRecord.getCellValueAsString(usersNameField) : null,
+        userEmailField: userEmail,
+        nameField,
+        emailFromNameField: emailFromName
+    });
+    const isMyRecord = (record) => isRecordOwnedByPerson(record, currentUserEmail, currentUserRecord);
+    const weekLocks = approvedWeekStarts.size > 0 ? {weekStarts: approvedWeekStarts, ownsRecord: isMyRecord} : null;
+
+    // Queue for inline edits and new entries: optimistic, retried with backoff and persisted per user
+    const writeQueue = useWriteQueue({
+        table: timesheetTable || null,
+        storageKey: getUserStorageKey(`writeQueue:${timesheetTable?.id || 'none'}`, session)
+    });
+
+    // Undo/redo history for cell edits, record creations and deletions
+    const undoHistory = useUndoHistory({
+        dateField: date,
+        monthRecords,
+        monthStatusField,
+        monthStartDateField,
+        monthEndDateField,
+        weekLocks,
+        isOwnRecord: isMyRecord,
+        writeQueue
+    });
+
+    const timer = useTimer(getUserStorageKey('timer', session));
+    const columnLayoutState = useColumnLayout(getUserStorageKey(`columns:${timesheetTable?.id || 'none'}`, session));
+    const tableSort = useTableSort(getUserStorageKey(`sort:${timesheetTable?.id || 'none'}`, session));
+    const [editingRowOrder, setEditingRowOrder] = useState(null); // Record IDs in the order shown when a cell got focus
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [groupByKeys, setGroupByKeys] = useState([]); // Table groupings, outermost first (see recordGroups)
+    const [collapsedGroupIds, setCollapsedGroupIds] = useState(() => new Set());
 
     // Check if we can expand records
     const canExpandRecords = timesheetTable?.hasPermissionToExpandRecords() ?? false;
     const canUpdateRecords = timesheetTable?.hasPermissionToUpdateRecords?.() ?? false;
     const canCreateRecords = timesheetTable?.hasPermissionToCreateRecords?.() ?? false;
+    // Period management is limited to users who can edit the Month table
+    const canManagePeriods = !!(monthTable && monthStatusField && monthStartDateField && monthEndDateField) &&
+        (monthTable.hasPermissionToUpdateRecords?.() ?? false);
     
     // Show warning if record editing is not enabled
     const showEditWarning = !canUpdateRecords;
@@ -93,28 +184,8 @@ function TimesheetApp() {
         setUpdateTrigger(prev => prev + 1);
     };
 
-    // Helper function to find user name from Users Table based on email
-    const findUserNameByEmail = (email) => {
-        if (!usersTable || !email || !usersRecords) return null;
-        
-        // Find Email and Name fields in Users Table
-        const emailField = usersTable.fields.find(f => f.name === 'Email');
-        const nameField = usersTable.fields.find(f => f.name === 'Name');
-        
-        if (!emailField || !nameField) return null;
-        
-        // Find the user record with matching email
-        const userRecord = usersRecords.find(record => {
-            const recordEmail = record.getCellValue(emailField);
-            return recordEmail && String(recordEmail).toLowerCase() === String(email).toLowerCase();
-        });
-        
-        if (userRecord) {
-            return userRecord.getCellValue(nameField);
-        }
-        
-        return null;
-    };
+    // Find a person's name in the Users Table by email
+    const findUserName = (email) => findUserNameByEmail(usersRecords, usersFields, email);
 
     const handleAddTimeline = () => {
         if (!canCreateRecords) {
@@ -132,9 +203,22 @@ function TimesheetApp() {
     };
 
     const handleRecordCreated = () => {
+        // The timer's time is now an entry; a cancelled modal keeps the timer paused instead
+        if (timerEntry) timer.reset();
         handleRecordUpdate();
     };
 
+    // Open the create modal prefilled with the stopped timer's values
+    const handleTimerStop = ({date: entryDate, hours, task: entryTask, notes}) => {
+        setTimerEntry({
+            date: entryDate,
+            individualHours: hours,
+            ...(entryTask && {task: entryTask}),
+            ...(notes && {timesheetNotes: notes})
+        });
+        setShowCreateModal(true);
+    };
+
     // Show configuration message if table or fields are not set
     if (errorState || !timesheetTable) {
         return (
@@ -151,13 +235,61 @@ function TimesheetApp() {
         );
     }
 
-    // Ensure Name field is always available - get it from custom properties or find it in the table
-    let nameField = name;
-    if (!nameField && timesheetTable) {
-        // If Name field is not configured in custom properties, try to find it in the table
-        nameField = timesheetTable.fields.find(f => f.name === 'Name' && f.config.type === FieldType.SINGLE_SELECT);
+    // Scope entries to the logged-in user ("My entries") unless the user may see everyone's entries
+    const canSeeAllEntries = hasRole(currentUserRecord, usersRoleField, allEntriesRoles);
+    const isShowingAllEntries = canSeeAllEntries && entryScope === 'all';
+    const myRecords = records.filter(isMyRecord);
+    
+    // Team overview: one row per Users Table person, limited to the configured roles
+    const canViewTeam = !!usersTable && hasRole(currentUserRecord, usersRoleField, teamOverviewRoles);
+    const getPersonEmail = (userRecord) => (usersEmailField ? userRecord.getCellValueAsString(usersEmailField) : '');
+    const getPersonRecords = (userRecord) => records.filter(record => isRecordOwnedByPerson(record, getPersonEmail(userRecord), userRecord));
+    const drillDownPerson = canViewTeam && drillDownPersonId ? (usersRecords || []).find(record => record.id === drillDownPersonId) || null : null;
+    let visibleRecords = isShowingAllEntries ? records : myRecords;
+    if (drillDownPerson) {
+        visibleRecords = getPersonRecords(drillDownPerson);
+    }
+    
+    // Scope entries to the selected period
+    const periodRange = getPeriodRange(periodMode, periodAnchor, customRange);
+    const periodRecords = date ? visibleRecords.filter(record => isDateInRange(parseDateValue(record.getCellValue(date)), periodRange)) : visibleRecords;
+    const today = new Date();
+    const defaultEntryDate = isDateInRange(today, periodRange) ? today : periodRange.start;
+    
+    // Hour totals for today, this week and the selected period, compared with the user's contracted hours
+    const todayRange = getPeriodRange('day', today);
+    const thisWeekRange = getPeriodRange('week', today);
+    const recordsInRange = (range) => date
+        ? visibleRecords.filter(record => isDateInRange(parseDateValue(record.getCellValue(date)), range))
+        : [];
+    const summaryUserRecord = drillDownPerson || (!isShowingAllEntries ? currentUserRecord : null);
+    const weeklyHours = summaryUserRecord && usersWeeklyHoursField
+        ? summaryUserRecord.getCellValue(usersWeeklyHoursField)
+        : null;
+    const hoursTotals = [
+        {key: 'today', label: 'Today', actualHours: sumHours(recordsInRange(todayRange), individualHours), expectedHours: getExpectedHours(weeklyHours, todayRange)},
+        {key: 'week', label: 'This week', actualHours: sumHours(recordsInRange(thisWeekRange), individualHours), expectedHours: getExpectedHours(weeklyHours, thisWeekRange)},
+        {key: 'period', label: 'This period', actualHours: sumHours(periodRecords, individualHours), expectedHours: getExpectedHours(weeklyHours, periodRange)},
+    ];
+    let hoursSummaryNote = '';
+    if (isShowingAllEntries && !drillDownPerson) {
+        hoursSummaryNote = 'Showing totals for all entries. Switch to "My entries" to compare with your expected hours.';
+    } else if (weeklyHours === null) {
+        hoursSummaryNote = 'Expected hours are not available. Configure the weekly contracted hours field on the Users Table to compare.';
+    } else if (!isWorkday(today)) {
+        hoursSummaryNote = 'No hours are expected on weekends.';
     }
     
+    const handlePeriodModeChange = (mode) => {
+        if (mode === 'custom' && !customRange) {
+            setCustomRange(periodRange);
+        }
+        setPeriodMode(mode);
+    };
+    
+    // People the Name field can link to (Name cells and CSV imports)
+    const userLinkOptions = getUserLinkOptions(usersRecords, usersNameField);
+
     // All fields (including those hidden from table but shown in modal)
     const allFields = [
         {key: 'projectImport', label: 'Project Import', field: projectImport},
@@ -178,23 +310,182 @@ function TimesheetApp() {
         {key: 'timeTaskType', label: 'Time Task Type', field: timeTaskType},
     ];
     
-    // Fields to display in table in the specified order
-    // Order: Date, Year-Week, Warning, Weekday, Individual hours, Task, Project from Task, Timesheet Notes, Time Task Type, Delete, Name, Created By 2, Email of the logged in user
+    // Known table columns in their default order: Date, Year-Week, Warning, Weekday, Individual hours, Task, Project from Task,
+    // Timesheet Notes, Time Task Type, Delete, Name, Created By 2, Email of the logged in user.
+    // Users choose the visible columns (any Timesheet field), their order and width; the layout is saved per user.
+    // Cells are edited with the editor for their field type; `editing` adjusts it per column (see EditableCell).
     const fields = [
         {key: 'date', label: 'Date', field: date},
         {key: 'yearWeek', label: 'Year-Week', field: yearWeek},
         {key: 'warning', label: 'Warning', field: warning},
         {key: 'weekday', label: 'Weekday', field: weekday},
         {key: 'individualHours', label: 'Individual Hours', field: individualHours},
-        {key: 'task', label: 'Task', field: task},
+        {key: 'task', label: 'Task', field: task, editing: {linkOptions: taskRecords, getOptionLabel: getTaskLabel, singleLink: true}},
         {key: 'projectFromTask', label: 'Project from Task', field: projectFromTask},
         {key: 'timesheetNotes', label: 'Timesheet Notes', field: timesheetNotes},
         {key: 'timeTaskType', label: 'Time Task Type', field: timeTaskType},
         {key: 'delete', label: 'Delete', field: deleteField},
-        {key: 'name', label: 'Name', field: nameField},
-        {key: 'createdBy2', label: 'Created By 2', field: createdBy2},
-        {key: 'userEmail', label: 'Email of the logged in user', field: userEmail},
+        {key: 'name', label: 'Name', field: nameField, editing: {linkOptions: userLinkOptions, singleLink: true}},
+        // Stamped with the logged-in user when an entry is created
+        {key: 'createdBy2', label: 'Created By 2', field: createdBy2, editing: {readOnly: true}},
+        {key: 'userEmail', label: 'Email of the logged in user', field: userEmail, editing: {readOnly: true}},
     ];
+    const availableColumns = getAvailableColumns(fields, timesheetTable);
+    const columnLayout = columnLayoutState.layout || getDefaultColumnLayout(fields);
+    const visibleColumns = getVisibleColumns(availableColumns, columnLayout);
+
+    // Validation rules, evaluated per entry and per person and day
+    const validationRules = parseValidationRules(customPropertyValueByKey.validationRules);
+    const ruleFields = {date, individualHours, task, timesheetNotes, timeTaskType};
+    const getRecordOwnerKey = (record) =>
+        (nameField && record.getCellValueAsString(nameField)) || (userEmail && record.getCellValueAsString(userEmail)) || '';
+    const ruleWarnings = getRuleWarnings(periodRecords, ruleFields, validationRules.rules, getRecordOwnerKey);
+    // Closing a period checks all of its entries, not only the rows shown
+    const periodPanelRuleWarnings = showPeriodPanel
+        ? getRuleWarnings(records, ruleFields, validationRules.rules, getRecordOwnerKey)
+        : ruleWarnings;
+
+    // Filters from the filter bar, applied to the period's entries; options come from the same entries
+    const filterFields = {date, task, projectFromTask, timeTaskType, timesheetNotes};
+    const filterOptions = getFilterOptions(periodRecords, filterFields, getRecordOwnerKey);
+    const hasActiveFilters = countActiveFilters(filters) > 0;
+    const filteredRecords = filterRecords(periodRecords, filters, filterFields, {
+        getOwnerKey: getRecordOwnerKey,
+        hasWarning: (record) => (warning && record.getCellValueAsString(warning) !== '') || ruleWarnings.has(record.id)
+    });
+
+    // Rows in the user's sort order (any available column can be a sort key). While a cell is being edited
+    // the rows keep the order they had when it got focus, so an edit does not move the row away.
+    const sortedRecords = editingRowOrder
+        ? applyRecordOrder(filteredRecords, editingRowOrder)
+        : sortRecords(filteredRecords, tableSort.sortKeys, new Map(availableColumns.map(column => [column.key, column])));
+    const handleSortClick = (key, isAdditive) => tableSort.setSortKeys(toggleSortKey(tableSort.sortKeys, key, isAdditive));
+
+    // Rows grouped by up to two groupings (e.g. Year-Week, then Project), each group headed by its subtotal
+    const groupFields = {yearWeek, projectFromTask, task, timeTaskType, date, individualHours};
+    const groupByOptions = getAvailableGroupByOptions(groupFields);
+    const activeGroupByKeys = groupByKeys.filter(key => groupByOptions.some(option => option.key === key));
+    const recordGroups = groupRecords(sortedRecords, activeGroupByKeys, groupFields, getRecordOwnerKey);
+    const tableRows = activeGroupByKeys.length > 0
+        ? flattenGroups(recordGroups, collapsedGroupIds)
+        : sortedRecords.map(record => ({type: 'record', record}));
+    const toggleGroup = (groupId) => {
+        const nextCollapsedIds = new Set(collapsedGroupIds);
+        if (nextCollapsedIds.has(groupId)) {
+            nextCollapsedIds.delete(groupId);
+        } else {
+            nextCollapsedIds.add(groupId);
+        }
+        setCollapsedGroupIds(nextCollapsedIds);
+    };
+
+    // Row selection and CSV export apply to the rows currently shown, in group order: rows in collapsed groups
+    // are not shown, so bulk actions leave them alone even if they were selected before their group was collapsed
+    const shownRecords = tableRows.filter(row => row.type === 'record').map(row => row.record);
+    const shownRecordIds = shownRecords.map(record => record.id);
+    const selectedRecords = shownRecords.filter(record => selectedIds.has(record.id));
+    const {allSelected, someSelected} = getSelectionState(shownRecordIds);
+
+    // Stamp new records with the logged-in user, same as CreateRecordModal
+    const stampFields = buildUserStampFields({
+        createdBy2Field: createdBy2,
+        userEmailField: userEmail,
+        userName: (currentUserEmail && findUserName(currentUserEmail)) || session?.currentUser?.name || null,
+        userEmail: currentUserEmail,
+        nameField,
+        userRecord: currentUserRecord
+    });
+    const availableDates = getAvailableDates(monthRecords, monthStatusField, monthStartDateField, monthEndDateField, approvedWeekStarts);
+    // Dates a Date cell can be set to: open periods, without approved weeks for the user's own entries
+    const hasMonthFields = !!(monthStatusField && monthStartDateField && monthEndDateField);
+    const openDates = hasMonthFields ? getAvailableDates(monthRecords, monthStatusField, monthStartDateField, monthEndDateField) : null;
+    const getCellAvailableDates = (record) => {
+        if (!hasMonthFields) return null;
+        return weekLocks && weekLocks.ownsRecord(record) ? availableDates : openDates;
+    };
+
+    const isRecordEditable = (record) => !isRecordClosed(record, date, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks);
+
+    // Rules for an entry in the create modal; its day total includes the logged-in user's other entries that day
+    const validateNewEntry = (formValues) => {
+        const entryDate = formValues.date instanceof Date ? formValues.date : parseDateValue(formValues.date);
+        const hours = typeof formValues.individualHours === 'number' ? formValues.individualHours : null;
+        const otherDayHours = entryDate && date
+            ? sumHours(myRecords.filter(record => isDateInRange(parseDateValue(record.getCellValue(date)), getPeriodRange('day', entryDate))), individualHours)
+            : 0;
+        const timeTaskTypeChoice = (timeTaskType?.config?.options?.choices || []).find(choice => choice.id === formValues.timeTaskType?.id);
+        return validateEntry({
+            date: entryDate,
+            hours,
+            hasTask: !!formValues.task,
+            notes: formValues.timesheetNotes || '',
+            timeTaskType: timeTaskTypeChoice?.name || ''
+        }, otherDayHours + (hours || 0), validationRules.rules);
+    };
+
+    // Duplicate entries among the rows shown, and the logged-in user's entries a new entry would duplicate
+    const duplicateFields = {date, task, individualHours, timesheetNotes};
+    const duplicateGroups = findDuplicateGroups(periodRecords, duplicateFields, getRecordOwnerKey);
+    const duplicateKinds = getDuplicateKindByRecordId(duplicateGroups);
+    const findNewEntryDuplicates = (formValues) => findDuplicatesOfEntry({
+        date: formValues.date instanceof Date ? formValues.date : parseDateValue(formValues.date),
+        taskId: formValues.task?.id || null,
+        hours: typeof formValues.individualHours === 'number' ? formValues.individualHours : null,
+        notes: formValues.timesheetNotes || ''
+    }, myRecords, duplicateFields);
+
+    // Submission of the selected week, and the weeks waiting for a manager's approval
+    const submissionWeekStart = getWeekStart(periodAnchor);
+    const submissionWeekRange = getPeriodRange('week', submissionWeekStart);
+    const mySubmissionWeekRecords = date
+        ? myRecords.filter(record => isDateInRange(parseDateValue(record.getCellValue(date)), submissionWeekRange))
+        : [];
+    const canApproveWeeks = isSubmissionEnabled &&
+        hasRole(currentUserRecord, usersRoleField, approverRoles) &&
+        (submissionsTable.hasPermissionToUpdateRecords?.() ?? false);
+    const pendingApprovalCount = submissions.filter(submission =>
+        submission.status === SUBMISSION_STATUS.SUBMITTED && submission.email !== String(currentUserEmail || '').toLowerCase()
+    ).length;
+    const getUserWeekRecords = (email, weekStart) => {
+        if (!date) return [];
+        const userRecord = findUserRecordByEmail(usersRecords, usersEmailField, email);
+        const weekRange = getPeriodRange('week', weekStart);
+        return records.filter(record =>
+            isDateInRange(parseDateValue(record.getCellValue(date)), weekRange) &&
+            isRecordOwnedByPerson(record, email, userRecord)
+        );
+    };
+
+    // People shown in the team overview, sorted by name
+    const teamPeople = canViewTeam && viewMode === 'team'
+        ? (usersRecords || []).map(userRecord => ({
+            id: userRecord.id,
+            name: getUserName(userRecord, usersNameField),
+            email: getPersonEmail(userRecord),
+            records: getPersonRecords(userRecord)
+        })).sort((a, b) => a.name.localeCompare(b.name))
+        : [];
+
+    // Open a person's entries for the dates of a team overview cell
+    const handleTeamDrillDown = (personId, cellRange) => {
+        setDrillDownPersonId(personId);
+        clearSelection();
+        if (cellRange.mode === 'day') {
+            setPeriodMode('day');
+            setPeriodAnchor(cellRange.start);
+        } else if (cellRange.mode === 'week') {
+            setCustomRange({start: cellRange.start, end: cellRange.end});
+            setPeriodMode('custom');
+        }
+        setViewMode('table');
+    };
+
+
+    const toggleButtonClassName = (isActive) => `px-3 py-1 text-sm font-medium transition-colors ${
+        isActive
+            ? 'bg-blue-blue text-white'
+            : 'bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600'
+    }`;
 
     return (
         <div className="w-full h-full bg-gray-gray50 dark:bg-gray-gray800 p-4 sm:p-6 overflow-auto">
@@ -204,7 +495,8 @@ function TimesheetApp() {
                         Timesheet
                     </h1>
                     <p className="text-sm text-gray-gray600 dark:text-gray-gray400 mt-1">
-                        {records.length} record{records.length !== 1 ? 's' : ''}
+                        {periodRecords.length} record{periodRecords.length !== 1 ? 's' : ''}
+                        {hasActiveFilters && ` · ${filteredRecords.length} matching`}
                     </p>
                     {session?.currentUser?.email && (
                         <p className="text-xs text-gray-gray500 dark:text-gray-gray500 mt-1">
@@ -212,17 +504,116 @@ function TimesheetApp() {
                         </p>
                     )}
                 </div>
-                <button
-                    onClick={handleAddTimeline}
-                    disabled={!canCreateRecords}
-                    className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
-                        canCreateRecords
-                            ? 'bg-blue-blue text-white hover:bg-blue-blue600 focus:outline-none focus:ring-2 focus:ring-blue-blue focus:ring-offset-2'
-                            : 'bg-gray-gray200 dark:bg-gray-gray600 text-gray-gray500 dark:text-gray-gray400 cursor-not-allowed opacity-50'
-                    }`}
-                >
-                    Add Timeline
-                </button>
+                <div className="flex items-center gap-3">
+                    <div className="flex rounded-md overflow-hidden border border-gray-gray200 dark:border-gray-gray600">
+                        <button
+                            onClick={undoHistory.undo}
+                            disabled={!undoHistory.canUndo}
+                            title={undoHistory.undoLabel ? `Undo ${undoHistory.undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+                            className={`${toggleButtonClassName(false)} disabled:opacity-50 disabled:cursor-not-allowed`}
+                        >
+                            Undo
+                        </button>
+                        <button
+                            onClick={undoHistory.redo}
+                            disabled={!undoHistory.canRedo}
+                            title={undoHistory.redoLabel ? `Redo ${undoHistory.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                            className={`${toggleButtonClassName(false)} disabled:opacity-50 disabled:cursor-not-allowed`}
+                        >
+                            Redo
+                        </button>
+                    </div>
+                    {canSeeAllEntries && (
+                        <div className="flex rounded-md overflow-hidden border border-gray-gray200 dark:border-gray-gray600">
+                            <button onClick={() => { setEntryScope('mine'); setDrillDownPersonId(null); }} className={toggleButtonClassName(entryScope === 'mine' && !drillDownPerson)}>
+                                My entries
+                            </button>
+                            <button onClick={() => { setEntryScope('all'); setDrillDownPersonId(null); }} className={toggleButtonClassName(entryScope === 'all' && !drillDownPerson)}>
+                                All entries
+                            </button>
+                        </div>
+                    )}
+                    <div className="flex rounded-md overflow-hidden border border-gray-gray200 dark:border-gray-gray600">
+                        <button onClick={() => setViewMode('table')} className={toggleButtonClassName(viewMode === 'table')}>
+                            Table
+                        </button>
+                        <button onClick={() => setViewMode('week')} className={toggleButtonClassName(viewMode === 'week')}>
+                            Week
+                        </button>
+                        {canViewTeam && (
+                            <button onClick={() => setViewMode('team')} className={toggleButtonClassName(viewMode === 'team')}>
+                                Team
+                            </button>
+                        )}
+                    </div>
+                    <button
+                        onClick={() => setShowColumnChooser(true)}
+                        disabled={viewMode !== 'table'}
+                        title="Choose the columns shown, their order and width"
+                        className="px-4 py-2 text-sm font-medium rounded-md transition-colors bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Columns
+                    </button>
+                    <button
+                        onClick={() => setShowExportModal(true)}
+                        disabled={viewMode !== 'table'}
+                        title={viewMode !== 'table' ? 'Switch to the table view to export' : 'Export the rows and columns shown as CSV'}
+                        className="px-4 py-2 text-sm font-medium rounded-md transition-colors bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Export CSV
+                    </button>
+                    <button
+                        onClick={() => setShowImportModal(true)}
+                        disabled={!canCreateRecords || !date || !individualHours || !task}
+                        title="Import time entries from a CSV file"
+                        className="px-4 py-2 text-sm font-medium rounded-md transition-colors bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Import CSV
+                    </button>
+                    <button
+                        onClick={() => setShowCopyWeekModal(true)}
+                        disabled={!canCreateRecords || !date}
+                        className="px-4 py-2 text-sm font-medium rounded-md transition-colors bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Copy last week
+                    </button>
+                    {duplicateGroups.length > 0 && (
+                        <button
+                            onClick={() => setShowDuplicateModal(true)}
+                            title="Review entries logged twice on the same day"
+                            className="px-4 py-2 text-sm font-medium rounded-md transition-colors bg-white dark:bg-gray-gray700 text-orange-orangeDark1 border border-orange-orange hover:bg-gray-gray100 dark:hover:bg-gray-gray600"
+                        >
+                            Duplicates ({duplicateGroups.length})
+                        </button>
+                    )}
+                    {canManagePeriods && (
+                        <button
+                            onClick={() => setShowPeriodPanel(true)}
+                            className="px-4 py-2 text-sm font-medium rounded-md transition-colors bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray600"
+                        >
+                            Periods
+                        </button>
+                    )}
+                    {canApproveWeeks && (
+                        <button
+                            onClick={() => setShowApprovalPanel(true)}
+                            className="px-4 py-2 text-sm font-medium rounded-md transition-colors bg-white dark:bg-gray-gray700 text-gray-gray700 dark:text-gray-gray300 border border-gray-gray200 dark:border-gray-gray600 hover:bg-gray-gray100 dark:hover:bg-gray-gray600"
+                        >
+                            Approvals{pendingApprovalCount > 0 ? ` (${pendingApprovalCount})` : ''}
+                        </button>
+                    )}
+                    <button
+                        onClick={handleAddTimeline}
+                        disabled={!canCreateRecords}
+                        className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
+                            canCreateRecords
+                                ? 'bg-blue-blue text-white hover:bg-blue-blue600 focus:outline-none focus:ring-2 focus:ring-blue-blue focus:ring-offset-2'
+                                : 'bg-gray-gray200 dark:bg-gray-gray600 text-gray-gray500 dark:text-gray-gray400 cursor-not-allowed opacity-50'
+                        }`}
+                    >
+                        Add Timeline
+                    </button>
+                </div>
             </div>
             {showEditWarning && (
                 <div className="mb-4 p-3 bg-yellow-yellow bg-opacity-20 border border-yellow-yellow rounded text-sm text-gray-gray900 dark:text-gray-gray100">
@@ -232,80 +623,405 @@ function TimesheetApp() {
                 </div>
             )}
             
-            <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm overflow-hidden">
-                <div className="overflow-x-auto">
-                    <table className="w-full border-collapse table-auto">
-                        <thead className="bg-gray-gray100 dark:bg-gray-gray600">
-                            <tr>
-                                {fields.map(({key, label, field}) => (
-                                    field && (
-                                        <th
-                                            key={key}
-                                            className="px-4 py-3 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500 min-w-[180px]"
-                                        >
-                                            {label}
-                                        </th>
-                                    )
-                                ))}
-                            </tr>
-                        </thead>
-                        <tbody className="divide-y divide-gray-gray200 dark:divide-gray-gray600">
-                            {records.length === 0 ? (
+            <WriteQueueBanner writeQueue={writeQueue} />
+            
+            {individualHours && (
+                <HoursSummary totals={hoursTotals} note={hoursSummaryNote} />
+            )}
+            
+            {task && individualHours && date && (
+                <TimerWidget
+                    timer={timer}
+                    taskRecords={taskRecords}
+                    rounding={{minutes: customPropertyValueByKey.timerRoundingMinutes, mode: customPropertyValueByKey.timerRoundingMode}}
+                    availableDates={availableDates}
+                    canCreate={canCreateRecords}
+                    onStop={handleTimerStop}
+                />
+            )}
+            
+            <PeriodNavigator
+                mode={periodMode}
+                onModeChange={handlePeriodModeChange}
+                anchorDate={periodAnchor}
+                onAnchorDateChange={setPeriodAnchor}
+                range={periodRange}
+                onCustomRangeChange={setCustomRange}
+            />
+            
+            {isSubmissionEnabled && currentUserEmail && (
+                <WeekSubmissionBar
+                    weekStart={submissionWeekStart}
+                    submission={findSubmission(submissions, currentUserEmail, submissionWeekStart)}
+                    weekRecords={mySubmissionWeekRecords}
+                    submissionsTable={submissionsTable}
+                    submissionFields={submissionFields}
+                    timesheetFields={{individualHours, task, warning}}
+                    userEmail={currentUserEmail}
+                    hasPendingWrites={writeQueue.pendingCount + writeQueue.failedCount > 0}
+                />
+            )}
+            
+            {viewMode === 'table' && (
+                <BulkActionsBar
+                    selectedRecords={selectedRecords}
+                    timesheetTable={timesheetTable}
+                    onClearSelection={clearSelection}
+                    fields={{task, timeTaskType, timesheetNotes, date}}
+                    taskRecords={taskRecords}
+                    availableDates={availableDates}
+                    monthRecords={monthRecords}
+                    monthStatusField={monthStatusField}
+                    monthStartDateField={monthStartDateField}
+                    monthEndDateField={monthEndDateField}
+                    weekLocks={weekLocks}
+                    onUpdate={handleRecordUpdate}
+                    undoHistory={undoHistory}
+                />
+            )}
+            
+            {viewMode === 'table' && (
+                <RuleWarningsBar
+                    records={periodRecords}
+                    ruleWarnings={ruleWarnings}
+                    configError={validationRules.error}
+                    timesheetTable={timesheetTable}
+                    warningField={warning}
+                    isRecordEditable={isRecordEditable}
+                    onUpdated={handleRecordUpdate}
+                />
+            )}
+            
+            {viewMode === 'table' && (
+                <FilterBar
+                    filters={filters}
+                    onChange={setFilters}
+                    options={filterOptions}
+                    fields={filterFields}
+                    showUserFilter={isShowingAllEntries && !drillDownPerson}
+                />
+            )}
+            
+            {drillDownPerson && viewMode === 'table' && (
+                <div className="mb-4 flex items-center justify-between gap-3 p-3 bg-white dark:bg-gray-gray700 rounded-lg shadow-sm text-sm text-gray-gray900 dark:text-gray-gray100">
+                    <span>
+                        Showing entries of <strong>{getUserName(drillDownPerson, usersNameField)}</strong>
+                    </span>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => setViewMode('team')}
+                            className="px-3 py-1 text-sm text-blue-blue hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded"
+                        >
+                            Back to team overview
+                        </button>
+                        <button
+                            onClick={() => setDrillDownPersonId(null)}
+                            className="px-3 py-1 text-sm text-gray-gray700 dark:text-gray-gray300 hover:bg-gray-gray100 dark:hover:bg-gray-gray600 rounded"
+                        >
+                            Clear
+                        </button>
+                    </div>
+                </div>
+            )}
+            
+            {viewMode === 'team' && canViewTeam ? (
+                <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm overflow-hidden">
+                    <TeamOverview
+                        people={teamPeople}
+                        range={periodRange}
+                        fields={{date, individualHours, warning}}
+                        onDrillDown={handleTeamDrillDown}
+                    />
+                </div>
+            ) : viewMode === 'week' ? (
+                <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm overflow-hidden">
+                    {/* The grid is the logged-in user's own week: its cells sum and create their entries only */}
+                    <WeeklyGrid
+                        records={myRecords}
+                        timesheetTable={timesheetTable}
+                        weekStart={getWeekStart(periodAnchor)}
+                        onWeekChange={setPeriodAnchor}
+                        fields={{task, timeTaskType, date, individualHours, yearWeek, weekday}}
+                        taskRecords={taskRecords}
+                        stampFields={stampFields}
+                        canCreateRecords={canCreateRecords}
+                        monthRecords={monthRecords}
+                        monthStatusField={monthStatusField}
+                        monthStartDateField={monthStartDateField}
+                        monthEndDateField={monthEndDateField}
+                        availableDates={availableDates}
+                        weekLocks={weekLocks}
+                        onUpdate={handleRecordUpdate}
+                        undoHistory={undoHistory}
+                        writeQueue={writeQueue}
+                    />
+                </div>
+            ) : (
+                <div className="bg-white dark:bg-gray-gray700 rounded-lg shadow-sm overflow-hidden">
+                    <GroupByControl
+                        groupByKeys={activeGroupByKeys}
+                        onChange={setGroupByKeys}
+                        options={groupByOptions}
+                        onExpandAll={() => setCollapsedGroupIds(new Set())}
+                        onCollapseAll={() => setCollapsedGroupIds(new Set(getGroupIds(recordGroups)))}
+                    />
+                    <div className="overflow-x-auto">
+                        <table className="w-full border-collapse table-auto">
+                            <thead className="bg-gray-gray100 dark:bg-gray-gray600">
                                 <tr>
-                                    <td
-                                        colSpan={fields.filter(f => f.field).length}
-                                        className="px-4 py-8 text-center text-sm text-gray-gray500 dark:text-gray-gray400"
-                                    >
-                                        No records found
-                                    </td>
+                                    <th className="px-4 py-3 w-10 border-b border-gray-gray200 dark:border-gray-gray500">
+                                        <input
+                                            type="checkbox"
+                                            checked={allSelected}
+                                            ref={(el) => {
+                                                if (el) el.indeterminate = someSelected;
+                                            }}
+                                            onChange={() => toggleAll(shownRecordIds)}
+                                            disabled={filteredRecords.length === 0}
+                                            title="Select all"
+                                        />
+                                    </th>
+                                    {visibleColumns.map(({key, label, width}) => {
+                                        const sortIndex = tableSort.sortKeys.findIndex(sortKey => sortKey.key === key);
+                                        const sortDirection = sortIndex === -1 ? null : tableSort.sortKeys[sortIndex].direction;
+                                        return (
+                                            <th
+                                                key={key}
+                                                style={{width, minWidth: width, maxWidth: width}}
+                                                aria-sort={sortDirection ? (sortDirection === SORT_DIRECTIONS.ASC ? 'ascending' : 'descending') : 'none'}
+                                                className="px-4 py-3 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500"
+                                            >
+                                                <button
+                                                    onClick={(e) => handleSortClick(key, e.shiftKey)}
+                                                    title="Click to sort, shift-click to add a secondary sort"
+                                                    className="flex items-center gap-1 uppercase tracking-wider hover:text-blue-blue"
+                                                >
+                                                    {label}
+                                                    {sortDirection && (
+                                                        <span className="text-blue-blue normal-case">
+                                                            {sortDirection === SORT_DIRECTIONS.ASC ? '▲' : '▼'}
+                                                            {tableSort.sortKeys.length > 1 && <sup>{sortIndex + 1}</sup>}
+                                                        </span>
+                                                    )}
+                                                </button>
+                                            </th>
+                                        );
+                                    })}
+                                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-gray700 dark:text-gray-gray300 uppercase tracking-wider border-b border-gray-gray200 dark:border-gray-gray500">
+                                        Status
+                                    </th>
                                 </tr>
+                            </thead>
+                            <tbody
+                                className="divide-y divide-gray-gray200 dark:divide-gray-gray600"
+                                onFocus={() => {
+                                    if (!editingRowOrder) setEditingRowOrder(shownRecordIds);
+                                }}
+                                onBlur={(e) => {
+                                    if (!e.currentTarget.contains(e.relatedTarget)) setEditingRowOrder(null);
+                                }}
+                            >
+                                {filteredRecords.length === 0 ? (
+                                    <tr>
+                                        <td
+                                            colSpan={visibleColumns.length + 2}
+                                            className="px-4 py-8 text-center text-sm text-gray-gray500 dark:text-gray-gray400"
+                                        >
+                                            {periodRecords.length > 0 ? 'No records match the filters' : 'No records found'}
+                                        </td>
+                                    </tr>
                             ) : (
-                                records.map((record) => (
-                                    <tr
-                                        key={record.id}
-                                        className="hover:bg-gray-gray50 dark:hover:bg-gray-gray600 transition-colors"
-                                    >
-                                        {fields.map(({key, field}) => (
-                                            // Always render Name field, even if not configured (EditableCell will handle null field)
-                                            (field || key === 'name') && (
+                                    tableRows.map(({type, group, depth, record}) => (type === 'group' ? (
+                                        <GroupHeaderRow
+                                            key={group.id}
+                                            group={group}
+                                            depth={depth}
+                                            isCollapsed={collapsedGroupIds.has(group.id)}
+                                            onToggle={() => toggleGroup(group.id)}
+                                            colSpan={visibleColumns.length + 2}
+                                            showHours={!!individualHours}
+                                        />
+                                    ) : (
+                                        <tr
+                                            key={record.id}
+                                            className={`hover:bg-gray-gray50 dark:hover:bg-gray-gray600 transition-colors ${
+                                                selectedIds.has(record.id) ? 'bg-blue-blueLight3 dark:bg-gray-gray600' : ''
+                                            }`}
+                                        >
+                                            <td className="px-4 py-3 w-10 border-b border-gray-gray100 dark:border-gray-gray600">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selectedIds.has(record.id)}
+                                                    readOnly
+                                                    onClick={(e) => toggleRow(record.id, e.shiftKey, shownRecordIds)}
+                                                    title="Select row (shift-click to select a range)"
+                                                />
+                                            </td>
+                                            {visibleColumns.map(({key, field, width, editing}) => (
+                                                // Cells remount after an undo/redo so their local edit state shows the restored value
                                                 <EditableCell
-                                                    key={key}
+                                                    key={`${key}-${undoHistory.appliedRevision}`}
                                                     record={record}
                                                     field={field}
                                                     onUpdate={handleRecordUpdate}
+                                                    dateField={date}
                                                     monthRecords={monthRecords}
                                                     monthStatusField={monthStatusField}
                                                     monthStartDateField={monthStartDateField}
                                                     monthEndDateField={monthEndDateField}
-                                                    session={session}
-                                                    usersTable={usersTable}
-                                                    usersRecords={usersRecords}
+                                                    undoHistory={undoHistory}
+                                                    writeQueue={writeQueue}
+                                                    weekLocks={weekLocks}
+                                                    availableDates={getCellAvailableDates(record)}
+                                                    width={width}
+                                                    editing={editing}
                                                 />
-                                            )
+                                            ))}
+                                            <td className="px-4 py-3 border-b border-gray-gray100 dark:border-gray-gray600">
+                                                <DuplicateBadge kind={duplicateKinds.get(record.id)} />
+                                                <RuleWarningBadge messages={ruleWarnings.get(record.id)} />
+                                                <SyncStatusBadge
+                                                    syncState={writeQueue.getRecordSyncState(record.id)}
+                                                    onRetry={() => writeQueue.retry(record.id)}
+                                                    onDiscard={() => writeQueue.discardFailed(record.id)}
+                                                />
+                                            </td>
+                                        </tr>
+                                    )))
+                                )}
+                            </tbody>
+                            {individualHours && filteredRecords.length > 0 && (
+                                <tfoot className="bg-gray-gray50 dark:bg-gray-gray600">
+                                    <tr>
+                                        <td className="px-4 py-3 border-t border-gray-gray200 dark:border-gray-gray500" />
+                                        {visibleColumns.map(({key}, index) => (
+                                            <td
+                                                key={key}
+                                                className="px-4 py-3 text-sm font-semibold text-gray-gray900 dark:text-gray-gray100 border-t border-gray-gray200 dark:border-gray-gray500"
+                                            >
+                                                {key === 'individualHours'
+                                                    ? `${formatHours(sumHours(filteredRecords, individualHours)) || '0'} h`
+                                                    : index === 0 ? 'Total' : ''}
+                                            </td>
                                         ))}
+                                        <td className="px-4 py-3 border-t border-gray-gray200 dark:border-gray-gray500" />
                                     </tr>
-                                ))
+                                </tfoot>
                             )}
-                        </tbody>
-                    </table>
+                        </table>
+                    </div>
                 </div>
-            </div>
+            )}
             
             <CreateRecordModal
                 isOpen={showCreateModal}
-                onClose={() => setShowCreateModal(false)}
+                onClose={() => {
+                    setShowCreateModal(false);
+                    setTimerEntry(null);
+                }}
                 timesheetTable={timesheetTable}
                 fields={allFields}
                 onRecordCreated={handleRecordCreated}
                 session={session}
-                usersTable={usersTable}
                 usersRecords={usersRecords}
+                usersFields={usersFields}
                 monthRecords={monthRecords}
                 monthStatusField={monthStatusField}
                 monthStartDateField={monthStartDateField}
                 monthEndDateField={monthEndDateField}
                 taskRecords={taskRecords}
+                defaultDate={defaultEntryDate}
+                undoHistory={undoHistory}
+                writeQueue={writeQueue}
+                weekLocks={weekLocks}
+                initialValues={timerEntry}
+                validateEntry={validateNewEntry}
+                findDuplicates={findNewEntryDuplicates}
+            />
+            
+            <CopyWeekModal
+                isOpen={showCopyWeekModal}
+                onClose={() => setShowCopyWeekModal(false)}
+                timesheetTable={timesheetTable}
+                sourceRecords={myRecords}
+                targetWeekStart={getWeekStart(periodAnchor)}
+                fields={{date, task, timeTaskType, individualHours, timesheetNotes, name: nameField}}
+                stampFields={stampFields}
+                availableDates={availableDates}
+                onRecordsCreated={handleRecordCreated}
+            />
+
+            <DuplicateReviewModal
+                isOpen={showDuplicateModal}
+                onClose={() => setShowDuplicateModal(false)}
+                groups={duplicateGroups}
+                timesheetTable={timesheetTable}
+                fields={{task, individualHours, timesheetNotes}}
+                getOwnerLabel={(record) => getRecordOwnerKey(record) || 'Unknown person'}
+                isRecordEditable={isRecordEditable}
+                undoHistory={undoHistory}
+                onUpdate={handleRecordUpdate}
             />
+
+            <ImportCsvModal
+                isOpen={showImportModal}
+                onClose={() => setShowImportModal(false)}
+                timesheetTable={timesheetTable}
+                fields={{date, individualHours, task, timesheetNotes, timeTaskType, name: nameField}}
+                taskRecords={taskRecords}
+                nameOptions={userLinkOptions}
+                availableDates={availableDates}
+                stampFields={stampFields}
+                onRecordsCreated={handleRecordCreated}
+            />
+
+            <ColumnChooser
+                isOpen={showColumnChooser}
+                onClose={() => setShowColumnChooser(false)}
+                availableColumns={availableColumns}
+                layout={columnLayout}
+                onChange={columnLayoutState.setLayout}
+                onReset={columnLayoutState.resetLayout}
+            />
+
+            <ExportCsvModal
+                isOpen={showExportModal}
+                onClose={() => setShowExportModal(false)}
+                records={shownRecords}
+                columns={visibleColumns}
+                fileName={`timesheet-${formatDateToString(periodRange.start)}-${formatDateToString(periodRange.end)}.csv`}
+                storageKey={getUserStorageKey('csvExport', session)}
+            />
+
+            {canManagePeriods && (
+                <MonthPeriodPanel
+                    isOpen={showPeriodPanel}
+                    onClose={() => setShowPeriodPanel(false)}
+                    monthTable={monthTable}
+                    monthRecords={monthRecords}
+                    monthStatusField={monthStatusField}
+                    monthStartDateField={monthStartDateField}
+                    monthEndDateField={monthEndDateField}
+                    timesheetRecords={records}
+                    dateField={date}
+                    warningField={warning}
+                    ruleWarnings={periodPanelRuleWarnings}
+                />
+            )}
+
+            {canApproveWeeks && (
+                <ApprovalPanel
+                    isOpen={showApprovalPanel}
+                    onClose={() => setShowApprovalPanel(false)}
+                    submissions={submissions}
+                    submissionsTable={submissionsTable}
+                    submissionFields={submissionFields}
+                    getUserLabel={(email) => findUserName(email) || email}
+                    getWeekRecords={getUserWeekRecords}
+                    individualHours={individualHours}
+                    currentUserEmail={currentUserEmail}
+                />
+            )}
         </div>
     );
 }
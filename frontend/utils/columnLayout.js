@@ -0,0 +1,86 @@
+import {useState, useRef, useEffect} from 'react';
+import {loadStoredValue, saveStoredValue} from './storageUtils';
+
+/**
+ * Table column layout chosen by the user: which columns are shown, in which order and how wide.
+ * The layout is {columns: [key, ...], widths: {key: px}}; columns holds the visible columns in display order.
+ */
+
+// Columns only needed for stamping records; hidden until a user chooses to show them
+const DEFAULT_HIDDEN_KEYS = ['createdBy2', 'userEmail'];
+
+export const MIN_COLUMN_WIDTH = 80;
+export const DEFAULT_COLUMN_WIDTH = 180;
+
+/**
+ * Get every column the table can show: the known columns first (in their default order),
+ * then every other Timesheet field, keyed by field ID
+ * @param {Array<{key: string, label: string, field: Field}>} knownColumns - Configured fields in their default order
+ * @param {Table} table - Timesheet table
+ * @returns {Array<{key: string, label: string, field: Field}>} Columns whose field exists
+ */
+export function getAvailableColumns(knownColumns, table) {
+    const columns = knownColumns.filter(({field}) => field);
+    const knownFieldIds = new Set(columns.map(({field}) => field.id));
+    const extraColumns = (table?.fields || [])
+        .filter(field => !knownFieldIds.has(field.id))
+        .map(field => ({key: `field:${field.id}`, label: field.name, field}));
+    return [...columns, ...extraColumns];
+}
+
+/**
+ * Get the layout used before a user has chosen one: the known columns, without the internal ones
+ * @param {Array<{key: string}>} knownColumns - Configured fields in their default order
+ * @returns {{columns: Array<string>, widths: Object}} Default layout
+ */
+export function getDefaultColumnLayout(knownColumns) {
+    return {
+        columns: knownColumns.map(({key}) => key).filter(key => !DEFAULT_HIDDEN_KEYS.includes(key)),
+        widths: {}
+    };
+}
+
+/**
+ * Apply a layout to the available columns
+ * @param {Array<{key: string, label: string, field: Field}>} availableColumns - Columns from getAvailableColumns
+ * @param {{columns: Array<string>, widths: Object}} layout - Stored layout
+ * @returns {Array<{key: string, label: string, field: Field, width: number}>} Visible columns in display order
+ *   (columns of deleted fields are left out)
+ */
+export function getVisibleColumns(availableColumns, layout) {
+    const columnsByKey = new Map(availableColumns.map(column => [column.key, column]));
+    return layout.columns
+        .filter(key => columnsByKey.has(key))
+        .map(key => ({...columnsByKey.get(key), width: layout.widths[key] || DEFAULT_COLUMN_WIDTH}));
+}
+
+/**
+ * Column layout persisted per user in localStorage
+ * @param {string} storageKey - localStorage key the layout is persisted under
+ * @returns {{layout: Object|null, setLayout: Function, resetLayout: Function}} Stored layout (null until the user changes it) and actions
+ */
+export function useColumnLayout(storageKey) {
+    const [storedLayout, setStoredLayout] = useState(() => loadStoredValue(storageKey, null));
+    const loadedStorageKeyRef = useRef(storageKey);
+
+    // Reload the layout when the storage key changes (e.g. the session becomes available)
+    useEffect(() => {
+        if (loadedStorageKeyRef.current !== storageKey) {
+            loadedStorageKeyRef.current = storageKey;
+            setStoredLayout(loadStoredValue(storageKey, null));
+        }
+    }, [storageKey]);
+
+    const setLayout = (layout) => {
+        setStoredLayout(layout);
+        saveStoredValue(storageKey, layout);
+    };
+
+    return {
+        layout: storedLayout && Array.isArray(storedLayout.columns)
+            ? {columns: storedLayout.columns, widths: storedLayout.widths || {}}
+            : null,
+        setLayout,
+        resetLayout: () => setLayout(null)
+    };
+}
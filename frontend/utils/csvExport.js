@@ -0,0 +1,149 @@
+import {FieldType} from '@airtable/blocks/interface/models';
+import {formatDisplayValue} from './valueFormatter';
+import {parseDateValue} from './dateUtils';
+
+/**
+ * CSV export helpers. Everything runs in the browser: the file is built as a string and downloaded through a Blob URL.
+ */
+
+export const CSV_DELIMITERS = [
+    {value: ',', label: 'Comma (,)'},
+    {value: ';', label: 'Semicolon (;)'},
+    {value: '\t', label: 'Tab'},
+];
+
+export const CSV_DECIMAL_SEPARATORS = [
+    {value: '.', label: 'Point (7.5)'},
+    {value: ',', label: 'Comma (7,5)'},
+];
+
+export const CSV_DATE_FORMATS = [
+    {value: 'YYYY-MM-DD', label: 'YYYY-MM-DD'},
+    {value: 'DD/MM/YYYY', label: 'DD/MM/YYYY'},
+    {value: 'MM/DD/YYYY', label: 'MM/DD/YYYY'},
+    {value: 'DD.MM.YYYY', label: 'DD.MM.YYYY'},
+];
+
+export const DEFAULT_CSV_OPTIONS = {delimiter: ',', decimalSeparator: '.', dateFormat: 'YYYY-MM-DD'};
+
+// Settings that Excel with Swedish regional settings opens directly, without the import wizard
+export const SWEDISH_EXCEL_CSV_OPTIONS = {delimiter: ';', decimalSeparator: ',', dateFormat: 'YYYY-MM-DD'};
+
+// Exported as plain numbers; durations are exported as the table shows them (h:mm)
+const NUMBER_FIELD_TYPES = [FieldType.NUMBER, FieldType.CURRENCY, FieldType.PERCENT, FieldType.RATING, FieldType.COUNT];
+
+// Leading characters that make Excel read a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Keep Excel from running user-entered text as a formula by prefixing it with an apostrophe
+ * @param {string} text - Cell text
+ * @returns {string} Text that Excel shows as typed
+ */
+function neutralizeFormula(text) {
+    return FORMULA_PREFIXES.some(prefix => text.startsWith(prefix)) ? `'${text}` : text;
+}
+
+/**
+ * Format a date with one of the CSV_DATE_FORMATS
+ * @param {Date} date - The date
+ * @param {string} dateFormat - Date format, e.g. "DD/MM/YYYY"
+ * @returns {string} Formatted date
+ */
+function formatExportDate(date, dateFormat) {
+    const year = String(date.getFullYear());
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return dateFormat.replace('YYYY', year).replace('MM', month).replace('DD', day);
+}
+
+/**
+ * Get the text exported for a cell. Dates and numbers follow the export options;
+ * everything else is formatted like the table shows it (formatDisplayValue) and never starts a formula
+ * @param {Record} record - Timesheet record
+ * @param {Field} field - Field of the column
+ * @param {Object} options - Export options: decimalSeparator, dateFormat
+ * @returns {string} Cell text
+ */
+export function getExportCellValue(record, field, {decimalSeparator, dateFormat}) {
+    const fieldType = field.config.type;
+    const value = record.getCellValue(field);
+    if (value === null || value === undefined) return '';
+
+    if (fieldType === FieldType.DATE) {
+        const date = parseDateValue(value);
+        return date ? formatExportDate(date, dateFormat) : '';
+    }
+    if (fieldType === FieldType.DATE_TIME) {
+        const dateTime = new Date(value);
+        if (isNaN(dateTime.getTime())) return '';
+        const time = `${String(dateTime.getHours()).padStart(2, '0')}:${String(dateTime.getMinutes()).padStart(2, '0')}`;
+        return `${formatExportDate(dateTime, dateFormat)} ${time}`;
+    }
+    if (typeof value === 'number' && (NUMBER_FIELD_TYPES.includes(fieldType) || field.isComputed)) {
+        return String(value).replace('.', decimalSeparator);
+    }
+    // Lookups and formulas are exported as Airtable shows them, like the table does for lookup columns
+    if (fieldType === FieldType.MULTIPLE_LOOKUP_VALUES || fieldType === FieldType.FORMULA || fieldType === FieldType.ROLLUP) {
+        return neutralizeFormula(formatDisplayValue(record.getCellValueAsString(field), fieldType));
+    }
+    return neutralizeFormula(formatDisplayValue(value, fieldType));
+}
+
+/**
+ * Quote a CSV value when it contains the delimiter, quotes or line breaks
+ * @param {string} value - Cell text
+ * @param {string} delimiter - Column delimiter
+ * @returns {string} Escaped value
+ */
+function escapeCsvValue(value, delimiter) {
+    const text = String(value ?? '');
+    if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Join rows of cell texts into CSV text
+ * @param {Array<Array<string>>} rows - Rows, header row included
+ * @param {string} delimiter - Column delimiter
+ * @returns {string} CSV text (CRLF line endings, as Excel expects)
+ */
+export function buildCsvText(rows, delimiter) {
+    return rows.map(row => row.map(value => escapeCsvValue(value, delimiter)).join(delimiter)).join('\r\n');
+}
+
+/**
+ * Build a CSV file with a header row and one line per record
+ * @param {Array} records - Records to export, in the order shown
+ * @param {Array<{label: string, field: Field}>} columns - Columns to export, in the order shown
+ * @param {Object} options - Export options: delimiter, decimalSeparator, dateFormat
+ * @returns {string} CSV text
+ */
+export function buildCsv(records, columns, options) {
+    const rows = [columns.map(({label}) => neutralizeFormula(label))];
+    records.forEach(record => {
+        rows.push(columns.map(({field}) => getExportCellValue(record, field, options)));
+    });
+    return buildCsvText(rows, options.delimiter);
+}
+
+/**
+ * Download a CSV file in the browser
+ * (a UTF-8 byte order mark is added so Excel reads å, ä and ö correctly)
+ * @param {string} csvText - CSV text
+ * @param {string} fileName - Name of the downloaded file
+ */
+export function downloadCsv(csvText, fileName) {
+    const blob = new Blob(['\uFEFF' + csvText], {type: 'text/csv;charset=utf-8'});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoke after the click has been handled, so the download is not cancelled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,344 @@
+import {FieldType} from '@airtable/blocks/interface/models';
+import {formatDateToString, isDateAvailable} from './dateUtils';
+import {getTaskLabel} from './taskCatalog';
+
+/**
+ * CSV import helpers: parsing, column mapping presets and row validation
+ */
+
+const MAX_HOURS_PER_ENTRY = 24;
+const MAX_HOURS_PER_DAY = 24; // Per person, over all imported rows of a day
+
+/**
+ * Timesheet columns a CSV column can be mapped to
+ */
+export const IMPORT_TARGETS = [
+    {key: 'date', label: 'Date', isRequired: true},
+    {key: 'individualHours', label: 'Individual Hours', isRequired: true},
+    {key: 'task', label: 'Task', isRequired: true},
+    {key: 'timesheetNotes', label: 'Notes'},
+    {key: 'timeTaskType', label: 'Time Task Type'},
+    {key: 'name', label: 'Name'},
+];
+
+export const DATE_ORDERS = [
+    {value: 'YMD', label: 'Year-month-day (2025-01-31)'},
+    {value: 'DMY', label: 'Day/month/year (31/01/2025)'},
+    {value: 'MDY', label: 'Month/day/year (01/31/2025)'},
+];
+
+/**
+ * Column mappings of common time tracking exports. Each target lists the CSV headers it is taken from,
+ * in order of preference (headers are matched case-insensitively).
+ */
+export const IMPORT_PRESETS = [
+    {
+        id: 'timesheet',
+        label: 'This timesheet (CSV export)',
+        dateOrder: 'YMD',
+        columns: {
+            date: ['Date'],
+            individualHours: ['Individual Hours', 'Hours'],
+            task: ['Task'],
+            timesheetNotes: ['Timesheet Notes', 'Notes'],
+            timeTaskType: ['Time Task Type'],
+            name: ['Name'],
+        },
+    },
+    {
+        id: 'toggl',
+        label: 'Toggl Track',
+        dateOrder: 'YMD',
+        columns: {
+            date: ['Start date'],
+            individualHours: ['Duration'],
+            task: ['Task', 'Project'],
+            timesheetNotes: ['Description'],
+            name: ['User', 'Member'],
+        },
+    },
+    {
+        id: 'harvest',
+        label: 'Harvest',
+        dateOrder: 'YMD',
+        columns: {
+            date: ['Date', 'Spent Date'],
+            individualHours: ['Hours'],
+            task: ['Task'],
+            timesheetNotes: ['Notes'],
+            name: ['Person', 'Employee', 'First Name'],
+        },
+    },
+    {
+        id: 'clockify',
+        label: 'Clockify',
+        dateOrder: 'MDY',
+        columns: {
+            date: ['Start Date'],
+            individualHours: ['Duration (decimal)', 'Duration (h)'],
+            task: ['Task', 'Project'],
+            timesheetNotes: ['Description'],
+            name: ['User'],
+        },
+    },
+    {
+        id: 'jira',
+        label: 'Jira worklogs (Tempo)',
+        dateOrder: 'YMD',
+        columns: {
+            date: ['Work date', 'Started', 'Date'],
+            individualHours: ['Hours', 'Time Spent (h)', 'Logged Hours'],
+            task: ['Issue summary', 'Issue Key', 'Task'],
+            timesheetNotes: ['Work Description', 'Worklog Description', 'Comment'],
+            name: ['Full name', 'Author', 'Worker'],
+        },
+    },
+];
+
+/**
+ * Guess the delimiter of a CSV file from its header line (comma, semicolon or tab)
+ * @param {string} headerLine - First line of the file
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(headerLine) {
+    const unquotedLine = headerLine.replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => ({delimiter, count: unquotedLine.split(delimiter).length - 1}));
+    return counts.reduce((best, candidate) => (candidate.count > best.count ? candidate : best)).delimiter;
+}
+
+/**
+ * Parse CSV text (quoted values, escaped quotes and line breaks inside quotes are supported)
+ * @param {string} text - File content
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>, delimiter: string}} Header row, data rows and detected delimiter
+ */
+export function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0] || '');
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    const nonEmptyRows = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    const [headers = [], ...dataRows] = nonEmptyRows;
+    return {headers: headers.map(header => header.trim()), rows: dataRows, delimiter};
+}
+
+/**
+ * Map the CSV headers to import targets with a preset
+ * @param {Object} preset - Preset from IMPORT_PRESETS
+ * @param {Array<string>} headers - CSV headers
+ * @returns {Object} Map of target key to column index (-1 when not mapped)
+ */
+export function getPresetMapping(preset, headers) {
+    const normalizedHeaders = headers.map(header => header.toLowerCase());
+    const mapping = {};
+    IMPORT_TARGETS.forEach(({key}) => {
+        const candidates = preset.columns[key] || [];
+        const candidate = candidates.find(name => normalizedHeaders.includes(name.toLowerCase()));
+        mapping[key] = candidate ? normalizedHeaders.indexOf(candidate.toLowerCase()) : -1;
+    });
+    return mapping;
+}
+
+/**
+ * Pick the preset that maps the most columns of a file
+ * @param {Array<string>} headers - CSV headers
+ * @returns {Object} Best matching preset from IMPORT_PRESETS
+ */
+export function detectPreset(headers) {
+    const countMapped = (preset) => Object.values(getPresetMapping(preset, headers)).filter(index => index !== -1).length;
+    return IMPORT_PRESETS.reduce((best, preset) => (countMapped(preset) > countMapped(best) ? preset : best));
+}
+
+/**
+ * Parse a date from a CSV cell (any time after the date is ignored)
+ * @param {string} text - Cell text, e.g. "2025-01-31", "31.01.2025" or "01/31/2025 09:00"
+ * @param {string} dateOrder - Order of day and month for non-ISO dates: 'YMD', 'DMY' or 'MDY'
+ * @returns {Date|null} Local date, or null if the text is not a valid date
+ */
+export function parseImportDate(text, dateOrder) {
+    const trimmed = (text || '').trim();
+    let year;
+    let month;
+    let day;
+    const isoMatch = trimmed.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    const otherMatch = trimmed.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+    if (isoMatch) {
+        [year, month, day] = isoMatch.slice(1).map(Number);
+    } else if (otherMatch) {
+        const [first, second, yearPart] = otherMatch.slice(1).map(Number);
+        [month, day] = dateOrder === 'MDY' ? [first, second] : [second, first];
+        year = yearPart < 100 ? 2000 + yearPart : yearPart;
+    } else {
+        return null;
+    }
+    const date = new Date(year, month - 1, day);
+    const isValid = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    return isValid ? date : null;
+}
+
+/**
+ * Parse hours from a CSV cell
+ * @param {string} text - Cell text, e.g. "1.5", "1,5", "1:30", "01:30:00" or "1h 30m"
+ * @returns {number|null} Hours rounded to two decimals, or null if the text is not a duration
+ */
+export function parseImportHours(text) {
+    const trimmed = (text || '').trim().toLowerCase();
+    if (!trimmed) return null;
+    let hours = null;
+    const clockMatch = trimmed.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+    const unitMatch = trimmed.match(/^(?:(\d+(?:[.,]\d+)?)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/);
+    if (clockMatch) {
+        hours = Number(clockMatch[1]) + Number(clockMatch[2]) / 60 + Number(clockMatch[3] || 0) / 3600;
+    } else if (/^\d+(?:[.,]\d+)?$/.test(trimmed)) {
+        hours = Number(trimmed.replace(',', '.'));
+    } else if (unitMatch && (unitMatch[1] || unitMatch[2])) {
+        hours = Number((unitMatch[1] || '0').replace(',', '.')) + Number(unitMatch[2] || 0) / 60;
+    }
+    return hours === null || isNaN(hours) ? null : Math.round(hours * 100) / 100;
+}
+
+/**
+ * Find an option by name (case-insensitive); tasks also match their "Task (Project)" label
+ * @param {Array<{id: string, name: string}>} options - Options to search
+ * @param {string} text - Name from the CSV
+ * @returns {{option: Object|null, matchCount: number}} The option when exactly one matches, and the number of matches
+ */
+function findOptionByName(options, text) {
+    const normalizedText = text.trim().toLowerCase();
+    const matches = options.filter(option =>
+        (option.name || '').toLowerCase() === normalizedText ||
+        (option.label || '').toLowerCase() === normalizedText
+    );
+    return {option: matches.length === 1 ? matches[0] : null, matchCount: matches.length};
+}
+
+/**
+ * Validate the mapped CSV rows: dates must be in an open period, tasks, Time Task Types and names must exist,
+ * and hours must be positive and add up to at most 24 per person and day
+ * @param {Array<Array<string>>} rows - CSV data rows
+ * @param {Object} mapping - Map of target key to column index (-1 when not mapped)
+ * @param {Object} context
+ * @param {string} context.dateOrder - Order of day and month for non-ISO dates
+ * @param {Set<string>} context.availableDates - Set of open date strings (YYYY-MM-DD format)
+ * @param {Array} context.tasks - Tasks from the Task catalog
+ * @param {Array<{id: string, name: string}>} context.timeTaskTypeOptions - Time Task Type options
+ * @param {Array<{id: string, name: string}>} context.nameOptions - People that can be set in the Name field
+ * @returns {Array<{rowNumber: number, cells: Array<string>, values: Object, errors: Array<string>}>} One result per row
+ *   (rowNumber is the line in the file, header included; values holds date, hours, task, notes, timeTaskType and name)
+ */
+export function validateImportRows(rows, mapping, {dateOrder, availableDates, tasks, timeTaskTypeOptions, nameOptions}) {
+    const taskOptions = tasks.map(task => ({...task, name: task.displayName, label: getTaskLabel(task)}));
+    const getCell = (cells, key) => (mapping[key] >= 0 ? (cells[mapping[key]] || '').trim() : '');
+    const hoursByPersonAndDay = new Map();
+
+    const results = rows.map((cells, index) => {
+        const errors = [];
+        const values = {date: null, hours: null, task: null, notes: getCell(cells, 'timesheetNotes'), timeTaskType: null, name: null};
+
+        const dateText = getCell(cells, 'date');
+        values.date = parseImportDate(dateText, dateOrder);
+        if (!dateText) errors.push('Date is empty');
+        else if (!values.date) errors.push(`"${dateText}" is not a valid date`);
+        else if (!isDateAvailable(values.date, availableDates)) errors.push(`${formatDateToString(values.date)} is not in an open period`);
+
+        const hoursText = getCell(cells, 'individualHours');
+        values.hours = parseImportHours(hoursText);
+        if (!hoursText) errors.push('Hours are empty');
+        else if (values.hours === null) errors.push(`"${hoursText}" is not a valid number of hours`);
+        else if (values.hours <= 0) errors.push('Hours must be more than 0');
+        else if (values.hours > MAX_HOURS_PER_ENTRY) errors.push(`Hours must be at most ${MAX_HOURS_PER_ENTRY}`);
+
+        const taskText = getCell(cells, 'task');
+        if (!taskText) {
+            errors.push('Task is empty');
+        } else {
+            const {option, matchCount} = findOptionByName(taskOptions, taskText);
+            values.task = option;
+            if (matchCount === 0) errors.push(`Unknown task "${taskText}"`);
+            else if (matchCount > 1) errors.push(`Task "${taskText}" matches ${matchCount} tasks`);
+        }
+
+        const typeText = getCell(cells, 'timeTaskType');
+        if (typeText) {
+            values.timeTaskType = findOptionByName(timeTaskTypeOptions, typeText).option;
+            if (!values.timeTaskType) errors.push(`Unknown Time Task Type "${typeText}"`);
+        }
+
+        const nameText = getCell(cells, 'name');
+        if (nameText) {
+            values.name = findOptionByName(nameOptions, nameText).option;
+            if (!values.name) errors.push(`Unknown person "${nameText}"`);
+        }
+
+        return {rowNumber: index + 2, cells, values, errors};
+    });
+
+    // Hours sanity check per person and day, over the rows that are otherwise valid
+    results.forEach(result => {
+        if (result.errors.length > 0) return;
+        const key = `${result.values.name?.id || ''}|${formatDateToString(result.values.date)}`;
+        const dayHours = (hoursByPersonAndDay.get(key) || 0) + result.values.hours;
+        hoursByPersonAndDay.set(key, dayHours);
+        if (dayHours > MAX_HOURS_PER_DAY) {
+            result.errors.push(`More than ${MAX_HOURS_PER_DAY} hours on ${formatDateToString(result.values.date)}`);
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Build the fields of the Timesheet record created for a valid import row
+ * @param {Object} values - Validated values of the row
+ * @param {Object} fields - Field references: date, individualHours, task, timesheetNotes, timeTaskType, name
+ * @param {Object} stampFields - Fields stamping new records with the logged-in user
+ * @returns {Object} Map of field ID to value
+ */
+export function buildImportFields(values, fields, stampFields) {
+    const {date, individualHours, task, timesheetNotes, timeTaskType, name} = fields;
+    const fieldsToSet = {
+        ...stampFields,
+        [date.id]: formatDateToString(values.date),
+        [individualHours.id]: values.hours,
+        [task.id]: [{id: values.task.id}]
+    };
+    if (timesheetNotes && values.notes) fieldsToSet[timesheetNotes.id] = values.notes;
+    if (timeTaskType && values.timeTaskType) fieldsToSet[timeTaskType.id] = {id: values.timeTaskType.id};
+    if (name && values.name) {
+        fieldsToSet[name.id] = name.config.type === FieldType.MULTIPLE_RECORD_LINKS ? [{id: values.name.id}] : {id: values.name.id};
+    }
+    return fieldsToSet;
+}
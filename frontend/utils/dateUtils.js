@@ -75,9 +75,10 @@ export function isDateSelected(date, selectedDate) {
  * @param {Field} monthStatusField - Status field from Month table
  * @param {Field} monthStartDateField - Start date field from Month table
  * @param {Field} monthEndDateField - End date field from Month table
+ * @param {Set<string>} [lockedWeekStarts] - Mondays (YYYY-MM-DD) of approved weeks whose dates are not available
  * @returns {Set<string>} Set of available date strings (YYYY-MM-DD format)
  */
-export function getAvailableDates(monthRecords, monthStatusField, monthStartDateField, monthEndDateField) {
+export function getAvailableDates(monthRecords, monthStatusField, monthStartDateField, monthEndDateField, lockedWeekStarts = null) {
     const availableDates = new Set();
     
     if (!monthRecords || !monthStatusField || !monthStartDateField || !monthEndDateField) {
@@ -108,7 +109,9 @@ export function getAvailableDates(monthRecords, monthStatusField, monthStartDate
                     const month = String(currentDate.getMonth() + 1).padStart(2, '0');
                     const day = String(currentDate.getDate()).padStart(2, '0');
                     const dateStr = `${year}-${month}-${day}`;
-                    availableDates.add(dateStr);
+                    if (!lockedWeekStarts || !lockedWeekStarts.has(formatDateToString(getWeekStart(currentDate)))) {
+                        availableDates.add(dateStr);
+                    }
                     currentDate.setDate(currentDate.getDate() + 1);
                 }
             }
@@ -118,3 +121,155 @@ export function getAvailableDates(monthRecords, monthStatusField, monthStartDate
     return availableDates;
 }
 
+
+/**
+ * Parse a date cell value into a local Date (time component removed)
+ * Airtable returns DATE values as "YYYY-MM-DD" strings, which new Date() would treat as UTC
+ * @param {Date|string} value - The cell value to parse
+ * @returns {Date|null} Local date, or null if the value is empty or invalid
+ */
+export function parseDateValue(value) {
+    if (!value) return null;
+    if (typeof value === 'string') {
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (match) {
+            return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        }
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Add a number of days to a date
+ * @param {Date} date - The start date
+ * @param {number} days - Number of days to add (can be negative)
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Get the Monday of the week a date falls in
+ * @param {Date} date - The date
+ * @returns {Date} Monday of that week (local date)
+ */
+export function getWeekStart(date) {
+    const dayOfWeek = date.getDay();
+    // Convert from JavaScript's Sunday=0 to Monday=0 format
+    const offset = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+    return addDays(date, -offset);
+}
+
+/**
+ * Get the Sunday of the week a date falls in
+ * @param {Date} date - The date
+ * @returns {Date} Sunday of that week (local date)
+ */
+export function getWeekEnd(date) {
+    return addDays(getWeekStart(date), 6);
+}
+
+/**
+ * Add a number of weeks to a date
+ * @param {Date} date - The start date
+ * @param {number} weeks - Number of weeks to add (can be negative)
+ * @returns {Date} New date
+ */
+export function addWeeks(date, weeks) {
+    return addDays(date, weeks * 7);
+}
+
+/**
+ * Get the ISO 8601 week-numbering year of a date (the year of the week's Thursday)
+ * @param {Date} date - The date
+ * @returns {number} ISO week year
+ */
+export function getISOWeekYear(date) {
+    return addDays(getWeekStart(date), 3).getFullYear();
+}
+
+/**
+ * Get the ISO 8601 week number of a date (weeks start on Monday, week 1 contains January 4th)
+ * @param {Date} date - The date
+ * @returns {number} ISO week number (1-53)
+ */
+export function getISOWeek(date) {
+    const thursday = addDays(getWeekStart(date), 3);
+    const firstWeekStart = getWeekStart(new Date(thursday.getFullYear(), 0, 4));
+    // Round to absorb daylight saving time shifts between the two dates
+    const daysSinceFirstWeek = Math.round((getWeekStart(date) - firstWeekStart) / 86400000);
+    return Math.floor(daysSinceFirstWeek / 7) + 1;
+}
+
+/**
+ * Get the Monday of an ISO week
+ * @param {number} year - ISO week year
+ * @param {number} week - ISO week number
+ * @returns {Date} Monday of the week (local date)
+ */
+export function getISOWeekStart(year, week) {
+    return addWeeks(getWeekStart(new Date(year, 0, 4)), week - 1);
+}
+
+/**
+ * Format the ISO week of a date as "YYYY-Www" (e.g. 2025-W03)
+ * @param {Date} date - The date
+ * @returns {string} Week label
+ */
+export function formatISOWeek(date) {
+    return `${getISOWeekYear(date)}-W${String(getISOWeek(date)).padStart(2, '0')}`;
+}
+
+/**
+ * Get the start and end date of the period containing a date
+ * @param {string} mode - 'day', 'week', 'month' or 'custom'
+ * @param {Date} anchorDate - A date inside the period
+ * @param {{start: Date, end: Date}} [customRange] - Range used in 'custom' mode
+ * @returns {{start: Date, end: Date}} Inclusive period range (local dates)
+ */
+export function getPeriodRange(mode, anchorDate, customRange) {
+    const anchor = new Date(anchorDate.getFullYear(), anchorDate.getMonth(), anchorDate.getDate());
+    if (mode === 'day') {
+        return {start: anchor, end: anchor};
+    }
+    if (mode === 'month') {
+        return {
+            start: new Date(anchor.getFullYear(), anchor.getMonth(), 1),
+            end: new Date(anchor.getFullYear(), anchor.getMonth(), getDaysInMonth(anchor))
+        };
+    }
+    if (mode === 'custom' && customRange?.start && customRange?.end) {
+        return customRange.start <= customRange.end
+            ? {start: customRange.start, end: customRange.end}
+            : {start: customRange.end, end: customRange.start};
+    }
+    return {start: getWeekStart(anchor), end: getWeekEnd(anchor)};
+}
+
+/**
+ * Move a date by one period forwards or backwards
+ * @param {string} mode - 'day', 'week' or 'month'
+ * @param {Date} anchorDate - Current anchor date
+ * @param {number} direction - 1 for next period, -1 for previous period
+ * @returns {Date} New anchor date
+ */
+export function stepPeriod(mode, anchorDate, direction) {
+    if (mode === 'day') return addDays(anchorDate, direction);
+    if (mode === 'month') return new Date(anchorDate.getFullYear(), anchorDate.getMonth() + direction, 1);
+    return addWeeks(anchorDate, direction);
+}
+
+/**
+ * Check if a date falls inside an inclusive date range (time component ignored)
+ * @param {Date} date - The date to check
+ * @param {{start: Date, end: Date}} range - The range
+ * @returns {boolean} True if the date is within the range
+ */
+export function isDateInRange(date, range) {
+    if (!date || !range) return false;
+    const dateStr = formatDateToString(date);
+    return dateStr >= formatDateToString(range.start) && dateStr <= formatDateToString(range.end);
+}
@@ -0,0 +1,140 @@
+import {FieldType} from '@airtable/blocks/interface/models';
+import {formatDateToString, parseDateValue} from './dateUtils';
+
+/**
+ * Duplicate detection for Timesheet entries: entries of the same person on the same date
+ * for the same Task, and near-duplicates with the same hours and notes under different Tasks
+ */
+
+export const DUPLICATE_KINDS = {
+    SAME_TASK: 'sameTask',
+    NEAR_DUPLICATE: 'nearDuplicate',
+};
+
+export const DUPLICATE_KIND_LABELS = {
+    [DUPLICATE_KINDS.SAME_TASK]: 'Same Task on the same day',
+    [DUPLICATE_KINDS.NEAR_DUPLICATE]: 'Same hours and notes on the same day',
+};
+
+/**
+ * Read the values duplicates are compared on
+ * @param {Record} record - Timesheet record
+ * @param {Object} fields - Field references: date, task, individualHours, timesheetNotes
+ * @returns {{date: string, taskKey: string, hours: number|null, notes: string}} Comparable values
+ */
+function getComparableValues(record, {date, task, individualHours, timesheetNotes}) {
+    const dateValue = date ? parseDateValue(record.getCellValue(date)) : null;
+    const taskValue = task ? record.getCellValue(task) : null;
+    const hoursValue = individualHours ? record.getCellValue(individualHours) : null;
+    return {
+        date: dateValue ? formatDateToString(dateValue) : '',
+        taskKey: Array.isArray(taskValue) ? taskValue.map(item => item.id).sort().join(',') : '',
+        hours: typeof hoursValue === 'number' ? hoursValue : null,
+        notes: timesheetNotes ? record.getCellValueAsString(timesheetNotes).trim().toLowerCase() : ''
+    };
+}
+
+/**
+ * Find groups of duplicate entries
+ * @param {Array} records - Timesheet records
+ * @param {Object} fields - Field references: date, task, individualHours, timesheetNotes
+ * @param {Function} getOwnerKey - Returns a key identifying the person a record belongs to
+ * @returns {Array<{key: string, kind: string, date: string, records: Array}>} Groups of two or more records, by date
+ */
+export function findDuplicateGroups(records, fields, getOwnerKey) {
+    const sameTaskGroups = new Map();
+    const nearDuplicateGroups = new Map();
+
+    records.forEach(record => {
+        const values = getComparableValues(record, fields);
+        if (!values.date) return;
+        const ownerKey = getOwnerKey(record);
+
+        if (values.taskKey) {
+            const key = `${ownerKey}|${values.date}|${values.taskKey}`;
+            if (!sameTaskGroups.has(key)) sameTaskGroups.set(key, {key, kind: DUPLICATE_KINDS.SAME_TASK, date: values.date, records: []});
+            sameTaskGroups.get(key).records.push(record);
+        }
+        // Notes are required for a near-duplicate, so two plain "8 hours" entries are not flagged
+        if (values.notes && values.hours !== null) {
+            const key = `${ownerKey}|${values.date}|${values.hours}|${values.notes}`;
+            if (!nearDuplicateGroups.has(key)) nearDuplicateGroups.set(key, {key, kind: DUPLICATE_KINDS.NEAR_DUPLICATE, date: values.date, records: [], taskKeys: new Set()});
+            nearDuplicateGroups.get(key).records.push(record);
+            nearDuplicateGroups.get(key).taskKeys.add(values.taskKey);
+        }
+    });
+
+    // Near-duplicates under a single Task are already a same-Task group
+    const nearDuplicates = [...nearDuplicateGroups.values()]
+        .filter(group => group.taskKeys.size > 1)
+        .map(group => ({key: group.key, kind: group.kind, date: group.date, records: group.records}));
+
+    return [...sameTaskGroups.values(), ...nearDuplicates]
+        .filter(group => group.records.length > 1)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Map each record in a duplicate group to the kind of duplicate it is
+ * @param {Array<{kind: string, records: Array}>} groups - Groups from findDuplicateGroups
+ * @returns {Map<string, string>} Record ID -> duplicate kind (same Task wins over near-duplicate)
+ */
+export function getDuplicateKindByRecordId(groups) {
+    const kinds = new Map();
+    groups.forEach(group => {
+        group.records.forEach(record => {
+            if (kinds.get(record.id) !== DUPLICATE_KINDS.SAME_TASK) kinds.set(record.id, group.kind);
+        });
+    });
+    return kinds;
+}
+
+/**
+ * Find existing entries a new entry would duplicate
+ * @param {{date: Date|null, taskId: string|null, hours: number|null, notes: string}} entry - Values of the new entry
+ * @param {Array} records - The person's existing Timesheet records
+ * @param {Object} fields - Field references: date, task, individualHours, timesheetNotes
+ * @returns {Array} Records with the same Task, or the same hours and notes, on the same date
+ */
+export function findDuplicatesOfEntry(entry, records, fields) {
+    if (!entry.date) return [];
+    const entryDate = formatDateToString(entry.date);
+    const entryNotes = (entry.notes || '').trim().toLowerCase();
+
+    return records.filter(record => {
+        const values = getComparableValues(record, fields);
+        if (values.date !== entryDate) return false;
+        const isSameTask = !!entry.taskId && values.taskKey === entry.taskId;
+        const isNearDuplicate = !!entryNotes && values.notes === entryNotes && values.hours === entry.hours;
+        return isSameTask || isNearDuplicate;
+    });
+}
+
+/**
+ * Build the merge of duplicate entries into the first one: hours summed, distinct notes joined
+ * (on separate lines in a long text field, with "; " otherwise)
+ * @param {Array} records - Records of a duplicate group, the record to keep first
+ * @param {Object} fields - Field references: individualHours, timesheetNotes
+ * @returns {{keepRecord: Record, fieldsToSet: Object, deleteRecords: Array}} Update for the kept record and the records to delete
+ */
+export function buildMerge(records, {individualHours, timesheetNotes}) {
+    const [keepRecord, ...deleteRecords] = records;
+    const fieldsToSet = {};
+
+    if (individualHours) {
+        const totalHours = records.reduce((total, record) => {
+            const hours = record.getCellValue(individualHours);
+            return total + (typeof hours === 'number' ? hours : 0);
+        }, 0);
+        fieldsToSet[individualHours.id] = Math.round(totalHours * 100) / 100;
+    }
+    if (timesheetNotes) {
+        const notes = [];
+        records.forEach(record => {
+            const text = record.getCellValueAsString(timesheetNotes).trim();
+            if (text && !notes.some(note => note.toLowerCase() === text.toLowerCase())) notes.push(text);
+        });
+        fieldsToSet[timesheetNotes.id] = notes.join(timesheetNotes.config.type === FieldType.MULTILINE_TEXT ? '\n' : '; ');
+    }
+    return {keepRecord, fieldsToSet, deleteRecords};
+}
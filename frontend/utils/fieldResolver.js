@@ -0,0 +1,72 @@
+/**
+ * Field resolution shared by every module. Fields come from the custom properties (set in the
+ * properties panel, defaulting to the usual English or Swedish field names); no module looks up
+ * a field by its name at runtime or formats a value by its field's name (see formatDisplayValue,
+ * which goes by field type), so renamed or localised bases keep working once configured.
+ */
+
+/**
+ * Find a field by one of its usual names (case-insensitive, first name wins); used for custom property defaults
+ * @param {Table|null} table - Table to search
+ * @param {...string} names - Names to try, in order of preference
+ * @returns {Field|undefined} The field, or undefined if the table has none of the names
+ */
+export function findFieldByName(table, ...names) {
+    if (!table) return undefined;
+    for (const name of names) {
+        const field = table.fields.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+        if (field) return field;
+    }
+    return undefined;
+}
+
+/**
+ * Resolve the configured fields of every table
+ * @param {Object} customPropertyValueByKey - Values from useCustomProperties
+ * @returns {{timesheet: Object, users: Object, tasks: Object, month: Object, submissions: Object}} Fields by table
+ *   (a field that is not configured is null)
+ */
+export function resolveFields(customPropertyValueByKey) {
+    const getField = (key) => customPropertyValueByKey[key] || null;
+    return {
+        timesheet: {
+            projectImport: getField('projectImport'),
+            emailFromName: getField('emailFromName'),
+            task: getField('task'),
+            createdBy2: getField('createdBy2'),
+            name: getField('name'),
+            date: getField('date'),
+            yearWeek: getField('yearWeek'),
+            individualHours: getField('individualHours'),
+            weekday: getField('weekday'),
+            projectFromTask: getField('projectFromTask'),
+            projectFromTaskExt: getField('projectFromTaskExt'),
+            delete: getField('delete'),
+            warning: getField('warning'),
+            timesheetNotes: getField('timesheetNotes'),
+            timeTaskType: getField('timeTaskType'),
+            userEmail: getField('userEmail'),
+        },
+        users: {
+            email: getField('usersEmail'),
+            name: getField('usersName'),
+            role: getField('usersRole'),
+            weeklyHours: getField('usersWeeklyHours'),
+        },
+        tasks: {
+            project: getField('tasksProject'),
+            status: getField('tasksStatus'),
+        },
+        month: {
+            status: getField('monthStatus'),
+            startDate: getField('monthStartDate'),
+            endDate: getField('monthEndDate'),
+        },
+        submissions: {
+            user: getField('submissionsUser'),
+            weekStart: getField('submissionsWeekStart'),
+            status: getField('submissionsStatus'),
+            comment: getField('submissionsComment'),
+        },
+    };
+}
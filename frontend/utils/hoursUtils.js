@@ -0,0 +1,77 @@
+import {addDays, formatDateToString} from './dateUtils';
+
+/**
+ * Hour utility functions for summing Individual Hours and comparing with expected hours
+ */
+
+const WORKDAYS_PER_WEEK = 5;
+
+/**
+ * Format an hours value for display (rounded to two decimals, no trailing zeros)
+ * @param {number} hours - Hours to format
+ * @returns {string} Formatted hours (empty string for 0)
+ */
+export function formatHours(hours) {
+    return hours ? String(Math.round(hours * 100) / 100) : '';
+}
+
+/**
+ * Sum the hours field over a list of records
+ * @param {Array} records - Timesheet records
+ * @param {Field} hoursField - Individual Hours field
+ * @returns {number} Total hours
+ */
+export function sumHours(records, hoursField) {
+    if (!records || !hoursField) return 0;
+    return records.reduce((sum, record) => sum + (Number(record.getCellValue(hoursField)) || 0), 0);
+}
+
+/**
+ * Check if a date is a workday (Monday to Friday)
+ * @param {Date} date - The date to check
+ * @returns {boolean} True for Monday to Friday
+ */
+export function isWorkday(date) {
+    const dayOfWeek = date.getDay();
+    return dayOfWeek !== 0 && dayOfWeek !== 6;
+}
+
+/**
+ * Count the workdays (Monday to Friday) in an inclusive date range
+ * @param {{start: Date, end: Date}} range - The date range
+ * @returns {number} Number of workdays
+ */
+export function countWorkdays(range) {
+    if (!range?.start || !range?.end) return 0;
+    let count = 0;
+    const endStr = formatDateToString(range.end);
+    for (let day = range.start; formatDateToString(day) <= endStr; day = addDays(day, 1)) {
+        if (isWorkday(day)) count++;
+    }
+    return count;
+}
+
+/**
+ * Get the expected hours for a date range from weekly contracted hours
+ * (weekly hours are spread evenly over the workdays of the week)
+ * @param {number|null} weeklyHours - Weekly contracted hours
+ * @param {{start: Date, end: Date}} range - The date range
+ * @returns {number|null} Expected hours, or null if weekly hours are unknown
+ */
+export function getExpectedHours(weeklyHours, range) {
+    if (weeklyHours === null || weeklyHours === undefined || weeklyHours === '') return null;
+    return (Number(weeklyHours) / WORKDAYS_PER_WEEK) * countWorkdays(range);
+}
+
+/**
+ * Compare actual hours with expected hours
+ * @param {number} actualHours - Logged hours
+ * @param {number|null} expectedHours - Expected hours (null if unknown)
+ * @returns {'unknown'|'complete'|'over'|'under'} Comparison status
+ */
+export function getHoursStatus(actualHours, expectedHours) {
+    if (expectedHours === null || expectedHours === undefined) return 'unknown';
+    const difference = actualHours - expectedHours;
+    if (Math.abs(difference) < 0.01) return 'complete';
+    return difference > 0 ? 'over' : 'under';
+}
@@ -0,0 +1,128 @@
+// SDK limits: at most 50 records per createRecordsAsync/updateRecordsAsync/deleteRecordsAsync call,
+// and at most 15 write calls per second
+export const MAX_RECORDS_PER_CALL = 50;
+const MAX_CALLS_PER_SECOND = 15;
+const RATE_WINDOW_MS = 1000;
+
+// Start times of the write calls made in the last second, shared by every caller in the app
+const recentCallTimes = [];
+
+/**
+ * Wait until another write call can be made without exceeding the rate limit
+ * @returns {Promise<void>} Resolves when the call may be made (the call is counted from then on)
+ */
+export async function waitForWriteSlot() {
+    for (;;) {
+        const now = Date.now();
+        while (recentCallTimes.length > 0 && now - recentCallTimes[0] >= RATE_WINDOW_MS) {
+            recentCallTimes.shift();
+        }
+        if (recentCallTimes.length < MAX_CALLS_PER_SECOND) {
+            recentCallTimes.push(now);
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, RATE_WINDOW_MS - (now - recentCallTimes[0])));
+    }
+}
+
+/**
+ * Split mutations into calls: consecutive mutations of the same type share a call (order is kept),
+ * up to 50 records per call, and a record is never updated or deleted twice in the same call
+ * @param {Array<Object>} mutations - Mutations to split
+ * @returns {Array<{type: string, indexes: Array<number>}>} Calls with the indexes of their mutations
+ */
+function groupIntoCalls(mutations) {
+    const calls = [];
+    mutations.forEach((mutation, index) => {
+        const lastCall = calls[calls.length - 1];
+        const canJoinLastCall = lastCall &&
+            lastCall.type === mutation.type &&
+            lastCall.indexes.length < MAX_RECORDS_PER_CALL &&
+            (mutation.type === 'create' || !lastCall.recordIds.has(mutation.recordId));
+        if (canJoinLastCall) {
+            lastCall.indexes.push(index);
+            lastCall.recordIds.add(mutation.recordId);
+        } else {
+            calls.push({type: mutation.type, indexes: [index], recordIds: new Set([mutation.recordId])});
+        }
+    });
+    return calls;
+}
+
+/**
+ * Apply record mutations with as few SDK calls as possible, within the SDK's batch size and rate limits.
+ * A failed call fails only the mutations in that call; the remaining calls are still made.
+ * @param {Table} table - Table to write to
+ * @param {Array<Object>} mutations - {type: 'create', fields}, {type: 'update', recordId, fields} or {type: 'delete', recordId}
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called after each call with {completed, total}
+ * @returns {Promise<Array<{success: boolean, recordId: string|null, error: Error|null}>>} Result per mutation, in input order
+ */
+export async function applyMutations(table, mutations, {onProgress} = {}) {
+    const results = new Array(mutations.length);
+    let completed = 0;
+
+    for (const call of groupIntoCalls(mutations)) {
+        const callMutations = call.indexes.map(index => mutations[index]);
+        await waitForWriteSlot();
+        try {
+            if (call.type === 'create') {
+                const newRecordIds = await table.createRecordsAsync(callMutations.map(({fields}) => ({fields})));
+                call.indexes.forEach((index, i) => {
+                    results[index] = {success: true, recordId: newRecordIds[i], error: null};
+                });
+            } else {
+                if (call.type === 'update') {
+                    await table.updateRecordsAsync(callMutations.map(({recordId, fields}) => ({id: recordId, fields})));
+                } else {
+                    await table.deleteRecordsAsync(callMutations.map(({recordId}) => recordId));
+                }
+                call.indexes.forEach(index => {
+                    results[index] = {success: true, recordId: mutations[index].recordId, error: null};
+                });
+            }
+        } catch (error) {
+            console.error(`Error applying ${call.type} mutations:`, error);
+            call.indexes.forEach(index => {
+                results[index] = {success: false, recordId: mutations[index].recordId || null, error};
+            });
+        }
+        completed += call.indexes.length;
+        if (onProgress) onProgress({completed, total: mutations.length});
+    }
+
+    return results;
+}
+
+/**
+ * Create records in batched, rate-limited calls
+ * @param {Table} table - Table to create the records in
+ * @param {Array<Object>} fieldsList - Fields of each record to create
+ * @param {Object} [options] - Options passed to applyMutations
+ * @returns {Promise<Array>} Result per record (recordId is the new record's ID)
+ */
+export function createRecords(table, fieldsList, options) {
+    return applyMutations(table, fieldsList.map(fields => ({type: 'create', fields})), options);
+}
+
+/**
+ * Update records in batched, rate-limited calls
+ * @param {Table} table - Table the records belong to
+ * @param {Array<{id: string, fields: Object}>} updates - Updates, as passed to updateRecordsAsync
+ * @param {Object} [options] - Options passed to applyMutations
+ * @returns {Promise<Array>} Result per update
+ */
+export function updateRecords(table, updates, options) {
+    return applyMutations(table, updates.map(({id, fields}) => ({type: 'update', recordId: id, fields})), options);
+}
+
+/**
+ * Delete records in batched, rate-limited calls
+ * @param {Table} table - Table the records belong to
+ * @param {Array<string>} recordIds - IDs of the records to delete
+ * @param {Object} [options] - Options passed to applyMutations
+ * @returns {Promise<Array>} Result per record
+ */
+export function deleteRecords(table, recordIds, options) {
+    return applyMutations(table, recordIds.map(recordId => ({type: 'delete', recordId})), options);
+}
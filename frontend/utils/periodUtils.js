@@ -0,0 +1,96 @@
+import {FieldType} from '@airtable/blocks/interface/models';
+import {addDays, formatDateToString, isDateInRange, parseDateValue} from './dateUtils';
+
+/**
+ * Get the status name of a Month period ("Open", "Closed", ...)
+ * @param {Record} monthRecord - Month record
+ * @param {Field} monthStatusField - Status field from Month table
+ * @returns {string} Status name, or '' when empty
+ */
+export function getPeriodStatus(monthRecord, monthStatusField) {
+    const status = monthRecord.getCellValue(monthStatusField);
+    return status?.name || (typeof status === 'string' ? status : '');
+}
+
+/**
+ * Read the Month table periods as plain objects, sorted by start date
+ * @param {Array} monthRecords - Month records
+ * @param {Field} monthStatusField - Status field from Month table
+ * @param {Field} monthStartDateField - Start date field from Month table
+ * @param {Field} monthEndDateField - End date field from Month table
+ * @returns {Array<{record: Record, name: string, start: Date|null, end: Date|null, status: string}>} Periods
+ */
+export function getPeriods(monthRecords, monthStatusField, monthStartDateField, monthEndDateField) {
+    if (!monthRecords || !monthStatusField || !monthStartDateField || !monthEndDateField) return [];
+    return monthRecords
+        .map(record => ({
+            record,
+            name: record.name,
+            start: parseDateValue(record.getCellValue(monthStartDateField)),
+            end: parseDateValue(record.getCellValue(monthEndDateField)),
+            status: getPeriodStatus(record, monthStatusField)
+        }))
+        .sort((a, b) => (a.start?.getTime() ?? Infinity) - (b.start?.getTime() ?? Infinity));
+}
+
+/**
+ * Get the range of the period that follows the existing ones: from the day after the latest
+ * end date to the end of that calendar month (the current month when there are no periods)
+ * @param {Array} periods - Periods from getPeriods
+ * @returns {{start: Date, end: Date}} Range of the next period
+ */
+export function getNextPeriodRange(periods) {
+    const endDates = periods.map(period => period.end).filter(Boolean);
+    let start;
+    if (endDates.length > 0) {
+        start = addDays(new Date(Math.max(...endDates.map(date => date.getTime()))), 1);
+    } else {
+        const today = new Date();
+        start = new Date(today.getFullYear(), today.getMonth(), 1);
+    }
+    return {start, end: new Date(start.getFullYear(), start.getMonth() + 1, 0)};
+}
+
+/**
+ * Find the other periods whose date range overlaps a period
+ * @param {Object} period - Period from getPeriods
+ * @param {Array} periods - All periods
+ * @returns {Array} Overlapping periods
+ */
+export function findOverlappingPeriods(period, periods) {
+    if (!period.start || !period.end) return [];
+    return periods.filter(other =>
+        other.record.id !== period.record.id &&
+        other.start && other.end &&
+        other.start <= period.end && other.end >= period.start
+    );
+}
+
+/**
+ * Count the Timesheet entries in a period that still have a warning, either in the Warning field
+ * or from a broken validation rule
+ * @param {Object} period - Period from getPeriods
+ * @param {Array} timesheetRecords - Timesheet records
+ * @param {Field} dateField - Date field of the Timesheet table
+ * @param {Field} warningField - Warning field of the Timesheet table
+ * @param {Map<string, Array<string>>} [ruleWarnings] - Record ID -> messages, from getRuleWarnings
+ * @returns {number} Number of entries with a warning
+ */
+export function countEntriesWithWarnings(period, timesheetRecords, dateField, warningField, ruleWarnings = new Map()) {
+    if (!period.start || !period.end || !dateField) return 0;
+    return timesheetRecords.filter(record => {
+        const date = parseDateValue(record.getCellValue(dateField));
+        if (!date || !isDateInRange(date, period)) return false;
+        return ruleWarnings.has(record.id) || (!!warningField && record.getCellValueAsString(warningField).trim() !== '');
+    }).length;
+}
+
+/**
+ * Convert a date to the value written to a Month table date field
+ * @param {Field} field - Start or end date field
+ * @param {Date} date - Date to write
+ * @returns {string|Date} YYYY-MM-DD for date fields, the Date itself for date/time fields
+ */
+export function toPeriodDateValue(field, date) {
+    return field.config.type === FieldType.DATE ? formatDateToString(date) : date;
+}
@@ -0,0 +1,142 @@
+import {formatDateToString, parseDateValue} from './dateUtils';
+
+/**
+ * Table filters. Every filter that is set must match (filters combine with AND); a multi-select
+ * filter matches a record that has any of its selected values.
+ */
+
+export const EMPTY_FILTERS = {
+    dateFrom: null, // 'YYYY-MM-DD', inclusive
+    dateTo: null, // 'YYYY-MM-DD', inclusive
+    taskIds: [],
+    projects: [], // Project names (Project from Task is a lookup, so projects are matched by name)
+    timeTaskTypeIds: [],
+    users: [], // Owner keys (Name, falling back to the logged-in user's email)
+    hasWarning: false,
+    notesSearch: '',
+};
+
+/**
+ * Count the filters that are set
+ * @param {Object} filters - Filters (see EMPTY_FILTERS)
+ * @returns {number} Number of active filters
+ */
+export function countActiveFilters(filters) {
+    return [
+        filters.dateFrom || filters.dateTo,
+        filters.taskIds.length > 0,
+        filters.projects.length > 0,
+        filters.timeTaskTypeIds.length > 0,
+        filters.users.length > 0,
+        filters.hasWarning,
+        filters.notesSearch.trim() !== '',
+    ].filter(Boolean).length;
+}
+
+/**
+ * Get the project names of a record from its Project from Task lookup
+ * @param {Record} record - Timesheet record
+ * @param {Field} field - Project from Task field
+ * @returns {Array<string>} Project names
+ */
+export function getProjectNames(record, field) {
+    const value = record.getCellValue(field);
+    if (!Array.isArray(value)) {
+        const text = record.getCellValueAsString(field);
+        return text ? [text] : [];
+    }
+    // Lookup items are {linkedRecordId, value}; the value is a linked record when the lookup follows a link
+    return value.map(item => {
+        const inner = item && typeof item === 'object' && 'value' in item ? item.value : item;
+        if (inner && typeof inner === 'object') return inner.name || '';
+        return inner === null || inner === undefined ? '' : String(inner);
+    }).filter(Boolean);
+}
+
+function getRecordDateString(record, dateField) {
+    const date = parseDateValue(record.getCellValue(dateField));
+    return date ? formatDateToString(date) : null;
+}
+
+/**
+ * Get the values offered by each filter, taken from the records being filtered
+ * @param {Array} records - Records the filters apply to
+ * @param {Object} fields - Timesheet fields: date, task, projectFromTask, timeTaskType
+ * @param {Function} getOwnerKey - Function returning the owner key of a record
+ * @returns {{dates: Set<string>, tasks: Array, projects: Array, timeTaskTypes: Array, users: Array}} Options
+ *   ({id, label} sorted by label) and the dates that have entries
+ */
+export function getFilterOptions(records, fields, getOwnerKey) {
+    const {date, task, projectFromTask, timeTaskType} = fields;
+    const dates = new Set();
+    const tasksById = new Map();
+    const projects = new Set();
+    const users = new Set();
+
+    records.forEach(record => {
+        const dateString = date ? getRecordDateString(record, date) : null;
+        if (dateString) dates.add(dateString);
+        if (task) {
+            (record.getCellValue(task) || []).forEach(link => tasksById.set(link.id, link.name || link.id));
+        }
+        if (projectFromTask) {
+            getProjectNames(record, projectFromTask).forEach(name => projects.add(name));
+        }
+        const ownerKey = getOwnerKey(record);
+        if (ownerKey) users.add(ownerKey);
+    });
+
+    const byLabel = (a, b) => a.label.localeCompare(b.label);
+    const toOptions = (values) => Array.from(values, value => ({id: value, label: value})).sort(byLabel);
+    return {
+        dates,
+        tasks: Array.from(tasksById, ([id, label]) => ({id, label})).sort(byLabel),
+        projects: toOptions(projects),
+        // Choices keep the order configured in Airtable
+        timeTaskTypes: (timeTaskType?.config?.options?.choices || []).map(choice => ({id: choice.id, label: choice.name})),
+        users: toOptions(users),
+    };
+}
+
+/**
+ * Filter records
+ * @param {Array} records - Records to filter
+ * @param {Object} filters - Filters (see EMPTY_FILTERS)
+ * @param {Object} fields - Timesheet fields: date, task, projectFromTask, timeTaskType, timesheetNotes
+ * @param {Object} matchers
+ * @param {Function} matchers.getOwnerKey - Function returning the owner key of a record
+ * @param {Function} matchers.hasWarning - Function telling whether a record has a warning
+ * @returns {Array} Records matching every active filter
+ */
+export function filterRecords(records, filters, fields, {getOwnerKey, hasWarning}) {
+    if (countActiveFilters(filters) === 0) return records;
+
+    const {date, task, projectFromTask, timeTaskType, timesheetNotes} = fields;
+    const notesSearch = filters.notesSearch.trim().toLowerCase();
+
+    return records.filter(record => {
+        if ((filters.dateFrom || filters.dateTo) && date) {
+            const dateString = getRecordDateString(record, date);
+            if (!dateString) return false;
+            if (filters.dateFrom && dateString < filters.dateFrom) return false;
+            if (filters.dateTo && dateString > filters.dateTo) return false;
+        }
+        if (filters.taskIds.length > 0 && task) {
+            const links = record.getCellValue(task) || [];
+            if (!links.some(link => filters.taskIds.includes(link.id))) return false;
+        }
+        if (filters.projects.length > 0 && projectFromTask) {
+            if (!getProjectNames(record, projectFromTask).some(name => filters.projects.includes(name))) return false;
+        }
+        if (filters.timeTaskTypeIds.length > 0 && timeTaskType) {
+            const choice = record.getCellValue(timeTaskType);
+            if (!choice || !filters.timeTaskTypeIds.includes(choice.id)) return false;
+        }
+        if (filters.users.length > 0 && !filters.users.includes(getOwnerKey(record))) return false;
+        if (filters.hasWarning && !hasWarning(record)) return false;
+        if (notesSearch && timesheetNotes) {
+            if (!record.getCellValueAsString(timesheetNotes).toLowerCase().includes(notesSearch)) return false;
+        }
+        return true;
+    });
+}
@@ -0,0 +1,143 @@
+import {formatDateToString, parseDateValue} from './dateUtils';
+import {sumHours} from './hoursUtils';
+import {getProjectNames} from './recordFilters';
+
+/**
+ * Row grouping for the table. Rows can be grouped up to MAX_GROUP_LEVELS deep (e.g. Year-Week, then Project);
+ * each record belongs to exactly one group per level, so group subtotals add up to the table total.
+ */
+
+export const GROUP_BY_OPTIONS = [
+    {key: 'yearWeek', label: 'Year-Week'},
+    {key: 'project', label: 'Project'},
+    {key: 'task', label: 'Task'},
+    {key: 'timeTaskType', label: 'Time Task Type'},
+    {key: 'user', label: 'User'},
+    {key: 'date', label: 'Date'},
+];
+
+export const MAX_GROUP_LEVELS = 2;
+
+export const EMPTY_GROUP_LABEL = '(empty)';
+
+// Field each grouping reads (user is derived from Name / the logged-in user's email and is always available)
+const GROUP_FIELD_KEYS = {
+    yearWeek: 'yearWeek',
+    project: 'projectFromTask',
+    task: 'task',
+    timeTaskType: 'timeTaskType',
+    date: 'date',
+};
+
+/**
+ * Get the groupings that can be used with the configured fields
+ * @param {Object} fields - Timesheet fields: yearWeek, projectFromTask, task, timeTaskType, date
+ * @returns {Array<{key: string, label: string}>} Available options from GROUP_BY_OPTIONS
+ */
+export function getAvailableGroupByOptions(fields) {
+    return GROUP_BY_OPTIONS.filter(option => !GROUP_FIELD_KEYS[option.key] || fields[GROUP_FIELD_KEYS[option.key]]);
+}
+
+/**
+ * Get the group a record belongs to for one grouping
+ * @returns {{label: string, sortValue: number|string}} Group label ('' when the cell is empty) and its sort position
+ */
+function getGroupValue(record, groupKey, fields, getOwnerKey) {
+    switch (groupKey) {
+        case 'project': {
+            const label = getProjectNames(record, fields.projectFromTask).join(', ');
+            return {label, sortValue: label.toLowerCase()};
+        }
+        case 'timeTaskType': {
+            // Choices keep the order configured in Airtable
+            const choice = record.getCellValue(fields.timeTaskType);
+            const choices = fields.timeTaskType.config.options?.choices || [];
+            return {label: choice?.name || '', sortValue: choice ? choices.findIndex(option => option.id === choice.id) : -1};
+        }
+        case 'user': {
+            const label = getOwnerKey(record) || '';
+            return {label, sortValue: label.toLowerCase()};
+        }
+        case 'date': {
+            const date = parseDateValue(record.getCellValue(fields.date));
+            const label = date ? formatDateToString(date) : '';
+            return {label, sortValue: label};
+        }
+        default: {
+            const label = record.getCellValueAsString(fields[GROUP_FIELD_KEYS[groupKey]]);
+            return {label, sortValue: label.toLowerCase()};
+        }
+    }
+}
+
+/**
+ * Group records by one or more groupings, nesting a level per grouping. Groups are in ascending order
+ * (empty group last); records keep their order within a group.
+ * @param {Array} records - Records to group, in display order
+ * @param {Array<string>} groupKeys - Groupings from GROUP_BY_OPTIONS, outermost first
+ * @param {Object} fields - Timesheet fields: yearWeek, projectFromTask, task, timeTaskType, date, individualHours
+ * @param {Function} getOwnerKey - Function returning the owner key of a record (for grouping by user)
+ * @param {string} [parentId] - ID of the enclosing group
+ * @returns {Array<{id: string, label: string, records: Array, hours: number, children: Array|null}>} Groups
+ */
+export function groupRecords(records, groupKeys, fields, getOwnerKey, parentId = '') {
+    if (groupKeys.length === 0) return [];
+    const [groupKey, ...nestedKeys] = groupKeys;
+    const groupsByLabel = new Map();
+
+    records.forEach(record => {
+        const {label, sortValue} = getGroupValue(record, groupKey, fields, getOwnerKey);
+        if (!groupsByLabel.has(label)) {
+            groupsByLabel.set(label, {
+                id: `${parentId}/${groupKey}:${label}`,
+                label: label || EMPTY_GROUP_LABEL,
+                sortValue,
+                isEmpty: !label,
+                records: []
+            });
+        }
+        groupsByLabel.get(label).records.push(record);
+    });
+
+    return Array.from(groupsByLabel.values())
+        .sort((a, b) => {
+            if (a.isEmpty !== b.isEmpty) return a.isEmpty ? 1 : -1;
+            if (typeof a.sortValue === 'number' && typeof b.sortValue === 'number') return a.sortValue - b.sortValue;
+            return String(a.sortValue).localeCompare(String(b.sortValue), undefined, {numeric: true});
+        })
+        .map(({id, label, records: members}) => ({
+            id,
+            label,
+            records: members,
+            hours: sumHours(members, fields.individualHours),
+            children: nestedKeys.length > 0 ? groupRecords(members, nestedKeys, fields, getOwnerKey, id) : null
+        }));
+}
+
+/**
+ * Get the IDs of groups and their nested groups
+ * @param {Array} groups - Groups from groupRecords
+ * @returns {Array<string>} Group IDs
+ */
+export function getGroupIds(groups) {
+    return groups.flatMap(group => [group.id, ...(group.children ? getGroupIds(group.children) : [])]);
+}
+
+/**
+ * Flatten groups into the rows the table shows: a header row per group followed by its nested groups
+ * or records; the contents of collapsed groups are left out
+ * @param {Array} groups - Groups from groupRecords
+ * @param {Set<string>} collapsedGroupIds - IDs of collapsed groups
+ * @param {number} [depth] - Nesting depth of the groups
+ * @returns {Array<{type: 'group', group: Object, depth: number}|{type: 'record', record: Record}>} Table rows
+ */
+export function flattenGroups(groups, collapsedGroupIds, depth = 0) {
+    return groups.flatMap(group => {
+        const headerRow = {type: 'group', group, depth};
+        if (collapsedGroupIds.has(group.id)) return [headerRow];
+        const contentRows = group.children
+            ? flattenGroups(group.children, collapsedGroupIds, depth + 1)
+            : group.records.map(record => ({type: 'record', record}));
+        return [headerRow, ...contentRows];
+    });
+}
@@ -1,33 +1,67 @@
 import {FieldType} from '@airtable/blocks/interface/models';
+import {formatDateToString, getWeekStart, parseDateValue} from './dateUtils';
 
 /**
- * Check if a record's date falls within a "Closed" month period
+ * Check if a record's date falls within a "Closed" month period,
+ * or within an approved week of the logged-in user's own entries
  * @param {Record} record - The record to check
+ * @param {Field} dateField - Date field of the Timesheet table
  * @param {Array} monthRecords - Array of month records
  * @param {Field} monthStatusField - Status field from Month table
  * @param {Field} monthStartDateField - Start date field from Month table
  * @param {Field} monthEndDateField - End date field from Month table
+ * @param {{weekStarts: Set<string>, ownsRecord: Function}|null} [weekLocks] - Approved weeks of the logged-in user
  * @returns {boolean} True if record is in a closed period
  */
-export function isRecordClosed(record, monthRecords, monthStatusField, monthStartDateField, monthEndDateField) {
-    if (!monthRecords || !monthStatusField || !monthStartDateField || !monthEndDateField) {
+export function isRecordClosed(record, dateField, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks = null) {
+    const hasMonthFields = monthRecords && monthStatusField && monthStartDateField && monthEndDateField;
+    if (!dateField || (!hasMonthFields && !weekLocks)) {
         return false;
     }
     
-    // Get the record's date field
-    const dateField = record.parentTable.fields.find(f => 
-        f.name === 'Date' && (f.config.type === FieldType.DATE || f.config.type === FieldType.DATE_TIME)
-    );
-    if (!dateField) return false;
-    
     const recordDate = record.getCellValue(dateField);
     if (!recordDate) return false;
     
-    // Normalize record date to local date (remove time component)
-    const recordDateObj = new Date(recordDate);
-    const recordDateLocal = new Date(recordDateObj.getFullYear(), recordDateObj.getMonth(), recordDateObj.getDate());
+    // Approved weeks only lock the entries of the user who submitted them
+    const recordWeekLocks = weekLocks && weekLocks.ownsRecord(record) ? weekLocks : null;
+    return isDateClosed(recordDate, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, recordWeekLocks);
+}
+
+/**
+ * Check if a date falls within one of the locked (approved) weeks
+ * @param {Date|string} date - The date to check
+ * @param {{weekStarts: Set<string>}|null} weekLocks - Approved weeks of the logged-in user
+ * @returns {boolean} True if the date's week has been approved
+ */
+export function isDateInLockedWeek(date, weekLocks) {
+    if (!date || !weekLocks || weekLocks.weekStarts.size === 0) return false;
+    const localDate = parseDateValue(date);
+    return !!localDate && weekLocks.weekStarts.has(formatDateToString(getWeekStart(localDate)));
+}
+
+/**
+ * Check if a date falls within a "Closed" month period or a locked (approved) week
+ * @param {Date|string} date - The date to check
+ * @param {Array} monthRecords - Array of month records
+ * @param {Field} monthStatusField - Status field from Month table
+ * @param {Field} monthStartDateField - Start date field from Month table
+ * @param {Field} monthEndDateField - End date field from Month table
+ * @param {{weekStarts: Set<string>}|null} [weekLocks] - Approved weeks of the logged-in user
+ * @returns {boolean} True if the date is in a closed period
+ */
+export function isDateClosed(date, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks = null) {
+    if (isDateInLockedWeek(date, weekLocks)) {
+        return true;
+    }
+    if (!date || !monthRecords || !monthStatusField || !monthStartDateField || !monthEndDateField) {
+        return false;
+    }
+    
+    // Normalize date to local date (remove time component)
+    const dateObj = new Date(date);
+    const dateLocal = new Date(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate());
     
-    // Check if record date falls within any "Closed" month period
+    // Check if date falls within any "Closed" month period
     for (const monthRecord of monthRecords) {
         const status = monthRecord.getCellValue(monthStatusField);
         // Check if status is "Closed"
@@ -43,8 +77,8 @@ export function isRecordClosed(record, monthRecords, monthStatusField, monthStar
                 const startLocal = new Date(start.getFullYear(), start.getMonth(), start.getDate());
                 const endLocal = new Date(end.getFullYear(), end.getMonth(), end.getDate());
                 
-                // Check if record date is within this closed period
-                if (recordDateLocal >= startLocal && recordDateLocal <= endLocal) {
+                // Check if date is within this closed period
+                if (dateLocal >= startLocal && dateLocal <= endLocal) {
                     return true;
                 }
             }
@@ -54,3 +88,76 @@ export function isRecordClosed(record, monthRecords, monthStatusField, monthStar
     return false;
 }
 
+/**
+ * Build the fields that stamp a new Timesheet record with the logged-in user
+ * (Created By 2 with the user's name, Email of the logged in user with the user's email
+ * and, when given, Name linked to the user's Users Table record)
+ * @param {Object} params
+ * @param {Field} params.createdBy2Field - Created By 2 field (single select or text)
+ * @param {Field} params.userEmailField - Email of the logged in user field
+ * @param {string|null} params.userName - Name of the logged-in user (from Users Table or session)
+ * @param {string|null} params.userEmail - Email of the logged-in user
+ * @param {Field} [params.nameField] - Name field (link to Users Table or single select)
+ * @param {Record|null} [params.userRecord] - Users Table record of the logged-in user
+ * @returns {Object} Map of field ID to value, ready to merge into createRecordAsync fields
+ */
+export function buildUserStampFields({createdBy2Field, userEmailField, userName, userEmail, nameField = null, userRecord = null}) {
+    const stampFields = {};
+    
+    if (createdBy2Field && userName) {
+        const createdBy2FieldType = createdBy2Field.config.type;
+        if (createdBy2FieldType === FieldType.SINGLE_SELECT) {
+            const createdBy2Options = createdBy2Field.config?.options?.choices || [];
+            const matchingCreatedBy2Option = createdBy2Options.find(opt => 
+                opt.name && opt.name.toLowerCase() === String(userName).toLowerCase()
+            );
+            if (matchingCreatedBy2Option) {
+                stampFields[createdBy2Field.id] = {id: matchingCreatedBy2Option.id};
+            } else {
+                console.warn('Created By 2 field option not found for:', userName);
+            }
+        } else if (createdBy2FieldType === FieldType.SINGLE_LINE_TEXT || createdBy2FieldType === FieldType.MULTILINE_TEXT) {
+            stampFields[createdBy2Field.id] = String(userName);
+        }
+    }
+    
+    if (userEmailField && userEmail) {
+        stampFields[userEmailField.id] = userEmail;
+    }
+    
+    if (nameField && !nameField.isComputed) {
+        if (nameField.config.type === FieldType.MULTIPLE_RECORD_LINKS && userRecord) {
+            stampFields[nameField.id] = [{id: userRecord.id}];
+        } else if (nameField.config.type === FieldType.SINGLE_SELECT && userName) {
+            const nameOption = (nameField.config.options?.choices || []).find(opt =>
+                opt.name && opt.name.toLowerCase() === String(userName).toLowerCase()
+            );
+            if (nameOption) stampFields[nameField.id] = {id: nameOption.id};
+        }
+    }
+    
+    return stampFields;
+}
+
+/**
+ * Convert a value returned by getCellValue into the format expected when writing it back
+ * (linked records and select options are written as {id} objects, Date objects as date strings)
+ * @param {Field} field - The field the value belongs to
+ * @param {*} value - Cell value from record.getCellValue
+ * @returns {*} Value that can be passed to createRecordAsync / updateRecordAsync
+ */
+export function toWritableCellValue(field, value) {
+    if (value === null || value === undefined) return null;
+    const fieldType = field.config.type;
+    if (fieldType === FieldType.MULTIPLE_RECORD_LINKS || fieldType === FieldType.MULTIPLE_SELECTS) {
+        return Array.isArray(value) ? value.map(item => ({id: item.id})) : [];
+    }
+    if (fieldType === FieldType.SINGLE_SELECT) {
+        return value.id ? {id: value.id} : null;
+    }
+    // A Date for a date field is its local calendar day (toISOString would give the UTC day)
+    if (value instanceof Date) {
+        return fieldType === FieldType.DATE ? formatDateToString(value) : value.toISOString();
+    }
+    return value;
+}
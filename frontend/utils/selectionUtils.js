@@ -0,0 +1,74 @@
+import {useState, useRef} from 'react';
+
+/**
+ * Row selection hook with select-all and shift-click range selection.
+ * Handlers take the IDs of the rows currently shown (in display order), so the hook
+ * can be called before the rows are known.
+ * @returns {{
+ *   selectedIds: Set<string>,
+ *   toggleRow: Function,
+ *   toggleAll: Function,
+ *   clearSelection: Function,
+ *   getSelectionState: Function
+ * }} Selection state and handlers
+ */
+export function useRowSelection() {
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const lastToggledIdRef = useRef(null); // Anchor row for shift-click ranges
+
+    /**
+     * Get whether all or some of the shown rows are selected
+     * @param {Array<string>} rowIds - IDs of the rows currently shown
+     * @returns {{allSelected: boolean, someSelected: boolean}} Selection state of the shown rows
+     */
+    const getSelectionState = (rowIds) => {
+        const selectedCount = rowIds.filter(id => selectedIds.has(id)).length;
+        const allSelected = rowIds.length > 0 && selectedCount === rowIds.length;
+        return {allSelected, someSelected: selectedCount > 0 && !allSelected};
+    };
+
+    /**
+     * Toggle a row. With shift held, every row between the last toggled row and this one
+     * is set to the new state of this row.
+     * @param {string} id - Row ID
+     * @param {boolean} shiftKey - Whether shift was held while clicking
+     * @param {Array<string>} rowIds - IDs of the rows currently shown, in display order
+     */
+    const toggleRow = (id, shiftKey, rowIds) => {
+        const shouldSelect = !selectedIds.has(id);
+        const anchorIndex = rowIds.indexOf(lastToggledIdRef.current);
+        const targetIndex = rowIds.indexOf(id);
+        const idsToChange = shiftKey && anchorIndex !== -1 && targetIndex !== -1
+            ? rowIds.slice(Math.min(anchorIndex, targetIndex), Math.max(anchorIndex, targetIndex) + 1)
+            : [id];
+
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            idsToChange.forEach(rowId => {
+                if (shouldSelect) {
+                    next.add(rowId);
+                } else {
+                    next.delete(rowId);
+                }
+            });
+            return next;
+        });
+        lastToggledIdRef.current = id;
+    };
+
+    /**
+     * Select every shown row, or clear the selection if all are already selected
+     * @param {Array<string>} rowIds - IDs of the rows currently shown
+     */
+    const toggleAll = (rowIds) => {
+        setSelectedIds(getSelectionState(rowIds).allSelected ? new Set() : new Set(rowIds));
+        lastToggledIdRef.current = null;
+    };
+
+    const clearSelection = () => {
+        setSelectedIds(new Set());
+        lastToggledIdRef.current = null;
+    };
+
+    return {selectedIds, toggleRow, toggleAll, clearSelection, getSelectionState};
+}
@@ -0,0 +1,43 @@
+/**
+ * Build a localStorage key scoped to the logged-in user, so preferences and queued data
+ * of different users sharing a browser stay apart
+ * @param {string} name - Name of the stored value
+ * @param {Object} session - Current session
+ * @returns {string} Storage key, e.g. "timesheet:usrXXX:writeQueue"
+ */
+export function getUserStorageKey(name, session) {
+    return `timesheet:${session?.currentUser?.id || 'anonymous'}:${name}`;
+}
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when nothing is stored or storage is unavailable
+ * @returns {*} Stored value or fallback
+ */
+export function loadStoredValue(key, fallback) {
+    try {
+        const storedValue = window.localStorage.getItem(key);
+        return storedValue === null ? fallback : JSON.parse(storedValue);
+    } catch (error) {
+        console.warn('Could not read stored value:', key, error);
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value to localStorage (removes the key for null/undefined)
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+export function saveStoredValue(key, value) {
+    try {
+        if (value === null || value === undefined) {
+            window.localStorage.removeItem(key);
+        } else {
+            window.localStorage.setItem(key, JSON.stringify(value));
+        }
+    } catch (error) {
+        console.warn('Could not store value:', key, error);
+    }
+}
@@ -0,0 +1,108 @@
+import {FieldType} from '@airtable/blocks/interface/models';
+import {formatDateToString, getWeekStart, parseDateValue} from './dateUtils';
+
+/**
+ * Statuses of a weekly submission in the Submissions table
+ */
+export const SUBMISSION_STATUS = {
+    SUBMITTED: 'Submitted',
+    APPROVED: 'Approved',
+    RETURNED: 'Returned',
+};
+
+/**
+ * Read the Submissions table as plain objects
+ * @param {Array} submissionRecords - Submissions table records
+ * @param {Object} fields - Field references: user (email), weekStart, status, comment
+ * @returns {Array<{record: Record, email: string, weekStart: string, status: string, comment: string}>} Submissions
+ *   (email is lower-cased, weekStart is the Monday of the week as YYYY-MM-DD)
+ */
+export function getSubmissions(submissionRecords, {user, weekStart, status, comment}) {
+    if (!submissionRecords || !user || !weekStart || !status) return [];
+    return submissionRecords
+        .map(record => {
+            const weekStartDate = parseDateValue(record.getCellValue(weekStart));
+            return {
+                record,
+                email: record.getCellValueAsString(user).trim().toLowerCase(),
+                weekStart: weekStartDate ? formatDateToString(getWeekStart(weekStartDate)) : '',
+                status: record.getCellValueAsString(status),
+                comment: comment ? record.getCellValueAsString(comment) : ''
+            };
+        })
+        .filter(submission => submission.email && submission.weekStart);
+}
+
+/**
+ * Find the submission of a user for a week
+ * @param {Array} submissions - Submissions from getSubmissions
+ * @param {string} email - Email of the user
+ * @param {Date} weekStart - Any date in the week
+ * @returns {Object|null} Submission, or null if the week has not been submitted
+ */
+export function findSubmission(submissions, email, weekStart) {
+    if (!email) return null;
+    const normalizedEmail = String(email).toLowerCase();
+    const weekStartStr = formatDateToString(getWeekStart(weekStart));
+    return submissions.find(submission => submission.email === normalizedEmail && submission.weekStart === weekStartStr) || null;
+}
+
+/**
+ * Get the weeks of a user that have been approved
+ * @param {Array} submissions - Submissions from getSubmissions
+ * @param {string} email - Email of the user
+ * @returns {Set<string>} Mondays (YYYY-MM-DD) of the approved weeks
+ */
+export function getApprovedWeekStarts(submissions, email) {
+    if (!email) return new Set();
+    const normalizedEmail = String(email).toLowerCase();
+    return new Set(submissions
+        .filter(submission => submission.email === normalizedEmail && submission.status === SUBMISSION_STATUS.APPROVED)
+        .map(submission => submission.weekStart));
+}
+
+/**
+ * Check a week's entries before it is submitted
+ * @param {Array} weekRecords - The user's Timesheet records in the week
+ * @param {Object} fields - Field references: individualHours, task, warning
+ * @returns {Array<string>} Problems that block the submission (empty when the week can be submitted)
+ */
+export function validateWeekForSubmission(weekRecords, {individualHours, task, warning}) {
+    if (weekRecords.length === 0) {
+        return ['The week has no entries.'];
+    }
+
+    const problems = [];
+    const countProblem = (predicate, describe) => {
+        const count = weekRecords.filter(predicate).length;
+        if (count > 0) problems.push(describe(count));
+    };
+    const entries = (count) => `${count} entr${count === 1 ? 'y' : 'ies'}`;
+
+    if (individualHours) {
+        countProblem(record => !(Number(record.getCellValue(individualHours)) > 0), count => `${entries(count)} without hours.`);
+    }
+    if (task) {
+        countProblem(record => {
+            const taskValue = record.getCellValue(task);
+            return !Array.isArray(taskValue) || taskValue.length === 0;
+        }, count => `${entries(count)} without a task.`);
+    }
+    if (warning) {
+        countProblem(record => record.getCellValueAsString(warning).trim() !== '', count => `${entries(count)} with a warning.`);
+    }
+    return problems;
+}
+
+/**
+ * Convert a status name to the value written to the Status field
+ * @param {Field} statusField - Status field of the Submissions table (single select or text)
+ * @param {string} statusName - Status name from SUBMISSION_STATUS
+ * @returns {Object|string|null} {id} of the matching option for single selects, the name for text fields,
+ *   or null when the single select has no such option
+ */
+export function toSubmissionStatusValue(statusField, statusName) {
+    if (statusField.config.type !== FieldType.SINGLE_SELECT) return statusName;
+    const choice = (statusField.config.options?.choices || []).find(option => option.name === statusName);
+    return choice ? {id: choice.id} : null;
+}
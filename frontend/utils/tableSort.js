@@ -0,0 +1,163 @@
+import {useState, useRef, useEffect} from 'react';
+import {FieldType} from '@airtable/blocks/interface/models';
+import {parseDateValue} from './dateUtils';
+import {loadStoredValue, saveStoredValue} from './storageUtils';
+
+/**
+ * Table sorting: a list of sort keys [{key, direction}], the first one primary.
+ * Keys are column keys (see columnLayout), so any column the table can show can be sorted on.
+ */
+
+export const SORT_DIRECTIONS = {
+    ASC: 'asc',
+    DESC: 'desc',
+};
+
+const NUMERIC_FIELD_TYPES = [
+    FieldType.NUMBER,
+    FieldType.CURRENCY,
+    FieldType.PERCENT,
+    FieldType.DURATION,
+    FieldType.RATING,
+    FieldType.AUTO_NUMBER,
+    FieldType.COUNT,
+];
+
+/**
+ * Get the value a record is sorted on for a field: a timestamp for dates, a number for numbers,
+ * the option position for single selects and lower-cased text otherwise
+ * @param {Record} record - Timesheet record
+ * @param {Field} field - Field to sort on
+ * @returns {number|string|null} Comparable value, or null when the cell is empty
+ */
+export function getSortValue(record, field) {
+    const fieldType = field.config.type;
+    const value = record.getCellValue(field);
+    if (value === null || value === undefined || value === '') return null;
+
+    if (fieldType === FieldType.DATE) {
+        const date = parseDateValue(value);
+        return date ? date.getTime() : null;
+    }
+    if (fieldType === FieldType.DATE_TIME || fieldType === FieldType.CREATED_TIME || fieldType === FieldType.LAST_MODIFIED_TIME) {
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : time;
+    }
+    if (fieldType === FieldType.SINGLE_SELECT) {
+        const choices = field.config.options?.choices || [];
+        const index = choices.findIndex(choice => choice.id === value.id);
+        return index === -1 ? choices.length : index;
+    }
+    if (fieldType === FieldType.CHECKBOX) {
+        return value ? 1 : 0;
+    }
+    // Formulas and rollups are compared as numbers when they return one
+    if (typeof value === 'number' && (NUMERIC_FIELD_TYPES.includes(fieldType) || field.isComputed)) {
+        return value;
+    }
+    const text = record.getCellValueAsString(field);
+    return text ? text.toLowerCase() : null;
+}
+
+function compareSortValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, {numeric: true});
+}
+
+/**
+ * Sort records by one or more columns. Empty cells go last in either direction; ties keep their order.
+ * @param {Array} records - Records to sort
+ * @param {Array<{key: string, direction: string}>} sortKeys - Sort keys, primary first
+ * @param {Map<string, {field: Field}>} columnsByKey - Available columns by key (keys without a column are ignored)
+ * @returns {Array} Sorted copy of the records
+ */
+export function sortRecords(records, sortKeys, columnsByKey) {
+    const activeKeys = sortKeys
+        .map(({key, direction}) => ({field: columnsByKey.get(key)?.field, sign: direction === SORT_DIRECTIONS.DESC ? -1 : 1}))
+        .filter(({field}) => field);
+    if (activeKeys.length === 0) return records;
+
+    const rows = records.map((record, index) => ({
+        record,
+        index,
+        values: activeKeys.map(({field}) => getSortValue(record, field))
+    }));
+    rows.sort((a, b) => {
+        for (let i = 0; i < activeKeys.length; i++) {
+            const valueA = a.values[i];
+            const valueB = b.values[i];
+            if (valueA === null && valueB === null) continue;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            const result = compareSortValues(valueA, valueB);
+            if (result !== 0) return result * activeKeys[i].sign;
+        }
+        return a.index - b.index;
+    });
+    return rows.map(row => row.record);
+}
+
+/**
+ * Get the sort keys after a header click. A click sorts on the column alone (ascending, then descending,
+ * then unsorted); a shift-click adds the column as the next sort key or toggles it in place.
+ * @param {Array<{key: string, direction: string}>} sortKeys - Current sort keys
+ * @param {string} key - Column key that was clicked
+ * @param {boolean} isAdditive - Whether shift was held
+ * @returns {Array<{key: string, direction: string}>} New sort keys
+ */
+export function toggleSortKey(sortKeys, key, isAdditive) {
+    const existing = sortKeys.find(sortKey => sortKey.key === key);
+    const nextDirection = !existing
+        ? SORT_DIRECTIONS.ASC
+        : existing.direction === SORT_DIRECTIONS.ASC ? SORT_DIRECTIONS.DESC : null;
+
+    if (!isAdditive) {
+        // Clicking a column that is one of several sort keys makes it the only one
+        if (existing && sortKeys.length > 1) return [{key, direction: existing.direction}];
+        return nextDirection ? [{key, direction: nextDirection}] : [];
+    }
+    if (!existing) return [...sortKeys, {key, direction: nextDirection}];
+    return nextDirection
+        ? sortKeys.map(sortKey => (sortKey.key === key ? {key, direction: nextDirection} : sortKey))
+        : sortKeys.filter(sortKey => sortKey.key !== key);
+}
+
+/**
+ * Keep rows in a previous order (e.g. while a cell is being edited, so the row does not move away);
+ * records that were not in that order are added at the end
+ * @param {Array} records - Records to order
+ * @param {Array<string>} recordIds - Previous order of record IDs
+ * @returns {Array} Records in the previous order
+ */
+export function applyRecordOrder(records, recordIds) {
+    const positions = new Map(recordIds.map((id, index) => [id, index]));
+    return [...records].sort((a, b) => (positions.get(a.id) ?? Infinity) - (positions.get(b.id) ?? Infinity));
+}
+
+/**
+ * Sort keys persisted per user in localStorage
+ * @param {string} storageKey - localStorage key the sort keys are persisted under
+ * @returns {{sortKeys: Array<{key: string, direction: string}>, setSortKeys: Function}} Sort keys and setter
+ */
+export function useTableSort(storageKey) {
+    const [sortKeys, setStoredSortKeys] = useState(() => loadStoredValue(storageKey, []));
+    const loadedStorageKeyRef = useRef(storageKey);
+
+    // Reload the sort keys when the storage key changes (e.g. the session becomes available)
+    useEffect(() => {
+        if (loadedStorageKeyRef.current !== storageKey) {
+            loadedStorageKeyRef.current = storageKey;
+            setStoredSortKeys(loadStoredValue(storageKey, []));
+        }
+    }, [storageKey]);
+
+    const setSortKeys = (keys) => {
+        setStoredSortKeys(keys);
+        saveStoredValue(storageKey, keys.length > 0 ? keys : null);
+    };
+
+    return {
+        sortKeys: Array.isArray(sortKeys) ? sortKeys : [],
+        setSortKeys
+    };
+}
@@ -0,0 +1,70 @@
+import {useRecords} from '@airtable/blocks/interface/ui';
+
+/**
+ * Task catalog read from the configured Tasks table. Feeds every Task picker,
+ * so tasks can be listed even when the Timesheet table is empty.
+ * @param {Object} params
+ * @param {Table} params.tasksTable - Tasks for Timesheet table
+ * @param {Field} params.projectField - Project field of the Tasks table
+ * @param {Field} params.statusField - Status field of the Tasks table
+ * @returns {Array<{id: string, displayName: string, name: string, project: string, projectRecords: Array, status: string}>} Tasks sorted by name
+ *   (projectRecords holds the linked project records when the Project field is a link)
+ */
+export function useTaskCatalog({tasksTable, projectField, statusField}) {
+    const taskRecords = useRecords(tasksTable || null);
+
+    return (taskRecords || [])
+        .map(record => {
+            const displayName = record.name || record.id;
+            const projectValue = projectField ? record.getCellValue(projectField) : null;
+            return {
+                id: record.id,
+                displayName,
+                name: displayName,
+                project: projectField ? record.getCellValueAsString(projectField) : '',
+                projectRecords: Array.isArray(projectValue) ? projectValue.filter(item => item?.id) : [],
+                status: statusField ? record.getCellValueAsString(statusField) : ''
+            };
+        })
+        .sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+/**
+ * Get the label shown for a task in pickers, e.g. "Design review (Website relaunch)"
+ * @param {Object} task - Task from the catalog (or a linked record value with a name)
+ * @returns {string} Label
+ */
+export function getTaskLabel(task) {
+    const name = task.displayName || task.name || task.id;
+    return task.project ? `${name} (${task.project})` : name;
+}
+
+/**
+ * Filter tasks by a search term, matching the task name, project or status
+ * @param {Array} tasks - Tasks from the catalog
+ * @param {string} term - Search term
+ * @returns {Array} Matching tasks
+ */
+export function searchTasks(tasks, term) {
+    const normalizedTerm = (term || '').trim().toLowerCase();
+    if (!normalizedTerm) return tasks;
+    return tasks.filter(task =>
+        [task.displayName, task.project, task.status].some(value => value && value.toLowerCase().includes(normalizedTerm))
+    );
+}
+
+/**
+ * Get the distinct projects linked from the tasks, as options for a project picker
+ * @param {Array} tasks - Tasks from the catalog
+ * @returns {Array<{id: string, displayName: string, name: string}>} Projects sorted by name
+ */
+export function getProjectOptions(tasks) {
+    const projectsById = new Map();
+    tasks.forEach(task => {
+        task.projectRecords.forEach(project => {
+            const projectName = project.name || project.id;
+            projectsById.set(project.id, {id: project.id, displayName: projectName, name: projectName});
+        });
+    });
+    return Array.from(projectsById.values()).sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
@@ -0,0 +1,84 @@
+import {addDays, formatDateToString, formatISOWeek, getWeekEnd, getWeekStart, parseDateValue} from './dateUtils';
+import {isWorkday} from './hoursUtils';
+
+const MAX_DAY_COLUMNS = 14; // Longer periods are shown with one column per week
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the columns of the team overview for a period: one per day for periods of up to two weeks,
+ * otherwise one per week (the first and last week are clipped to the period)
+ * @param {{start: Date, end: Date}} range - Selected period
+ * @returns {Array<{key: string, label: string, sublabel: string, mode: 'day'|'week', start: Date, end: Date}>} Columns
+ */
+export function getOverviewColumns(range) {
+    const endStr = formatDateToString(range.end);
+    const days = [];
+    for (let day = range.start; formatDateToString(day) <= endStr; day = addDays(day, 1)) {
+        days.push(day);
+    }
+
+    if (days.length <= MAX_DAY_COLUMNS) {
+        return days.map(day => ({
+            key: formatDateToString(day),
+            label: DAY_NAMES[day.getDay()],
+            sublabel: formatDateToString(day).slice(5),
+            mode: 'day',
+            start: day,
+            end: day
+        }));
+    }
+
+    const columns = [];
+    for (let weekStart = getWeekStart(range.start); formatDateToString(weekStart) <= endStr; weekStart = addDays(weekStart, 7)) {
+        const start = weekStart < range.start ? range.start : weekStart;
+        const weekEnd = getWeekEnd(weekStart);
+        const end = formatDateToString(weekEnd) > endStr ? range.end : weekEnd;
+        columns.push({
+            key: formatDateToString(weekStart),
+            label: formatISOWeek(weekStart),
+            sublabel: `${formatDateToString(start).slice(5)} – ${formatDateToString(end).slice(5)}`,
+            mode: 'week',
+            start,
+            end
+        });
+    }
+    return columns;
+}
+
+/**
+ * Summarize a person's entries in a date range
+ * Missing days are past workdays (today included) without any entry.
+ * @param {Array} records - The person's Timesheet records
+ * @param {{start: Date, end: Date}} range - Date range of the cell
+ * @param {Object} fields - Field references: date, individualHours, warning
+ * @param {Date} today - Current date (later days are never counted as missing)
+ * @returns {{hours: number, entryCount: number, missingDays: number, warningCount: number}} Cell summary
+ */
+export function summarizeEntries(records, range, {date, individualHours, warning}, today) {
+    const startStr = formatDateToString(range.start);
+    const endStr = formatDateToString(range.end);
+    const todayStr = formatDateToString(today);
+    const datesWithEntries = new Set();
+    let hours = 0;
+    let entryCount = 0;
+    let warningCount = 0;
+
+    records.forEach(record => {
+        const recordDate = date ? parseDateValue(record.getCellValue(date)) : null;
+        if (!recordDate) return;
+        const dateStr = formatDateToString(recordDate);
+        if (dateStr < startStr || dateStr > endStr) return;
+        datesWithEntries.add(dateStr);
+        entryCount++;
+        hours += individualHours ? (Number(record.getCellValue(individualHours)) || 0) : 0;
+        if (warning && record.getCellValueAsString(warning).trim() !== '') warningCount++;
+    });
+
+    let missingDays = 0;
+    for (let day = range.start; formatDateToString(day) <= endStr && formatDateToString(day) <= todayStr; day = addDays(day, 1)) {
+        if (isWorkday(day) && !datesWithEntries.has(formatDateToString(day))) missingDays++;
+    }
+
+    return {hours, entryCount, missingDays, warningCount};
+}
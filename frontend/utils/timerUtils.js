@@ -0,0 +1,109 @@
+import {useState, useRef, useEffect} from 'react';
+import {loadStoredValue, saveStoredValue} from './storageUtils';
+
+/**
+ * Start/stop timer for tracking time before it becomes a Timesheet entry
+ */
+
+export const TIMER_ROUNDING_MODES = [
+    {value: 'nearest', label: 'To the nearest step'},
+    {value: 'up', label: 'Up to the next step'},
+    {value: 'down', label: 'Down to the previous step'},
+];
+
+const EMPTY_TIMER = {taskId: null, notes: '', startedAt: null, accumulatedMs: 0};
+
+/**
+ * Get the time tracked so far: the finished (paused) stretches plus the running one
+ * @param {{startedAt: number|null, accumulatedMs: number}} timer - Timer state
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Elapsed milliseconds
+ */
+export function getElapsedMs(timer, now) {
+    return timer.accumulatedMs + (timer.startedAt ? Math.max(0, now - timer.startedAt) : 0);
+}
+
+/**
+ * Format elapsed time as h:mm:ss
+ * @param {number} elapsedMs - Elapsed milliseconds
+ * @returns {string} Formatted time, e.g. "1:05:09"
+ */
+export function formatElapsed(elapsedMs) {
+    const totalSeconds = Math.floor(elapsedMs / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Round elapsed time to hours with the configured rounding rule
+ * @param {number} elapsedMs - Elapsed milliseconds
+ * @param {Object} rounding - Rounding rule
+ * @param {string|number} rounding.minutes - Rounding step in minutes (0 or empty = no rounding, two decimals)
+ * @param {string} rounding.mode - One of TIMER_ROUNDING_MODES ('nearest', 'up' or 'down')
+ * @returns {number} Hours
+ */
+export function roundElapsedHours(elapsedMs, {minutes, mode}) {
+    const hours = elapsedMs / 3600000;
+    const stepMinutes = parseFloat(String(minutes ?? '').replace(',', '.'));
+    if (!(stepMinutes > 0)) return Math.round(hours * 100) / 100;
+
+    const steps = hours / (stepMinutes / 60);
+    const roundedSteps = mode === 'up' ? Math.ceil(steps) : mode === 'down' ? Math.floor(steps) : Math.round(steps);
+    return Math.round(roundedSteps * stepMinutes / 60 * 100) / 100;
+}
+
+/**
+ * Timer state persisted to localStorage, so a running timer survives a page reload.
+ * The state is {taskId, notes, startedAt, accumulatedMs}: startedAt is set while running,
+ * accumulatedMs holds the time of the stretches before the last pause.
+ * @param {string} storageKey - localStorage key the timer is persisted under
+ * @returns {Object} Timer state and actions
+ */
+export function useTimer(storageKey) {
+    const [timer, setTimer] = useState(() => ({...EMPTY_TIMER, ...loadStoredValue(storageKey, {})}));
+    const loadedStorageKeyRef = useRef(storageKey);
+
+    // Reload the timer when the storage key changes (e.g. the session becomes available)
+    useEffect(() => {
+        if (loadedStorageKeyRef.current !== storageKey) {
+            loadedStorageKeyRef.current = storageKey;
+            setTimer({...EMPTY_TIMER, ...loadStoredValue(storageKey, {})});
+        }
+    }, [storageKey]);
+
+    // Persist the timer after every change (nothing is stored while it is idle)
+    useEffect(() => {
+        if (loadedStorageKeyRef.current === storageKey) {
+            const isIdle = !timer.startedAt && timer.accumulatedMs === 0 && !timer.taskId && !timer.notes;
+            saveStoredValue(storageKey, isIdle ? null : timer);
+        }
+    }, [storageKey, timer]);
+
+    // Another tab started, paused or stopped the timer
+    useEffect(() => {
+        const handleStorage = (event) => {
+            if (event.key === storageKey) setTimer({...EMPTY_TIMER, ...loadStoredValue(storageKey, {})});
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [storageKey]);
+
+    const isRunning = !!timer.startedAt;
+    const hasTime = isRunning || timer.accumulatedMs > 0;
+
+    return {
+        ...timer,
+        isRunning,
+        isPaused: !isRunning && timer.accumulatedMs > 0,
+        hasTime,
+        setTask: (taskId) => setTimer(prev => ({...prev, taskId})),
+        setNotes: (notes) => setTimer(prev => ({...prev, notes})),
+        start: () => setTimer(prev => prev.startedAt ? prev : {...prev, startedAt: Date.now()}),
+        pause: () => setTimer(prev => prev.startedAt
+            ? {...prev, startedAt: null, accumulatedMs: getElapsedMs(prev, Date.now())}
+            : prev),
+        reset: () => setTimer(EMPTY_TIMER)
+    };
+}
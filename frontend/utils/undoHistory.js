@@ -0,0 +1,293 @@
+import {useState, useRef, useEffect} from 'react';
+import {isDateClosed, toWritableCellValue} from './recordUtils';
+import {createRecords, deleteRecords, waitForWriteSlot} from './mutationService';
+
+const MAX_HISTORY_LENGTH = 100;
+
+/**
+ * Snapshot the writable cell values of a record, so it can be re-created after a delete
+ * @param {Record} record - The record to snapshot
+ * @returns {Object} Map of field ID to writable value (computed and empty fields are left out)
+ */
+function snapshotRecordFields(record) {
+    const fields = {};
+    record.parentTable.fields.forEach(field => {
+        if (field.isComputed) return;
+        const value = toWritableCellValue(field, record.getCellValue(field));
+        if (value !== null && !(Array.isArray(value) && value.length === 0)) {
+            fields[field.id] = value;
+        }
+    });
+    return fields;
+}
+
+/**
+ * Get whether an element takes text input, so Ctrl+Z there is left to the browser
+ * @param {Element} element - Focused element
+ * @returns {boolean} True for inputs, textareas, selects and content-editable elements
+ */
+function isTextInputElement(element) {
+    if (!element) return false;
+    const tagName = element.tagName;
+    return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || element.isContentEditable;
+}
+
+/**
+ * App-level undo/redo history for record writes.
+ * Entries are one of:
+ * - {type: 'update', table, recordId, fieldId, previousValue, nextValue, dates, label}
+ * - {type: 'create', table, recordId, fields, dates, label}
+ * - {type: 'delete', table, records: [{recordId, fields}], dates, label}
+ * - {type: 'merge', table, recordId, previousFields, nextFields, records: [{recordId, fields}], dates, label}
+ *   (fields of the kept record updated and the merged records deleted, undone as one step)
+ * Dates are {date, isOwn}: the dates the entry touches, and whether the record belongs to the logged-in user.
+ * Re-creating a record gives it a new ID, so IDs are remapped for the entries that refer to it.
+ * Undo and redo are refused when any date the entry touches is now in a closed period, or in an approved week
+ * of the logged-in user for their own records (approved weeks only lock the entries of the user who submitted them).
+ * @param {Object} params
+ * @param {Field} params.dateField - Date field of the Timesheet table
+ * @param {Array} params.monthRecords - Month records for closed period checking
+ * @param {Field} params.monthStatusField - Status field from Month table
+ * @param {Field} params.monthStartDateField - Start date field from Month table
+ * @param {Field} params.monthEndDateField - End date field from Month table
+ * @param {{weekStarts: Set<string>}|null} [params.weekLocks] - Approved weeks of the logged-in user
+ * @param {Function} [params.isOwnRecord] - Returns whether a record belongs to the logged-in user
+ *   (checked when an entry is recorded, as the records may be deleted by the time it is undone)
+ * @param {Object} [params.writeQueue] - Write queue from useWriteQueue; cell updates are undone and redone through it,
+ *   so they land after the queued writes they reverse
+ * @returns {Object} History state and actions
+ */
+export function useUndoHistory({dateField, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, weekLocks = null, isOwnRecord = null, writeQueue = null}) {
+    const undoStackRef = useRef([]);
+    const redoStackRef = useRef([]);
+    const recordIdMapRef = useRef(new Map()); // Original record ID -> ID of the re-created record
+    const [, setRevision] = useState(0); // Bumped to re-render when the stacks change
+    const [isBusy, setIsBusy] = useState(false);
+    const [appliedRevision, setAppliedRevision] = useState(0); // Bumped after each undo/redo so cells can resync
+
+    const resolveRecordId = (recordId) => {
+        let resolvedId = recordId;
+        while (recordIdMapRef.current.has(resolvedId)) {
+            resolvedId = recordIdMapRef.current.get(resolvedId);
+        }
+        return resolvedId;
+    };
+
+    // A date an entry touches, for the closed period and approved week checks
+    const toEntryDate = (date, record) => ({date, isOwn: !record || !isOwnRecord || isOwnRecord(record)});
+
+    const pushEntry = (entry) => {
+        undoStackRef.current = [...undoStackRef.current, entry].slice(-MAX_HISTORY_LENGTH);
+        redoStackRef.current = [];
+        setRevision(r => r + 1);
+    };
+
+    /**
+     * Record a cell update
+     * @param {Record} record - Updated record
+     * @param {Field} field - Updated field
+     * @param {*} previousValue - Writable value before the update (the last queued value when a write to the cell is queued)
+     * @param {*} nextValue - Value that was written
+     */
+    const recordUpdate = (record, field, previousValue, nextValue) => {
+        const dates = (dateField && field.id === dateField.id
+            ? [previousValue, nextValue]
+            : [dateField ? record.getCellValue(dateField) : null]).map(date => toEntryDate(date, record));
+        pushEntry({
+            type: 'update',
+            table: record.parentTable,
+            recordId: record.id,
+            fieldId: field.id,
+            previousValue,
+            nextValue,
+            dates,
+            label: field.name
+        });
+    };
+
+    /**
+     * Record a record creation. New entries are stamped with the logged-in user, so they count as their own.
+     * @param {Table} table - Table the record was created in
+     * @param {string} recordId - ID of the new record
+     * @param {Object} fields - Fields the record was created with
+     */
+    const recordCreate = (table, recordId, fields) => {
+        const dates = [toEntryDate(dateField ? fields[dateField.id] : null, null)];
+        pushEntry({type: 'create', table, recordId, fields, dates, label: 'New entry'});
+    };
+
+    /**
+     * Snapshot records that are about to be deleted, while their cell values can still be read
+     * @param {Table} table - Table the records are deleted from
+     * @param {Array<Record>} records - Records being deleted
+     * @returns {Object} Deletion to pass to recordDelete once the records are deleted
+     */
+    const snapshotDelete = (table, records) => ({
+        table,
+        records: records.map(record => ({
+            recordId: record.id,
+            fields: snapshotRecordFields(record),
+            date: toEntryDate(dateField ? record.getCellValue(dateField) : null, record)
+        }))
+    });
+
+    /**
+     * Record a deletion of one or more records
+     * @param {Object} deletion - Snapshot from snapshotDelete
+     * @param {Array<string>} deletedRecordIds - IDs of the records that were actually deleted
+     */
+    const recordDelete = ({table, records}, deletedRecordIds) => {
+        const deletedRecords = records.filter(({recordId}) => deletedRecordIds.includes(recordId));
+        pushEntry({
+            type: 'delete',
+            table,
+            records: deletedRecords.map(({recordId, fields}) => ({recordId, fields})),
+            dates: deletedRecords.map(({date}) => date),
+            label: `Delete ${deletedRecords.length} entr${deletedRecords.length === 1 ? 'y' : 'ies'}`
+        });
+    };
+
+    /**
+     * Record a merge: the kept record updated and the other records deleted
+     * @param {Object} deletion - Snapshot of the merged records from snapshotDelete
+     * @param {Array<string>} deletedRecordIds - IDs of the merged records that were actually deleted
+     * @param {Record} keepRecord - Record the others were merged into
+     * @param {Object} previousFields - Map of field ID to writable value of the kept record before the merge
+     * @param {Object} nextFields - Map of field ID to value written to the kept record
+     */
+    const recordMerge = ({table, records}, deletedRecordIds, keepRecord, previousFields, nextFields) => {
+        const deletedRecords = records.filter(({recordId}) => deletedRecordIds.includes(recordId));
+        pushEntry({
+            type: 'merge',
+            table,
+            recordId: keepRecord.id,
+            previousFields,
+            nextFields,
+            records: deletedRecords.map(({recordId, fields}) => ({recordId, fields})),
+            dates: [toEntryDate(dateField ? keepRecord.getCellValue(dateField) : null, keepRecord), ...deletedRecords.map(({date}) => date)],
+            label: `Merge ${deletedRecords.length + 1} entries`
+        });
+    };
+
+    // Throw the first error of a batched write, so a partly failed undo/redo stays on its stack
+    const throwFirstError = (results) => {
+        const failedResult = results.find(result => !result.success);
+        if (failedResult) throw failedResult.error;
+    };
+
+    const removeRecords = async (table, recordIds) => {
+        throwFirstError(await deleteRecords(table, recordIds.map(resolveRecordId)));
+    };
+
+    const recreateRecords = async (table, records) => {
+        const results = await createRecords(table, records.map(({fields}) => fields));
+        results.forEach((result, index) => {
+            if (result.success) {
+                recordIdMapRef.current.set(resolveRecordId(records[index].recordId), result.recordId);
+            }
+        });
+        throwFirstError(results);
+    };
+
+    const updateRecord = async (table, recordId, fields) => {
+        if (writeQueue) {
+            writeQueue.enqueueUpdate(resolveRecordId(recordId), fields);
+        } else {
+            await waitForWriteSlot();
+            await table.updateRecordAsync(resolveRecordId(recordId), fields);
+        }
+    };
+
+    // Apply an entry backwards (undo) or forwards (redo)
+    const applyEntry = async (entry, isUndo) => {
+        if (entry.type === 'update') {
+            await updateRecord(entry.table, entry.recordId, {
+                [entry.fieldId]: isUndo ? entry.previousValue : entry.nextValue
+            });
+        } else if (entry.type === 'create') {
+            if (isUndo) {
+                await removeRecords(entry.table, [entry.recordId]);
+            } else {
+                await recreateRecords(entry.table, [{recordId: entry.recordId, fields: entry.fields}]);
+            }
+        } else if (entry.type === 'delete') {
+            if (isUndo) {
+                await recreateRecords(entry.table, entry.records);
+            } else {
+                await removeRecords(entry.table, entry.records.map(({recordId}) => recordId));
+            }
+        } else if (entry.type === 'merge') {
+            await updateRecord(entry.table, entry.recordId, isUndo ? entry.previousFields : entry.nextFields);
+            if (isUndo) {
+                await recreateRecords(entry.table, entry.records);
+            } else {
+                await removeRecords(entry.table, entry.records.map(({recordId}) => recordId));
+            }
+        }
+    };
+
+    const step = async (isUndo) => {
+        const fromStackRef = isUndo ? undoStackRef : redoStackRef;
+        const toStackRef = isUndo ? redoStackRef : undoStackRef;
+        const entry = fromStackRef.current[fromStackRef.current.length - 1];
+        if (!entry || isBusy) return;
+
+        const touchesClosedPeriod = (entry.dates || []).some(({date, isOwn}) =>
+            isDateClosed(date, monthRecords, monthStatusField, monthStartDateField, monthEndDateField, isOwn ? weekLocks : null)
+        );
+        if (touchesClosedPeriod) {
+            alert(`Cannot ${isUndo ? 'undo' : 'redo'} "${entry.label}": the entry is in a period that has since been closed or approved.`);
+            return;
+        }
+
+        setIsBusy(true);
+        try {
+            await applyEntry(entry, isUndo);
+            fromStackRef.current = fromStackRef.current.slice(0, -1);
+            toStackRef.current = [...toStackRef.current, entry];
+            setRevision(r => r + 1);
+            setAppliedRevision(r => r + 1);
+        } catch (error) {
+            console.error(`Error during ${isUndo ? 'undo' : 'redo'}:`, error);
+            alert(`Failed to ${isUndo ? 'undo' : 'redo'} "${entry.label}": ` + (error.message || 'Unknown error occurred.'));
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const undo = () => step(true);
+    const redo = () => step(false);
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing in a field
+    const stepRef = useRef(step);
+    stepRef.current = step;
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (isTextInputElement(document.activeElement)) return;
+            e.preventDefault();
+            stepRef.current(!e.shiftKey);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    const undoEntry = undoStackRef.current[undoStackRef.current.length - 1] || null;
+    const redoEntry = redoStackRef.current[redoStackRef.current.length - 1] || null;
+
+    return {
+        isBusy,
+        appliedRevision,
+        canUndo: !!undoEntry && !isBusy,
+        canRedo: !!redoEntry && !isBusy,
+        undoLabel: undoEntry?.label || null,
+        redoLabel: redoEntry?.label || null,
+        undo,
+        redo,
+        recordUpdate,
+        recordCreate,
+        snapshotDelete,
+        recordDelete,
+        recordMerge
+    };
+}
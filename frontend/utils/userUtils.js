@@ -0,0 +1,131 @@
+import {FieldType} from '@airtable/blocks/interface/models';
+
+/**
+ * User utility functions for matching Timesheet entries to the logged-in user
+ */
+
+/**
+ * Find the Users Table record for an email address
+ * @param {Array} usersRecords - Users table records
+ * @param {Field} emailField - Email field of the Users Table
+ * @param {string} email - Email to look up (case-insensitive)
+ * @returns {Record|null} Matching user record, or null if not found
+ */
+export function findUserRecordByEmail(usersRecords, emailField, email) {
+    if (!usersRecords || !emailField || !email) return null;
+
+    const normalizedEmail = String(email).toLowerCase();
+    return usersRecords.find(record => record.getCellValueAsString(emailField).toLowerCase() === normalizedEmail) || null;
+}
+
+/**
+ * Get the name of a Users Table person
+ * @param {Record} userRecord - Users table record
+ * @param {Field} nameField - Name field of the Users Table
+ * @returns {string} Name, falling back to the record's primary value
+ */
+export function getUserName(userRecord, nameField) {
+    return (nameField && userRecord.getCellValueAsString(nameField)) || userRecord.name || userRecord.id;
+}
+
+/**
+ * Find the name of the Users Table person with an email address
+ * @param {Array} usersRecords - Users table records
+ * @param {{email: Field, name: Field}} usersFields - Email and Name fields of the Users Table
+ * @param {string} email - Email to look up (case-insensitive)
+ * @returns {string|null} Name, or null if nobody has the email
+ */
+export function findUserNameByEmail(usersRecords, usersFields, email) {
+    const userRecord = findUserRecordByEmail(usersRecords, usersFields.email, email);
+    return userRecord ? getUserName(userRecord, usersFields.name) : null;
+}
+
+/**
+ * Get the people a Name link can point to, as options for a picker
+ * @param {Array} usersRecords - Users table records
+ * @param {Field} nameField - Name field of the Users Table
+ * @returns {Array<{id: string, displayName: string, name: string}>} One option per Users Table record
+ */
+export function getUserLinkOptions(usersRecords, nameField) {
+    return (usersRecords || []).map(userRecord => {
+        const displayName = getUserName(userRecord, nameField);
+        return {id: userRecord.id, displayName, name: displayName};
+    });
+}
+
+/**
+ * Parse a comma-separated list of role names
+ * @param {string} rolesString - e.g. "Admin, Manager"
+ * @returns {Array<string>} Lower-cased role names
+ */
+export function parseRoleList(rolesString) {
+    if (!rolesString) return [];
+    return String(rolesString)
+        .split(',')
+        .map(role => role.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Check if a Users Table record has one of the given roles
+ * @param {Record|null} userRecord - Users table record of the user
+ * @param {Field} roleField - Role field on the Users Table (select or text)
+ * @param {string} rolesString - Comma-separated list of roles to check for
+ * @returns {boolean} True if the user has at least one of the roles
+ */
+export function hasRole(userRecord, roleField, rolesString) {
+    if (!userRecord || !roleField) return false;
+
+    const roles = parseRoleList(rolesString);
+    if (roles.length === 0) return false;
+
+    // getCellValueAsString joins multiple selects with ", " so all field types can be split the same way
+    const userRoles = parseRoleList(userRecord.getCellValueAsString(roleField));
+    return userRoles.some(role => roles.includes(role));
+}
+
+/**
+ * Check if a Timesheet record belongs to the logged-in user.
+ * A record matches if any of these identify the user:
+ * the "Email of the logged in user" field, the Name link to the Users Table
+ * (or a Name single select matching the user's name), or the Users Table email looked up through Name
+ * @param {Record} record - The Timesheet record
+ * @param {Object} params
+ * @param {string|null} params.email - Email of the logged-in user
+ * @param {Record|null} params.userRecord - Users table record of the logged-in user (at least one of email and userRecord is required)
+ * @param {string|null} params.userNameValue - Name of the logged-in user in the Users Table
+ * @param {Field} params.userEmailField - "Email of the logged in user" field
+ * @param {Field} params.nameField - Name field (link to Users Table or single select)
+ * @param {Field} params.emailFromNameField - "Email (from Name)" lookup field
+ * @returns {boolean} True if the record belongs to the user
+ */
+export function isRecordOwnedByUser(record, {email, userRecord, userNameValue, userEmailField, nameField, emailFromNameField}) {
+    if (!record || (!email && !userRecord)) return false;
+    const normalizedEmail = String(email || '').toLowerCase();
+
+    if (userEmailField && normalizedEmail) {
+        const recordEmail = record.getCellValueAsString(userEmailField);
+        if (recordEmail && recordEmail.toLowerCase() === normalizedEmail) return true;
+    }
+
+    if (nameField) {
+        const nameValue = record.getCellValue(nameField);
+        if (nameField.config.type === FieldType.MULTIPLE_RECORD_LINKS) {
+            if (userRecord && Array.isArray(nameValue) && nameValue.some(linked => linked?.id === userRecord.id)) {
+                return true;
+            }
+        } else if (userNameValue && nameValue) {
+            const recordName = record.getCellValueAsString(nameField);
+            if (recordName && recordName.toLowerCase() === String(userNameValue).toLowerCase()) return true;
+        }
+    }
+
+    if (emailFromNameField && normalizedEmail) {
+        const lookupEmails = record.getCellValueAsString(emailFromNameField);
+        if (lookupEmails && lookupEmails.split(',').some(item => item.trim().toLowerCase() === normalizedEmail)) {
+            return true;
+        }
+    }
+
+    return false;
+}
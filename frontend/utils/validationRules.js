@@ -0,0 +1,170 @@
+import {formatDateToString, parseDateValue} from './dateUtils';
+import {isWorkday} from './hoursUtils';
+
+/**
+ * Validation rules engine. Rules are configured as JSON (the "Validation rules" custom property),
+ * e.g. [{"type": "maxHoursPerDay", "hours": 10}, {"type": "notesRequired", "timeTaskTypes": ["Travel"]}].
+ * Every rule can override its text with a "message" property.
+ */
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Rule types can check their parameters with getParamsError, which returns what is wrong or null
+export const RULE_TYPES = {
+    positiveHours: {
+        description: 'Hours must be more than 0',
+        check: (entry) => entry.hours === null || entry.hours <= 0,
+        message: () => 'Hours must be more than 0'
+    },
+    hoursStep: {
+        description: 'Hours must be in steps of "minutes" (default 15)',
+        check: (entry, rule) => {
+            if (!(entry.hours > 0)) return false;
+            const steps = entry.hours * 60 / (rule.minutes || 15);
+            return Math.abs(steps - Math.round(steps)) > 1e-6;
+        },
+        message: (rule) => `Hours must be in steps of ${rule.minutes || 15} minutes`,
+        getParamsError: (rule) => (rule.minutes === undefined || isPositiveNumber(rule.minutes)
+            ? null
+            : '"minutes" must be a number greater than 0')
+    },
+    maxHoursPerDay: {
+        description: 'At most "hours" per person and day (default 24)',
+        check: (entry, rule) => entry.dayHours > (rule.hours ?? 24),
+        message: (rule, entry) => `${Math.round(entry.dayHours * 100) / 100} hours on this day (max ${rule.hours ?? 24})`,
+        getParamsError: (rule) => (rule.hours === undefined || isPositiveNumber(rule.hours)
+            ? null
+            : '"hours" must be a number greater than 0')
+    },
+    notesRequired: {
+        description: 'Notes are required for the Time Task Types in "timeTaskTypes"',
+        check: (entry, rule) => !entry.notes.trim() &&
+            (rule.timeTaskTypes || []).some(name => name.toLowerCase() === (entry.timeTaskType || '').toLowerCase()),
+        message: (rule, entry) => `Notes are required for ${entry.timeTaskType}`,
+        getParamsError: (rule) => (rule.timeTaskTypes === undefined || isStringArray(rule.timeTaskTypes)
+            ? null
+            : '"timeTaskTypes" must be an array of texts')
+    },
+    taskRequired: {
+        description: 'A Task must be set',
+        check: (entry) => !entry.hasTask,
+        message: () => 'Task is missing'
+    },
+    noWeekends: {
+        description: 'No entries on Saturdays and Sundays',
+        check: (entry) => !!entry.date && !isWorkday(entry.date),
+        message: () => 'Entry on a weekend'
+    },
+};
+
+export const DEFAULT_VALIDATION_RULES = [
+    {type: 'positiveHours'},
+    {type: 'hoursStep', minutes: 15},
+    {type: 'maxHoursPerDay', hours: 12},
+    {type: 'taskRequired'},
+    {type: 'noWeekends'},
+];
+
+/**
+ * Read the configured rules
+ * @param {string} text - Rules as JSON (empty = DEFAULT_VALIDATION_RULES)
+ * @returns {{rules: Array<Object>, error: string|null}} Valid rules, and what was wrong with the configuration
+ */
+export function parseValidationRules(text) {
+    if (!text || !String(text).trim()) return {rules: DEFAULT_VALIDATION_RULES, error: null};
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return {rules: DEFAULT_VALIDATION_RULES, error: `Invalid JSON (${error.message}); the default rules are used`};
+    }
+    if (!Array.isArray(parsed)) {
+        return {rules: DEFAULT_VALIDATION_RULES, error: 'The rules must be a JSON array; the default rules are used'};
+    }
+
+    // Rules of an unknown type or with invalid parameters are left out, so they cannot break the checks
+    const unknownTypes = parsed.filter(rule => !RULE_TYPES[rule?.type]).map(rule => String(rule?.type));
+    const paramsErrors = [];
+    const rules = parsed.filter(rule => {
+        if (!RULE_TYPES[rule?.type]) return false;
+        const paramsError = rule.message !== undefined && typeof rule.message !== 'string'
+            ? '"message" must be a text'
+            : RULE_TYPES[rule.type].getParamsError?.(rule) || null;
+        if (paramsError) paramsErrors.push(`Invalid ${rule.type} rule: ${paramsError}`);
+        return !paramsError;
+    });
+    const errors = [
+        ...(unknownTypes.length > 0 ? [`Unknown rule type ${unknownTypes.join(', ')} (known: ${Object.keys(RULE_TYPES).join(', ')})`] : []),
+        ...paramsErrors
+    ];
+    return {rules, error: errors.length > 0 ? errors.join('; ') : null};
+}
+
+/**
+ * Read the values the rules look at from a Timesheet record
+ * @param {Record} record - Timesheet record
+ * @param {Object} fields - Field references: date, individualHours, task, timesheetNotes, timeTaskType
+ * @returns {{date: Date|null, hours: number|null, hasTask: boolean, notes: string, timeTaskType: string}} Entry values
+ */
+export function getEntryValues(record, {date, individualHours, task, timesheetNotes, timeTaskType}) {
+    const hoursValue = individualHours ? record.getCellValue(individualHours) : null;
+    const taskValue = task ? record.getCellValue(task) : null;
+    return {
+        date: date ? parseDateValue(record.getCellValue(date)) : null,
+        hours: typeof hoursValue === 'number' ? hoursValue : null,
+        hasTask: Array.isArray(taskValue) ? taskValue.length > 0 : !!taskValue,
+        notes: timesheetNotes ? record.getCellValueAsString(timesheetNotes) : '',
+        timeTaskType: timeTaskType ? record.getCellValueAsString(timeTaskType) : ''
+    };
+}
+
+/**
+ * Evaluate the rules for one entry
+ * @param {Object} entry - Entry values (see getEntryValues)
+ * @param {number} dayHours - Hours of the person's whole day, this entry included
+ * @param {Array<Object>} rules - Rules from parseValidationRules
+ * @returns {Array<string>} Messages of the broken rules
+ */
+export function validateEntry(entry, dayHours, rules) {
+    const entryWithDay = {...entry, notes: entry.notes || '', dayHours};
+    return rules
+        .filter(rule => RULE_TYPES[rule.type].check(entryWithDay, rule))
+        .map(rule => rule.message || RULE_TYPES[rule.type].message(rule, entryWithDay));
+}
+
+/**
+ * Evaluate the rules for existing records. Day totals are summed per person (getOwnerKey) and date.
+ * @param {Array} records - Timesheet records (whole days, so the day totals are complete)
+ * @param {Object} fields - Field references (see getEntryValues)
+ * @param {Array<Object>} rules - Rules from parseValidationRules
+ * @param {Function} getOwnerKey - Returns a key identifying the person a record belongs to
+ * @returns {Map<string, Array<string>>} Record ID -> messages, for the records that break a rule
+ */
+export function getRuleWarnings(records, fields, rules, getOwnerKey) {
+    const entries = records.map(record => ({record, entry: getEntryValues(record, fields)}));
+    const getDayKey = ({record, entry}) => `${getOwnerKey(record)}|${entry.date ? formatDateToString(entry.date) : ''}`;
+
+    const hoursByDay = new Map();
+    entries.forEach(item => {
+        const dayKey = getDayKey(item);
+        hoursByDay.set(dayKey, (hoursByDay.get(dayKey) || 0) + (item.entry.hours || 0));
+    });
+
+    const warnings = new Map();
+    entries.forEach(item => {
+        const messages = validateEntry(item.entry, hoursByDay.get(getDayKey(item)), rules);
+        if (messages.length > 0) warnings.set(item.record.id, messages);
+    });
+    return warnings;
+}
+
+/**
+ * Text written to the Warning field
+ * @param {Array<string>} messages - Messages of the broken rules
+ * @returns {string} Messages joined with "; " (empty when no rule is broken)
+ */
+export function formatRuleWarning(messages) {
+    return (messages || []).join('; ');
+}
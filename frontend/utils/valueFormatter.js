@@ -1,65 +1,21 @@
 import {FieldType} from '@airtable/blocks/interface/models';
+import {formatDateToString} from './dateUtils';
 
 /**
- * Format cell values for display based on field type and field name
+ * Format cell values for display based on field type
+ * (lookups and formulas are passed in as getCellValueAsString text and shown as they are)
  * @param {*} value - The cell value to format
  * @param {FieldType} fieldType - The type of the field
- * @param {string} fieldName - The name of the field
  * @returns {string} Formatted display value
  */
-export function formatDisplayValue(value, fieldType, fieldName) {
+export function formatDisplayValue(value, fieldType) {
     if (value === null || value === undefined) return '';
     
-    const isEmailField = fieldName === 'Email (from Name)';
-    const isProjectFromTaskField = fieldName === 'Project from Task' || fieldName === 'Project from Task - Ext';
-    
-    // For Email (from Name) field, prioritize email display
-    if (isEmailField) {
-        // If we used getCellValueAsString, value is already a string (email)
-        if (typeof value === 'string') return value;
-        
-        // Handle arrays (lookup fields can return arrays)
-        if (Array.isArray(value)) {
-            return value.map(item => {
-                // If it's already a string (email), return it
-                if (typeof item === 'string') return item;
-                // If it's an object with email property, return email
-                if (item?.email) return item.email;
-                // Otherwise try to get string representation
-                return String(item);
-            }).join(', ');
-        }
-        
-        // If it's an object, try to get email
-        if (value && typeof value === 'object') {
-            if (value.email) return value.email;
-            // Fallback to string representation
-            return String(value);
-        }
-    }
-    
-    // For Project from Task lookup field, prioritize Project name/number display
-    if (isProjectFromTaskField) {
-        // If we used getCellValueAsString, value is already a string (Project name/number)
-        if (typeof value === 'string') return value;
-        
-        // Handle arrays (lookup fields can return arrays)
-        if (Array.isArray(value)) {
-            return value.map(item => {
-                // If it's already a string (Project name/number), return it
-                if (typeof item === 'string') return item;
-                // If it's an object, get name or displayName
-                return item?.name || item?.displayName || String(item);
-            }).join(', ');
-        }
-        
-        // If it's an object, get Project name
-        if (value && typeof value === 'object') {
-            return value.name || value.displayName || String(value);
-        }
+    // Durations are stored in seconds
+    if (fieldType === FieldType.DURATION && typeof value === 'number') {
+        return formatDuration(value);
     }
     
-    // For other fields, handle normally
     // Handle arrays (for lookup fields, multiple selects, linked records, etc.)
     if (Array.isArray(value)) {
         return value.map(item => {
@@ -85,10 +41,9 @@ export function formatDisplayValue(value, fieldType, fieldName) {
             fieldType === FieldType.SINGLE_COLLABORATOR) {
             return value.name || value.displayName || String(value);
         }
-        // For other fields (except Email field), show name/displayName, not email
+        // For other fields, show name/displayName, not email
         if ('name' in value) return value.name;
         if ('displayName' in value) return value.displayName;
-        // Only show email as last resort for non-collaborator fields, but Email (from Name) is already handled above
         return String(value);
     }
     
@@ -104,9 +59,40 @@ export function formatDisplayValue(value, fieldType, fieldName) {
             const minutes = String(value.getMinutes()).padStart(2, '0');
             return `${year}-${month}-${day}T${hours}:${minutes}`;
         }
-        return value.toISOString().split('T')[0];
+        return formatDateToString(value);
     }
     
     return String(value);
 }
 
+
+/**
+ * Format a duration as h:mm, with seconds only when there are any
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration, e.g. "1:30" or "0:02:15"
+ */
+export function formatDuration(seconds) {
+    const totalSeconds = Math.round(Math.abs(seconds));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+    const remainingSeconds = totalSeconds % 60;
+    const formatted = remainingSeconds > 0
+        ? `${hours}:${minutes}:${String(remainingSeconds).padStart(2, '0')}`
+        : `${hours}:${minutes}`;
+    return seconds < 0 ? `-${formatted}` : formatted;
+}
+
+/**
+ * Parse a duration typed as h:mm, h:mm:ss or decimal hours (e.g. "1.5")
+ * @param {string} text - Typed duration
+ * @returns {number|null} Duration in seconds, or null when the text is not a duration
+ */
+export function parseDuration(text) {
+    const trimmed = String(text || '').trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+        return Math.round(parseFloat(trimmed) * 3600);
+    }
+    const match = trimmed.match(/^(\d+):([0-5]\d)(?::([0-5]\d))?$/);
+    if (!match) return null;
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+}
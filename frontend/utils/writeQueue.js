@@ -0,0 +1,268 @@
+import {useState, useRef, useEffect} from 'react';
+import {FieldType} from '@airtable/blocks/interface/models';
+import {formatDateToString} from './dateUtils';
+import {loadStoredValue, saveStoredValue} from './storageUtils';
+import {applyMutations} from './mutationService';
+
+const MAX_ATTEMPTS = 5; // Automatic attempts before a write is marked as failed
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const SAVED_STATE_DURATION_MS = 3000; // How long a row shows "Saved" after its writes went through
+
+/**
+ * Get the delay before the next attempt (exponential backoff: 1s, 2s, 4s, ...)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Convert field values to a JSON-safe form so queued writes can be persisted
+ * (Date objects become YYYY-MM-DD for date fields and ISO strings for date/time fields)
+ * @param {Table} table - Table the fields belong to
+ * @param {Object} fields - Map of field ID to value
+ * @returns {Object} Map of field ID to serializable value
+ */
+function toStorableFields(table, fields) {
+    const storableFields = {};
+    Object.entries(fields).forEach(([fieldId, value]) => {
+        if (value instanceof Date) {
+            const field = table.getFieldIfExists(fieldId);
+            storableFields[fieldId] = field?.config.type === FieldType.DATE ? formatDateToString(value) : value.toISOString();
+        } else {
+            storableFields[fieldId] = value;
+        }
+    });
+    return storableFields;
+}
+
+/**
+ * Write queue between the UI and the SDK. Writes are queued and return immediately,
+ * are sent in order in batches through the mutation service, retried with exponential backoff when they fail,
+ * and persisted to localStorage so unsaved changes survive a reload.
+ * Operations are {id, type: 'update'|'create', recordId, fields, status: 'pending'|'failed', attempts, nextAttemptAt, error}.
+ * @param {Object} params
+ * @param {Table} params.table - Table the writes go to
+ * @param {string} params.storageKey - localStorage key the queue is persisted under
+ * @returns {Object} Queue state and actions
+ */
+export function useWriteQueue({table, storageKey}) {
+    const [operations, setOperations] = useState(() => loadStoredValue(storageKey, []));
+    const [savedRecordIds, setSavedRecordIds] = useState(() => new Set());
+    const [wakeUpCount, setWakeUpCount] = useState(0); // Bumped to re-run processing (timer, reconnect, finished write)
+    const inFlightIdsRef = useRef(new Set()); // IDs of the operations currently being written
+    const resolversRef = useRef(new Map()); // Operation ID -> callbacks of the caller waiting for it this session
+    const nextOperationIdRef = useRef(Date.now());
+    const loadedStorageKeyRef = useRef(storageKey);
+
+    // Reload the queue when the storage key changes (e.g. the session becomes available)
+    useEffect(() => {
+        if (loadedStorageKeyRef.current !== storageKey) {
+            loadedStorageKeyRef.current = storageKey;
+            setOperations(loadStoredValue(storageKey, []));
+        }
+    }, [storageKey]);
+
+    // Persist the queue after every change
+    useEffect(() => {
+        if (loadedStorageKeyRef.current === storageKey) {
+            saveStoredValue(storageKey, operations.length > 0 ? operations : null);
+        }
+    }, [storageKey, operations]);
+
+    // Retry immediately when the browser comes back online
+    useEffect(() => {
+        const handleOnline = () => {
+            setOperations(prev => prev.map(op => op.status === 'pending' ? {...op, nextAttemptAt: 0} : op));
+        };
+        window.addEventListener('online', handleOnline);
+        return () => window.removeEventListener('online', handleOnline);
+    }, []);
+
+    const markRecordSaved = (recordId) => {
+        setSavedRecordIds(prev => new Set(prev).add(recordId));
+        setTimeout(() => {
+            setSavedRecordIds(prev => {
+                const next = new Set(prev);
+                next.delete(recordId);
+                return next;
+            });
+        }, SAVED_STATE_DURATION_MS);
+    };
+
+    // Settle the promise of a caller waiting for an operation (see enqueueCreate);
+    // returns whether a caller was waiting for it
+    const settleOperation = (operationId, recordId, error) => {
+        const resolver = resolversRef.current.get(operationId);
+        if (!resolver) return false;
+        resolversRef.current.delete(operationId);
+        if (error) {
+            resolver.reject(error);
+        } else {
+            resolver.resolve(recordId);
+        }
+        return true;
+    };
+
+    // Send the pending operations that are due (in order, batched by the mutation service),
+    // or wait until the first pending operation's next attempt is due
+    useEffect(() => {
+        if (!table || inFlightIdsRef.current.size > 0) return undefined;
+        // Writes to a record that come after one of its failed writes are held back until that write
+        // is retried or discarded, so a retry never overwrites a newer value
+        const failedRecordIds = new Set();
+        const pendingOperations = operations.filter(op => {
+            if (op.status === 'failed') {
+                if (op.recordId) failedRecordIds.add(op.recordId);
+                return false;
+            }
+            return !(op.recordId && failedRecordIds.has(op.recordId));
+        });
+        if (pendingOperations.length === 0) return undefined;
+
+        const now = Date.now();
+        const waitMs = pendingOperations[0].nextAttemptAt - now;
+        if (waitMs > 0) {
+            const timeoutId = setTimeout(() => setWakeUpCount(count => count + 1), waitMs);
+            return () => clearTimeout(timeoutId);
+        }
+
+        // Stop at the first operation still waiting for a retry, so pending writes are never reordered
+        const firstWaitingIndex = pendingOperations.findIndex(op => op.nextAttemptAt > now);
+        const dueOperations = firstWaitingIndex === -1 ? pendingOperations : pendingOperations.slice(0, firstWaitingIndex);
+        const dueIds = new Set(dueOperations.map(op => op.id));
+        inFlightIdsRef.current = dueIds;
+
+        applyMutations(table, dueOperations.map(({type, recordId, fields}) => ({type, recordId, fields}))).then(results => {
+            const failedById = new Map();
+            results.forEach((result, index) => {
+                const operation = dueOperations[index];
+                if (result.success) {
+                    if (operation.type === 'update') markRecordSaved(operation.recordId);
+                    settleOperation(operation.id, result.recordId, null);
+                } else if (operation.attempts + 1 < MAX_ATTEMPTS ||
+                    !settleOperation(operation.id, null, result.error || new Error('Unknown error occurred.'))) {
+                    // Retried later, or marked failed below once out of automatic attempts
+                    failedById.set(operation.id, result.error);
+                }
+                // Otherwise the caller waiting for it was told it failed: the operation is dropped,
+                // so a retry from the banner cannot write it after all
+            });
+            setOperations(prev => prev
+                .filter(op => !dueIds.has(op.id) || failedById.has(op.id))
+                .map(op => {
+                    if (!failedById.has(op.id)) return op;
+                    const attempts = op.attempts + 1;
+                    return {
+                        ...op,
+                        attempts,
+                        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+                        nextAttemptAt: Date.now() + getRetryDelay(attempts),
+                        error: failedById.get(op.id).message || 'Unknown error occurred.'
+                    };
+                })
+            );
+        }).finally(() => {
+            inFlightIdsRef.current = new Set();
+            setWakeUpCount(count => count + 1);
+        });
+        return undefined;
+    }, [table, operations, wakeUpCount]);
+
+    const enqueue = (operation) => {
+        const id = String(nextOperationIdRef.current++);
+        setOperations(prev => [...prev, {...operation, id, status: 'pending', attempts: 0, nextAttemptAt: 0, error: null}]);
+        return id;
+    };
+
+    /**
+     * Queue a record update. Consecutive updates to the same record that have not been sent yet are merged.
+     * @param {string} recordId - Record ID
+     * @param {Object} fields - Map of field ID to value
+     */
+    const enqueueUpdate = (recordId, fields) => {
+        const storableFields = toStorableFields(table, fields);
+        const lastOperation = operations[operations.length - 1];
+        if (lastOperation && lastOperation.type === 'update' && lastOperation.recordId === recordId &&
+            lastOperation.status === 'pending' && !inFlightIdsRef.current.has(lastOperation.id)) {
+            setOperations(prev => prev.map(op => op.id !== lastOperation.id ? op : {
+                ...op,
+                fields: {...op.fields, ...storableFields}
+            }));
+            return;
+        }
+        enqueue({type: 'update', recordId, fields: storableFields});
+    };
+
+    /**
+     * Queue a record creation
+     * @param {Object} fields - Map of field ID to value
+     * @returns {Promise<string>} Resolves with the new record ID once the record has been created;
+     *   rejects (and the creation is dropped from the queue) when it runs out of automatic attempts
+     */
+    const enqueueCreate = (fields) => new Promise((resolve, reject) => {
+        const id = enqueue({type: 'create', recordId: null, fields: toStorableFields(table, fields)});
+        resolversRef.current.set(id, {resolve, reject});
+    });
+
+    /**
+     * Retry failed writes now (all of them, or only those of one record)
+     * @param {string} [recordId] - Only retry writes to this record
+     */
+    const retry = (recordId) => {
+        setOperations(prev => prev.map(op =>
+            op.status === 'failed' && (!recordId || op.recordId === recordId)
+                ? {...op, status: 'pending', attempts: 0, nextAttemptAt: 0, error: null}
+                : op
+        ));
+    };
+
+    /**
+     * Drop failed writes (all of them, or only those of one record)
+     * @param {string} [recordId] - Only discard writes to this record
+     */
+    const discardFailed = (recordId) => {
+        const isDiscarded = (op) => op.status === 'failed' && (!recordId || op.recordId === recordId);
+        operations.filter(isDiscarded).forEach(op => settleOperation(op.id, null, new Error('The change was discarded.')));
+        setOperations(prev => prev.filter(op => !isDiscarded(op)));
+    };
+
+    /**
+     * Get the value of a cell as it will be once the queued writes have gone through
+     * @param {string} recordId - Record ID
+     * @param {string} fieldId - Field ID
+     * @returns {*} Last queued value of the cell, or undefined when no write to it is queued
+     */
+    const getQueuedValue = (recordId, fieldId) => {
+        const recordOperations = operations.filter(op => op.recordId === recordId && fieldId in op.fields);
+        return recordOperations.length > 0 ? recordOperations[recordOperations.length - 1].fields[fieldId] : undefined;
+    };
+
+    /**
+     * Get the sync state of a row
+     * @param {string} recordId - Record ID
+     * @returns {{state: 'failed'|'pending'|'saved'|null, error: string|null}} Sync state and last error
+     */
+    const getRecordSyncState = (recordId) => {
+        const recordOperations = operations.filter(op => op.recordId === recordId);
+        const failedOperation = recordOperations.find(op => op.status === 'failed');
+        if (failedOperation) return {state: 'failed', error: failedOperation.error};
+        if (recordOperations.length > 0) return {state: 'pending', error: recordOperations[0].error};
+        if (savedRecordIds.has(recordId)) return {state: 'saved', error: null};
+        return {state: null, error: null};
+    };
+
+    return {
+        pendingCount: operations.filter(op => op.status === 'pending').length,
+        failedCount: operations.filter(op => op.status === 'failed').length,
+        pendingCreateCount: operations.filter(op => op.type === 'create').length,
+        enqueueUpdate,
+        enqueueCreate,
+        retry,
+        discardFailed,
+        getQueuedValue,
+        getRecordSyncState
+    };
+}